@@ -1,7 +1,17 @@
+const path = require('path');
 const { Logger } = require('./src/utils/logger');
-const BackpackService = require('./src/services/backpackService');
+const ExchangeFactory = require('./src/services/exchangeFactory');
 const ConfigLoader = require('./src/config/configLoader');
-const WebSocketManager = require('./src/network/webSocketManager');
+const CycleStateStore = require('./src/core/cycleStateStore');
+const LadderPlanner = require('./src/core/ladderPlanner');
+const DepthPlanner = require('./src/core/depthPlanner');
+const MarketRules = require('./src/core/marketRules');
+const Indicators = require('./src/utils/indicators');
+const ApiBudget = require('./src/core/apiBudget');
+const StrategyRunner = require('./src/core/strategyRunner');
+
+const PENDING_UPDATE_TTL_MS = 60000; // 暂存的推送超过1分钟仍未跟踪则丢弃 (下单响应不会晚这么久)
+const RELEASED_ORDER_TTL_MS = 600000; // 移出跟踪的订单保留10分钟，用于补记迟到推送中的成交
 
 /**
  * 🎯 完整马丁策略交易器 - 完美运行版本
@@ -12,19 +22,36 @@ const WebSocketManager = require('./src/network/webSocketManager');
  * 3. 订单成交后自动计算平均成本
  * 4. 达到0.25%止盈自动卖出
  * 5. 卖出后自动重新开始新周期
- * 6. 3分钟无成交重新挂单 + 价格偏差0.3%重新挂单
+ * 6. 3分钟无成交或价格偏差0.3%时增量调整阶梯挂单
  */
 
 class MartingaleTrader {
-  constructor() {
-    this.logger = new Logger({
+  /**
+   * 构造函数 - 不传参数时独占账户运行，配置从配置文件加载
+   * @param {Object} options - 多策略运行时由 StrategyRunner 注入
+   * @param {string} options.strategyId - 策略名称
+   * @param {Object} options.config - 单策略格式的配置
+   * @param {Object} options.logger - 日志记录器
+   * @param {import('./src/services/exchangeAdapter').ExchangeStream} options.wsManager - 共享的实时流连接
+   * @param {ApiBudget} options.apiBudget - 共享的API调用预算
+   * @param {boolean} options.sharedAccount - 与其他策略共享账户 (使用独立资金账本和共享WebSocket连接)
+   */
+  constructor(options = {}) {
+    this.strategyId = options.strategyId || null;
+    this.logger = options.logger || new Logger({
       logDir: './logs',
       prefix: 'martingale'
     });
     
-    this.config = null;
+    this.config = options.config || null;
     this.service = null;
-    this.wsManager = null;
+    this.wsManager = options.wsManager || null;
+    this.stateStore = null;
+    this.apiBudget = options.apiBudget || new ApiBudget({ minIntervalMs: 6000 });
+    this.sharedAccount = !!options.sharedAccount;
+    
+    // 🔑 独立资金账本 - 共享账户时策略只使用自己的资金 {usdc, base}，由成交记录维护
+    this.ledger = null;
     
     // 马丁策略状态
     this.currentPrice = 0;
@@ -32,107 +59,584 @@ class MartingaleTrader {
     this.strategyStartPrice = 0;
     
     // 余额状态
-    this.solBalance = 0;
+    this.baseBalance = 0;
     this.usdcBalance = 0;
     
     // 订单管理
     this.activeOrders = new Map(); // orderId -> {order, createTime}
+    this.pendingOrderUpdates = new Map(); // orderId -> { updates, stashedAt } 尚未跟踪的本程序订单推送
+    this.releasedOrders = new Map(); // orderId -> { orderInfo, releasedAt } 最近移出跟踪的本程序订单
     this.filledOrders = []; // 已成交订单历史
     this.isRunning = false;
     this.monitoring = false;
     
+    // 🔑 交易对市场规则 - 启动时从交易所加载，定期刷新 (配置值作为覆盖)
+    this.marketRules = null;
+    this.marketRulesRefreshTimer = null;
+    
     // 🔑 止盈状态管理
     this.takeProfitInProgress = false;
     this.lastTakeProfitTime = 0;
+    this.takeProfitExecution = null; // 本次止盈的预期成交记录 (盘口深度/分批止盈/追价次数)
+    this.takeProfitChaseConfig = { enabled: false, waitSeconds: 30, maxAttempts: 3, fallback: 'market' };
+    this.takeProfitChaseTimer = null;
+    
+    // 🔑 追踪止盈状态 - 达到目标后记录最高价，回撤时卖出
+    this.trailingTakeProfit = { active: false, peakPrice: 0, activatedAt: 0 };
+    
+    // 🔑 挂单止盈 - 串行化撤单/重挂，避免并发重复挂单
+    this.restingTakeProfitSync = Promise.resolve();
+    
+    // 🔑 周期退出 (止损/超时/最大浮亏) - 进行中的退出信息及阶梯最低价
+    this.cycleExit = null;
+    this.lowestLadderPrice = 0;
+    this.exitConfig = null;
     
     // 🔑 API调用队列管理
     this.apiQueue = [];
     this.apiQueueRunning = false;
     
     // 马丁参数 (从配置加载)
+    this.direction = 'long'; // long 先买后卖 (USDC计价) | reverse 先卖后回购 (基础币计价)
     this.totalAmount = 0;
     this.orderCount = 0;
     this.incrementPercent = 0;
     this.maxDropPercent = 0;
+    this.ladder = null; // 阶梯形状配置 (LadderPlanner)
     this.takeProfitPercent = 0;
     this.noFillRestartMinutes = 3;
     this.maxPriceDifference = 0.3;
+    this.repriceTolerancePercent = 0.1; // 重新挂单时保留现有挂单的价格容差
+    // 🔑 下单方式 - 阶梯单是否Post-Only，止盈单类型 limit/ioc/market，自成交保护
+    this.orderExecution = {
+      ladderPostOnly: false,
+      takeProfitOrderType: 'limit',
+      selfTradePrevention: null,
+      depthAware: false,
+      maxSlippagePercentage: 0.3,
+      chunkIntervalSeconds: 10
+    };
+    this.repricing = false;
     this.minPositionValueThreshold = 50;
+    this.takerFeeRate = 0.001;
+    this.makerFeeRate = 0.0008;
+    this.takeProfitMode = 'immediate';
+    this.trailingRetracePercent = 0.1;
     
     // 🔑 简化持仓数据 - 直接存储，不依赖复杂数组
     this.positionCost = 0;        // 持仓总成本 USDC
     this.positionAvgPrice = 0;    // 持仓平均价格 USDC
-    this.positionQuantity = 0;    // 持仓数量 SOL
+    this.positionQuantity = 0;    // 持仓数量 (交易币种)
+    
+    // 🔑 残留持仓 - 不足一个数量精度/最小下单量卖不出的基础币，连同成本结转到下一周期 (只用于正向周期)
+    this.dust = { quantity: 0, cost: 0 };
     
     // 统计
     this.cycleCount = 0;
     this.totalProfit = 0;
+    this.cycleStartTime = 0;
+    this.losingCycleCount = 0;
+    this.cycleHistory = []; // 最近的周期结算记录 {cycle, reason, profit, ...}
+    
+    // 🔑 马丁倍投 - 连续亏损后放大下一轮资金，达到上限后停止交易
+    this.martingaleEnabled = false;
+    this.martingaleMultiplier = 1;
+    this.maxConsecutiveLosses = 0;
+    this.consecutiveLosses = 0;
+    this.tradingHalted = false;
+    this.haltReason = null;
+    
+    // 🔑 资金分配 - fixed 固定金额 / equityPercent 权益百分比 / compounding 复利
+    this.allocation = { mode: 'fixed', equityPercentage: 50, reinvestPercentage: 50 };
+    this.cycleCapital = 0;        // 本轮分配资金 (周期内固定)
+    this.compoundedProfit = 0;    // 复利模式累计再投入的收益
+    this.protectedReserve = 0;    // 受保护储备金，马丁订单不会动用
+    
+    // 🔑 波动率自适应 - 每轮开始时按K线波动率缩放价格区间和止盈目标
+    this.adaptiveConfig = null;
+    this.baseMaxDropPercent = 0;
+    this.baseTakeProfitPercent = 0;
+    this.cycleVolatility = null;  // 本轮采用的参数 {indicator, volatilityPercent, maxDropPercent, takeProfitPercent, computedAt}
+    
+    // 🔑 入场过滤 - 新周期挂单前检查趋势/RSI/冷却/再入场价格，不满足时等待
+    this.entryFilterConfig = null;
+    this.entryBlock = null;        // 当前等待原因 {reason, detail, since, checkedAt}
+    this.entryRecheckTimer = null;
+  }
+  
+  /**
+   * 🔧 应用市场规则 - 同步价格/数量精度和最小下单量
+   * @param {MarketRules} rules - 市场规则
+   */
+  applyMarketRules(rules) {
+    this.marketRules = rules;
+    this.quantityPrecision = rules.quantityPrecision;
+    this.pricePrecision = rules.pricePrecision;
+    this.minQuantity = rules.minQuantity;
+  }
+  
+  /**
+   * 🔑 从交易所加载市场规则并叠加配置覆盖值 - 获取失败时保留当前规则
+   * @returns {Promise<boolean>} 规则是否有变化
+   */
+  async loadMarketRules() {
+    let exchangeRules;
+    try {
+      exchangeRules = await this.safeApiCall(() => this.service.getMarketRules(this.symbol), '获取市场规则');
+    } catch (error) {
+      this.logger.log(`⚠️ 获取${this.symbol}市场规则失败，沿用${this.marketRules?.source === 'exchange' ? '上次获取的规则' : '配置'}: ${error.message}`, true);
+      return false;
+    }
+    
+    const rules = MarketRules.resolve(exchangeRules, this.config, this.tradingCoin);
+    if (rules.equals(this.marketRules) && this.marketRules.source === rules.source) return false;
+    
+    if (this.marketRules?.source === 'exchange') {
+      this.logger.log(`📏 市场规则变化: ${this.marketRules.describe()} → ${rules.describe()}`, true);
+    }
+    this.applyMarketRules(rules);
+    return true;
   }
   
   /**
-   * 🔧 价格格式化 - 严格确保2位小数，防止API 400错误
+   * 🔧 价格按价格步长取整 - 防止API 400错误
    */
   formatPrice(price) {
-    // 先转换为字符串，确保精确的2位小数
-    const formatted = parseFloat(price).toFixed(2);
-    return parseFloat(formatted);
+    return this.marketRules.roundPrice(parseFloat(price));
   }
   
   /**
-   * 🔧 数量格式化 - 确保不超过实际可用余额，限制小数位数
+   * 🔧 数量格式化 - 确保不超过实际可用余额，按数量步长
    */
   formatQuantity(quantity, availableBalance = null) {
     // 如果提供了可用余额，确保不超过可用量
     if (availableBalance !== null && quantity > availableBalance) {
       // 保留足够的安全边距（0.1%），避免余额不足
-      const safeQuantity = availableBalance * 0.999;
-      // Backpack支持最多2位小数
-      const formatted = parseFloat(safeQuantity).toFixed(2);
-      return parseFloat(formatted);
+      return this.marketRules.floorQuantity(availableBalance * 0.999);
+    }
+    
+    return this.marketRules.roundQuantity(parseFloat(quantity));
+  }
+  
+  /**
+   * 🔧 订单是否低于交易所最小下单量或最小下单金额
+   * @param {number} quantity - 数量
+   * @param {number} price - 价格 (默认当前价)
+   * @returns {boolean}
+   */
+  isBelowOrderMinimum(quantity, price = this.currentPrice) {
+    return this.marketRules.isBelowMinimum(quantity, price);
+  }
+  
+  /**
+   * 🔑 是否持有有效仓位 - 数量超过最小下单量且价值超过阈值
+   * @returns {boolean}
+   */
+  hasPosition() {
+    if (this.isReverse()) {
+      // 反向周期持有基础币是常态，仓位指尚未回购的卖出所得
+      const { remainingProceeds } = this.getReverseExposure();
+      return this.currentPrice > 0
+        && remainingProceeds / this.currentPrice > this.minQuantity
+        && remainingProceeds >= this.minPositionValueThreshold;
+    }
+    
+    const heldQuantity = this.baseBalance + this.getLockedTakeProfitQuantity();
+    const positionValue = heldQuantity * this.currentPrice;
+    return heldQuantity > this.minQuantity && positionValue >= this.minPositionValueThreshold;
+  }
+  
+  /**
+   * 🔑 是否为反向周期 - 在上方分档卖出基础币，再用全部卖出所得回购
+   * @returns {boolean}
+   */
+  isReverse() {
+    return this.direction === 'reverse';
+  }
+  
+  /**
+   * 🔑 建仓方向 - 正向为买单，反向为卖单
+   * @returns {string} 'Bid' | 'Ask'
+   */
+  getEntrySide() {
+    return this.isReverse() ? 'Ask' : 'Bid';
+  }
+  
+  /**
+   * 🔑 资金和收益的计价币种 - 正向为USDC，反向为基础币
+   * @returns {string}
+   */
+  getCapitalAsset() {
+    return this.isReverse() ? this.tradingCoin : 'USDC';
+  }
+  
+  /**
+   * 🔑 按计价币种格式化金额 (用于日志)
+   * @param {number} value - 金额
+   * @param {boolean} signed - 是否带正负号
+   * @returns {string}
+   */
+  formatCapital(value, signed = false) {
+    const text = value.toFixed(this.isReverse() ? 6 : 2);
+    return `${signed && value >= 0 ? '+' : ''}${text} ${this.getCapitalAsset()}`;
+  }
+  
+  /**
+   * 🔑 是否为平仓订单 (止盈/退出)，建仓阶梯订单返回false
+   * 旧状态文件中的订单没有role，按方向判断
+   * @param {Object} orderInfo - 活跃订单信息
+   * @returns {boolean}
+   */
+  isExitOrder(orderInfo) {
+    if (orderInfo.role) {
+      return orderInfo.role === 'takeProfit' || orderInfo.role === 'exit';
+    }
+    return orderInfo.side !== this.getEntrySide();
+  }
+  
+  /**
+   * 🔑 反向周期敞口 - 本周期卖出与回购成交汇总（均扣除手续费）
+   * @returns {Object} { soldQuantity, proceeds, boughtQuantity, spent, remainingProceeds }
+   */
+  getReverseExposure() {
+    let soldQuantity = 0;
+    let proceeds = 0;
+    let boughtQuantity = 0;
+    let spent = 0;
+    
+    for (const record of this.filledOrders) {
+      const { netQuantity, netAmount } = this.getNetFill(record);
+      if (record.side === 'Ask') {
+        soldQuantity += netQuantity;
+        proceeds += netAmount;
+      } else {
+        boughtQuantity += netQuantity;
+        spent += netAmount;
+      }
     }
     
-    // 默认保留2位小数精度（Backpack规范）
-    const formatted = parseFloat(quantity).toFixed(2);
-    return parseFloat(formatted);
+    return { soldQuantity, proceeds, boughtQuantity, spent, remainingProceeds: Math.max(0, proceeds - spent) };
+  }
+  
+  /**
+   * 🔑 规范化周期退出配置 (trading.exits)，未配置的退出条件默认关闭
+   * @param {Object} exits - 原始配置
+   * @returns {Object} { stopLoss, maxDuration, maxUnrealizedLoss, limitSlippagePercentage }
+   */
+  loadExitConfig(exits = {}) {
+    const sellMethodOf = (value, fallback) => (value === 'market' || value === 'limit') ? value : fallback;
+    
+    return {
+      stopLoss: {
+        enabled: !!exits.stopLoss?.enabled,
+        percentage: exits.stopLoss?.percentage ?? 1.0,
+        sellMethod: sellMethodOf(exits.stopLoss?.sellMethod, 'market')
+      },
+      maxDuration: {
+        enabled: !!exits.maxDuration?.enabled,
+        hours: exits.maxDuration?.hours ?? 72,
+        action: exits.maxDuration?.action === 'markdown' ? 'markdown' : 'liquidate',
+        sellMethod: sellMethodOf(exits.maxDuration?.sellMethod, 'limit')
+      },
+      maxUnrealizedLoss: {
+        enabled: !!exits.maxUnrealizedLoss?.enabled,
+        percentage: exits.maxUnrealizedLoss?.percentage ?? 10,
+        sellMethod: sellMethodOf(exits.maxUnrealizedLoss?.sellMethod, 'market')
+      },
+      limitSlippagePercentage: exits.limitSlippagePercentage ?? 0.3
+    };
+  }
+  
+  /**
+   * 🔑 规范化止盈追价配置 (trading.takeProfitChase)，默认关闭
+   * @param {Object} chase - 原始配置
+   * @returns {Object} { enabled, waitSeconds, maxAttempts, fallback }
+   */
+  loadTakeProfitChaseConfig(chase = {}) {
+    return {
+      enabled: !!chase.enabled,
+      waitSeconds: chase.waitSeconds ?? 30,
+      maxAttempts: chase.maxAttempts ?? 3,
+      fallback: chase.fallback === 'ladder' ? 'ladder' : 'market'
+    };
+  }
+  
+  /**
+   * 🔑 规范化波动率自适应配置 (trading.adaptive)，默认关闭
+   * @param {Object} adaptive - 原始配置
+   * @returns {Object} { enabled, indicator, interval, window, referenceVolatilityPercentage, maxDropPercentage, takeProfitPercentage }
+   */
+  loadAdaptiveConfig(adaptive = {}) {
+    return {
+      enabled: !!adaptive.enabled,
+      indicator: adaptive.indicator === 'stdev' ? 'stdev' : 'atr',
+      interval: adaptive.interval || '15m',
+      window: adaptive.window || 14,
+      referenceVolatilityPercentage: adaptive.referenceVolatilityPercentage || 0.5,
+      maxDropPercentage: {
+        min: adaptive.maxDropPercentage?.min ?? this.baseMaxDropPercent * 0.5,
+        max: adaptive.maxDropPercentage?.max ?? this.baseMaxDropPercent * 2
+      },
+      takeProfitPercentage: {
+        min: adaptive.takeProfitPercentage?.min ?? this.baseTakeProfitPercent * 0.5,
+        max: adaptive.takeProfitPercentage?.max ?? this.baseTakeProfitPercent * 2
+      }
+    };
+  }
+  
+  /**
+   * 🔑 波动率自适应配置摘要 (用于日志)
+   * @returns {string}
+   */
+  describeAdaptiveConfig() {
+    const adaptive = this.adaptiveConfig;
+    if (!adaptive.enabled) return '未启用';
+    
+    const indicatorName = adaptive.indicator === 'stdev' ? '收益率标准差' : 'ATR';
+    return `${indicatorName}(${adaptive.interval}×${adaptive.window}), 基准波动率${adaptive.referenceVolatilityPercentage}%, ` +
+      `价格区间${adaptive.maxDropPercentage.min}%~${adaptive.maxDropPercentage.max}%, ` +
+      `止盈${adaptive.takeProfitPercentage.min}%~${adaptive.takeProfitPercentage.max}%`;
+  }
+  
+  /**
+   * 🔑 规范化入场过滤配置 (trading.entryFilters)，默认全部关闭
+   * @param {Object} filters - 原始配置
+   * @returns {Object} { trend, rsi, cooldownMinutes, noReentryAboveLastExit, recheckSeconds }
+   */
+  loadEntryFilterConfig(filters = {}) {
+    const trend = filters.trend || {};
+    const rsi = filters.rsi || {};
+    const reentry = filters.noReentryAboveLastExit || {};
+    return {
+      trend: {
+        enabled: !!trend.enabled,
+        interval: trend.interval || '1h',
+        period: trend.period || 20,
+        maxBelowPercentage: trend.maxBelowPercentage ?? 0
+      },
+      rsi: {
+        enabled: !!rsi.enabled,
+        interval: rsi.interval || '15m',
+        period: rsi.period || 14,
+        oversold: rsi.oversold ?? 30,
+        overbought: rsi.overbought ?? 70
+      },
+      cooldownMinutes: filters.cooldownMinutes || 0,
+      noReentryAboveLastExit: {
+        enabled: !!reentry.enabled,
+        percentage: reentry.percentage ?? 0
+      },
+      recheckSeconds: filters.recheckSeconds || 60
+    };
+  }
+  
+  /**
+   * 🔑 入场过滤配置摘要 (用于日志)
+   * @returns {string}
+   */
+  describeEntryFilters() {
+    const { trend, rsi, cooldownMinutes, noReentryAboveLastExit } = this.entryFilterConfig;
+    const reverse = this.isReverse();
+    const parts = [];
+    if (trend.enabled) parts.push(`趋势(${trend.interval}×${trend.period}均线, 容忍${reverse ? '高于' : '低于'}${trend.maxBelowPercentage}%)`);
+    if (rsi.enabled) parts.push(`RSI(${rsi.interval}×${rsi.period}, ${reverse ? `≤${rsi.oversold}不入场` : `≥${rsi.overbought}不入场`})`);
+    if (cooldownMinutes > 0) parts.push(`止盈冷却(${cooldownMinutes}分钟)`);
+    if (noReentryAboveLastExit.enabled) parts.push(`再入场价格(${reverse ? '不低于' : '不高于'}上次退出价${noReentryAboveLastExit.percentage}%以内)`);
+    return parts.length > 0 ? `${parts.join(', ')}, 每${this.entryFilterConfig.recheckSeconds}秒复查` : '未启用';
+  }
+  
+  /**
+   * 🔑 下单方式摘要 (用于日志)
+   * @returns {string}
+   */
+  describeOrderExecution() {
+    const { ladderPostOnly, takeProfitOrderType, selfTradePrevention, depthAware, maxSlippagePercentage } = this.orderExecution;
+    const takeProfitNames = { limit: 'GTC限价', ioc: 'IOC限价', market: '市价' };
+    return `阶梯单${ladderPostOnly ? 'Post-Only' : 'GTC限价'}, 止盈单${takeProfitNames[takeProfitOrderType]}` +
+      `${depthAware ? ` (按盘口深度, 滑点上限 ${maxSlippagePercentage}%)` : ''}` +
+      `${selfTradePrevention ? `, 自成交保护 ${selfTradePrevention}` : ''}`;
+  }
+  
+  /**
+   * 🔑 下单选项 - 附加配置的自成交保护
+   * @param {Object} extra - 本次下单的其他选项 (postOnly / timeInForce / quoteQuantity)
+   * @returns {Object} 传给交易所适配器的下单选项
+   */
+  getOrderOptions(extra = {}) {
+    const options = { ...extra };
+    if (this.orderExecution.selfTradePrevention) {
+      options.selfTradePrevention = this.orderExecution.selfTradePrevention;
+    }
+    return options;
+  }
+  
+  /**
+   * 🔑 本次止盈使用的订单类型 - 有价格保护 (追踪止盈底价/回购上限) 时市价单改用IOC限价单
+   * @param {boolean} priceBounded - 是否有价格保护
+   * @returns {string} limit | ioc | market
+   */
+  getTakeProfitOrderType(priceBounded) {
+    const orderType = this.orderExecution.takeProfitOrderType;
+    return orderType === 'market' && priceBounded ? 'ioc' : orderType;
+  }
+  
+  /**
+   * 🔑 周期退出配置摘要 (用于日志)
+   * @returns {string}
+   */
+  describeExitConfig() {
+    const { stopLoss, maxDuration, maxUnrealizedLoss } = this.exitConfig;
+    const parts = [];
+    if (stopLoss.enabled) parts.push(`止损(最低档下方${stopLoss.percentage}%, ${stopLoss.sellMethod})`);
+    if (maxDuration.enabled) parts.push(`超时(${maxDuration.hours}小时, ${maxDuration.action === 'markdown' ? '减记' : `清仓/${maxDuration.sellMethod}`})`);
+    if (maxUnrealizedLoss.enabled) parts.push(`最大浮亏(${maxUnrealizedLoss.percentage}%, ${maxUnrealizedLoss.sellMethod})`);
+    return parts.length > 0 ? parts.join(', ') : '未启用';
+  }
+  
+  /**
+   * 🔑 止盈卖单中尚未成交、被交易所锁定的基础币数量
+   * @returns {number}
+   */
+  getLockedTakeProfitQuantity() {
+    let locked = 0;
+    for (const orderInfo of this.activeOrders.values()) {
+      if (orderInfo.side === 'Ask') {
+        locked += Math.max(0, orderInfo.quantity - (orderInfo.executedQuantity || 0));
+      }
+    }
+    return locked;
   }
   
   async initialize() {
     try {
-      // 加载配置
-      const configInfo = ConfigLoader.loadConfig(__dirname);
-      this.config = configInfo.config;
+      // 加载配置 - 多策略运行时使用注入的配置
+      if (!this.config) {
+        const configInfo = ConfigLoader.loadConfig(__dirname);
+        this.config = configInfo.config;
+      }
       
       // 🔑 加载马丁策略参数
+      this.direction = this.config.trading.direction === 'reverse' ? 'reverse' : 'long';
       this.totalAmount = this.config.trading.totalAmount || 1000;
       this.orderCount = this.config.trading.orderCount || 5;
       this.incrementPercent = this.config.trading.incrementPercentage || 25;
       this.maxDropPercent = this.config.trading.maxDropPercentage || 3.0;
+      this.baseMaxDropPercent = this.maxDropPercent;
+      this.ladder = LadderPlanner.resolveConfig(this.config.trading);
+      this.orderCount = this.ladder.orderCount;
       this.takeProfitPercent = this.config.trading.takeProfitPercentage || 0.25;
+      this.baseTakeProfitPercent = this.takeProfitPercent;
+      this.adaptiveConfig = this.loadAdaptiveConfig(this.config.trading.adaptive);
+      this.entryFilterConfig = this.loadEntryFilterConfig(this.config.trading.entryFilters);
+      const execution = this.config.trading.orderExecution || {};
+      this.orderExecution = {
+        ladderPostOnly: !!execution.ladderPostOnly,
+        takeProfitOrderType: ['ioc', 'market'].includes(execution.takeProfitOrderType) ? execution.takeProfitOrderType : 'limit',
+        selfTradePrevention: execution.selfTradePrevention || null,
+        depthAware: !!execution.depthAware,
+        maxSlippagePercentage: execution.maxSlippagePercentage ?? 0.3,
+        chunkIntervalSeconds: execution.chunkIntervalSeconds ?? 10
+      };
       this.noFillRestartMinutes = this.config.advanced?.noFillRestartMinutes || 3;
       this.maxPriceDifference = this.config.advanced?.maxPriceDifference || 0.3;
+      this.repriceTolerancePercent = this.config.advanced?.repriceTolerancePercentage ?? 0.1;
       this.minPositionValueThreshold = this.config.advanced?.minPositionValueThreshold || 50;
+      this.takerFeeRate = (this.config.advanced?.takerFeePercentage ?? 0.1) / 100;
+      this.makerFeeRate = (this.config.advanced?.makerFeePercentage ?? 0.08) / 100;
+      this.takeProfitMode = ['trailing', 'resting'].includes(this.config.trading.takeProfitMode)
+        ? this.config.trading.takeProfitMode
+        : 'immediate';
+      this.trailingRetracePercent = this.config.trading.trailingRetracePercentage || 0.1;
+      this.exitConfig = this.loadExitConfig(this.config.trading.exits);
+      this.takeProfitChaseConfig = this.loadTakeProfitChaseConfig(this.config.trading.takeProfitChase);
+      this.martingaleEnabled = !!this.config.trading.martingaleEnabled;
+      this.martingaleMultiplier = this.config.trading.martingaleMultiplier || 1;
+      this.maxConsecutiveLosses = this.config.trading.maxConsecutiveLosses || 0;
+      const allocation = this.config.trading.allocation || {};
+      this.allocation = {
+        mode: ['equityPercent', 'compounding'].includes(allocation.mode) ? allocation.mode : 'fixed',
+        equityPercentage: allocation.equityPercentage ?? 50,
+        reinvestPercentage: allocation.reinvestPercentage ?? 50
+      };
+      
+      // 🔑 交易币种及市场规则 - 先按配置，服务创建后从交易所加载
+      this.tradingCoin = this.config.trading.tradingCoin;
+      this.symbol = `${this.tradingCoin}_USDC`;
+      this.applyMarketRules(MarketRules.resolve(null, this.config, this.tradingCoin));
+      this.marketRulesRefreshMinutes = this.config.advanced?.marketRulesRefreshMinutes ?? 60;
       
       // 初始化服务
-      this.service = new BackpackService(this.config, this.logger);
+      this.service = ExchangeFactory.create(this.config, this.logger);
+      await this.loadMarketRules();
+      
+      // 🔑 独立资金账本初始值 - 默认按totalAmount分配 (正向为USDC，反向为基础币)
+      if (this.sharedAccount) {
+        const capital = this.config.capital || {};
+        this.ledger = {
+          usdc: capital.usdc ?? (this.isReverse() ? 0 : this.totalAmount),
+          base: capital.base ?? (this.isReverse() ? this.totalAmount : 0)
+        };
+      }
       
-      const symbol = `${this.config.trading.tradingCoin}_USDC`;
+      // 🔑 周期状态持久化 - 每个交易对一个状态文件，多策略时每个策略一个
+      const stateFile = this.config.advanced?.stateFile
+        || (this.strategyId ? `data/martingale_state_${this.strategyId}_${this.tradingCoin}.json` : `data/martingale_state_${this.tradingCoin}.json`);
+      this.stateStore = new CycleStateStore({
+        filePath: path.resolve(__dirname, stateFile),
+        logger: this.logger
+      });
+      
+      const symbol = this.symbol;
       
       this.logger.log('🎯 === 马丁策略交易器启动 ===');
+      if (this.strategyId) {
+        this.logger.log(`策略: ${this.strategyId}`);
+      }
       this.logger.log(`交易对: ${symbol}`);
+      this.logger.log(`🔑 市场规则 (${this.marketRules.source === 'exchange' ? '交易所' : '配置'}，每${this.marketRulesRefreshMinutes}分钟刷新):`);
+      this.logger.log(`  价格步长: ${this.marketRules.tickSize} USDC`);
+      this.logger.log(`  数量步长: ${this.marketRules.stepSize} ${this.tradingCoin}`);
+      this.logger.log(`  最小数量: ${this.minQuantity} ${this.tradingCoin}`);
+      if (this.marketRules.minNotional > 0) {
+        this.logger.log(`  最小金额: ${this.marketRules.minNotional} USDC`);
+      }
       this.logger.log(`🔑 马丁策略参数:`);
-      this.logger.log(`  总投资: ${this.totalAmount} USDC`);
+      this.logger.log(`  交易方向: ${this.isReverse() ? `反向 (上方分档卖出${this.tradingCoin}，回购止盈，收益以${this.tradingCoin}计)` : '正向 (下方分档买入，卖出止盈，收益以USDC计)'}`);
+      this.logger.log(`  总投资: ${this.totalAmount} ${this.getCapitalAsset()}`);
+      this.logger.log(`  资金分配: ${this.describeAllocation()}`);
       this.logger.log(`  订单数: ${this.orderCount} 个`);
       this.logger.log(`  金额递增: ${this.incrementPercent}%`);
       this.logger.log(`  价格区间: ${this.maxDropPercent}%`);
-      this.logger.log(`  止盈目标: ${this.takeProfitPercent}%`);
+      this.logger.log(`  阶梯形状: ${LadderPlanner.describe(this.ladder)}`);
+      this.logger.log(`  止盈目标: ${this.takeProfitPercent}% (扣除手续费后净收益)`);
+      this.logger.log(`  预估吃单手续费: ${(this.takerFeeRate * 100).toFixed(3)}%`);
+      const takeProfitModeNames = {
+        immediate: '立即止盈',
+        trailing: `追踪止盈 (回撤${this.trailingRetracePercent}%卖出)`,
+        resting: `挂单止盈 (Post-Only, 预估挂单手续费${(this.makerFeeRate * 100).toFixed(3)}%)`
+      };
+      this.logger.log(`  止盈模式: ${takeProfitModeNames[this.takeProfitMode]}`);
+      const chase = this.takeProfitChaseConfig;
+      this.logger.log(`  止盈追价: ${chase.enabled ? `${chase.waitSeconds}秒未成交按买一价重挂, 最多${chase.maxAttempts}次后${chase.fallback === 'market' ? '市价卖出' : '恢复阶梯挂单'}` : '未启用'}`);
+      this.logger.log(`  周期退出: ${this.describeExitConfig()}`);
+      this.logger.log(`  波动率自适应: ${this.describeAdaptiveConfig()}`);
+      this.logger.log(`  入场过滤: ${this.describeEntryFilters()}`);
+      this.logger.log(`  下单方式: ${this.describeOrderExecution()}`);
+      this.logger.log(`  马丁倍投: ${this.martingaleEnabled ? `启用 (亏损后资金×${this.martingaleMultiplier}, 最多连续亏损${this.maxConsecutiveLosses}轮)` : '未启用'}`);
       this.logger.log(`  无成交重启: ${this.noFillRestartMinutes} 分钟`);
       this.logger.log(`  价格偏差阈值: ${this.maxPriceDifference}%`);
+      this.logger.log(`  重新挂单容差: ±${this.repriceTolerancePercent}% (价格在容差内的挂单保留)`);
       this.logger.log(`  最小持仓价值阈值: $${this.minPositionValueThreshold}`);
+      this.logger.log(`  状态文件: ${this.stateStore.filePath}`);
+      if (this.ledger) {
+        this.logger.log(`  独立资金: ${this.ledger.usdc} USDC + ${this.ledger.base} ${this.tradingCoin} (状态文件中的账本优先)`);
+      }
       
-      // 🔑 初始化WebSocket
-      this.wsManager = new WebSocketManager({
-        config: this.config,
-        logger: this.logger,
+      // 🔑 初始化WebSocket - 多策略运行时由 StrategyRunner 共享连接并分发消息
+      if (this.wsManager) {
+        return symbol;
+      }
+      this.wsManager = this.service.createStream({
         onPriceUpdate: (tickerSymbol, price, timestamp) => {
           this.handlePriceUpdate(price);
         },
@@ -151,24 +655,316 @@ class MartingaleTrader {
     }
   }
   
+  /**
+   * 🔑 记录活跃订单并持久化
+   * @param {string} orderId - 订单ID
+   * @param {Object} orderInfo - 订单信息
+   */
+  trackOrder(orderId, orderInfo) {
+    const orderKey = String(orderId);
+    this.activeOrders.set(orderKey, { ...orderInfo, orderId: orderKey });
+    this.persistState();
+    
+    // 🔑 下单响应之前已收到的推送 - 待调用方完成记录后补处理
+    const pending = this.pendingOrderUpdates.get(orderKey);
+    if (pending) {
+      this.pendingOrderUpdates.delete(orderKey);
+      setTimeout(() => {
+        pending.updates.forEach(update => this.handleOrderUpdate(update));
+      }, 0);
+    }
+  }
+  
+  /**
+   * 🔑 移除活跃订单并持久化 - 订单短时间内保留在 releasedOrders 中，迟到的推送仍按累计成交补记
+   * @param {string} orderId - 订单ID
+   */
+  untrackOrder(orderId) {
+    const orderKey = String(orderId);
+    const orderInfo = this.activeOrders.get(orderKey);
+    if (orderInfo) {
+      this.activeOrders.delete(orderKey);
+      this.releasedOrders.set(orderKey, { orderInfo, releasedAt: Date.now() });
+      this.pruneOrderUpdateCaches();
+    }
+    this.persistState();
+  }
+  
+  /**
+   * 🔑 清理过期的暂存推送和移出跟踪的订单
+   */
+  pruneOrderUpdateCaches() {
+    const now = Date.now();
+    for (const [orderKey, pending] of this.pendingOrderUpdates) {
+      if (now - pending.stashedAt > PENDING_UPDATE_TTL_MS) {
+        this.pendingOrderUpdates.delete(orderKey);
+        this.logger.log(`🗑️ 订单 ${orderKey} 的暂存推送 ${PENDING_UPDATE_TTL_MS / 1000} 秒内未被跟踪，丢弃 ${pending.updates.length} 条`);
+      }
+    }
+    for (const [orderKey, released] of this.releasedOrders) {
+      if (now - released.releasedAt > RELEASED_ORDER_TTL_MS) {
+        this.releasedOrders.delete(orderKey);
+      }
+    }
+  }
+  
+  /**
+   * 🔑 导出需要持久化的周期状态
+   * @returns {Object} 可序列化的状态对象
+   */
+  serializeState() {
+    return {
+      version: 1,
+      symbol: this.symbol,
+      savedAt: Date.now(),
+      cycleCount: this.cycleCount,
+      totalProfit: this.totalProfit,
+      cycleStartTime: this.cycleStartTime,
+      strategyStartPrice: this.strategyStartPrice,
+      takeProfitInProgress: this.takeProfitInProgress,
+      trailingTakeProfit: this.trailingTakeProfit,
+      lowestLadderPrice: this.lowestLadderPrice,
+      cycleExit: this.cycleExit,
+      losingCycleCount: this.losingCycleCount,
+      cycleHistory: this.cycleHistory,
+      cycleVolatility: this.cycleVolatility,
+      ledger: this.ledger,
+      allocation: {
+        cycleCapital: this.cycleCapital,
+        compoundedProfit: this.compoundedProfit,
+        protectedReserve: this.protectedReserve
+      },
+      martingale: {
+        consecutiveLosses: this.consecutiveLosses,
+        tradingHalted: this.tradingHalted,
+        haltReason: this.haltReason
+      },
+      activeOrders: Array.from(this.activeOrders.values()),
+      filledOrders: this.filledOrders,
+      dust: this.dust,
+      position: {
+        cost: this.positionCost,
+        avgPrice: this.positionAvgPrice,
+        quantity: this.positionQuantity
+      }
+    };
+  }
+  
+  /**
+   * 🔑 从持久化状态恢复内存数据
+   * @param {Object} state - 状态对象
+   */
+  applyState(state) {
+    this.cycleCount = state.cycleCount || 0;
+    this.totalProfit = state.totalProfit || 0;
+    this.cycleStartTime = state.cycleStartTime || 0;
+    this.strategyStartPrice = state.strategyStartPrice || 0;
+    this.takeProfitInProgress = !!state.takeProfitInProgress;
+    this.trailingTakeProfit = state.trailingTakeProfit?.active
+      ? { ...state.trailingTakeProfit }
+      : { active: false, peakPrice: 0, activatedAt: 0 };
+    this.filledOrders = Array.isArray(state.filledOrders) ? state.filledOrders : [];
+    this.lowestLadderPrice = state.lowestLadderPrice || 0;
+    this.cycleExit = state.cycleExit || null;
+    this.losingCycleCount = state.losingCycleCount || 0;
+    this.cycleHistory = Array.isArray(state.cycleHistory) ? state.cycleHistory : [];
+    this.cycleCapital = state.allocation?.cycleCapital || 0;
+    this.applyCycleVolatility(state.cycleVolatility || null);
+    this.compoundedProfit = state.allocation?.compoundedProfit || 0;
+    this.protectedReserve = state.allocation?.protectedReserve || 0;
+    this.consecutiveLosses = state.martingale?.consecutiveLosses || 0;
+    this.tradingHalted = !!state.martingale?.tradingHalted;
+    this.haltReason = state.martingale?.haltReason || null;
+    if (this.ledger && state.ledger) {
+      this.ledger = { usdc: state.ledger.usdc || 0, base: state.ledger.base || 0 };
+    }
+    
+    this.activeOrders.clear();
+    for (const orderInfo of state.activeOrders || []) {
+      this.activeOrders.set(String(orderInfo.orderId), { ...orderInfo, orderId: String(orderInfo.orderId) });
+    }
+    
+    this.positionCost = state.position?.cost || 0;
+    this.positionAvgPrice = state.position?.avgPrice || 0;
+    this.positionQuantity = state.position?.quantity || 0;
+    this.dust = { quantity: state.dust?.quantity || 0, cost: state.dust?.cost || 0 };
+  }
+  
+  /**
+   * 🔑 保存周期状态 - 失败只记录日志，不影响交易流程
+   */
+  persistState() {
+    if (!this.stateStore) return;
+    
+    try {
+      this.stateStore.save(this.serializeState());
+    } catch (error) {
+      this.logger.log(`保存周期状态失败: ${error.message}`, true);
+    }
+  }
+  
+  /**
+   * 🔑 恢复周期状态并与交易所对账
+   * - 状态中的活跃订单仍在挂单列表中则继续跟踪
+   * - 已不在挂单列表中的订单，用成交历史补齐离线期间的成交
+   * @returns {Promise<string>} 'none' 无状态 | 'resumed' 继续原周期 | 'completed' 离线期间止盈已完成
+   */
+  async restoreState() {
+    const state = this.stateStore.load();
+    if (!state) {
+      this.logger.log('📂 未找到周期状态文件，按新启动处理');
+      return 'none';
+    }
+    
+    if (state.symbol !== this.symbol) {
+      this.logger.log(`⚠️ 状态文件交易对(${state.symbol})与当前配置(${this.symbol})不一致，忽略`);
+      return 'none';
+    }
+    
+    this.applyState(state);
+    this.logger.log(`📂 已加载周期状态 (保存于 ${new Date(state.savedAt).toLocaleString()})`);
+    this.logger.log(`  完成周期: ${this.cycleCount} 轮, 总收益: ${this.formatCapital(this.totalProfit)}`);
+    this.logger.log(`  连续亏损: ${this.consecutiveLosses} 轮${this.tradingHalted ? ' (交易已停止)' : ''}`);
+    this.logger.log(`  本轮资金: ${this.formatCapital(this.cycleCapital)}, 储备金: ${this.formatCapital(this.protectedReserve)}`);
+    this.logger.log(`  活跃订单: ${this.activeOrders.size} 个, 成交记录: ${this.filledOrders.length} 笔`);
+    
+    try {
+      const openOrders = await this.safeApiCall(
+        () => this.service.getOpenOrders(this.symbol),
+        '对账: 获取挂单'
+      );
+      const fillHistory = await this.safeApiCall(
+        () => this.service.getFillHistory(this.symbol, 200),
+        '对账: 获取成交历史'
+      );
+      
+      const openOrderIds = new Set((openOrders || []).map(order => order.orderId));
+      const fills = Array.isArray(fillHistory) ? fillHistory : [];
+      const reconciledExits = [];
+      const exitSide = this.isReverse() ? 'Bid' : 'Ask';
+      
+      for (const [orderId, orderInfo] of Array.from(this.activeOrders.entries())) {
+        const record = this.reconcileOrderFills(orderId, orderInfo, fills);
+        if (record) {
+          this.logger.log(`🔁 补录离线成交: ${orderId} ${record.side} ${record.quantity} ${this.tradingCoin} @ ${record.price.toFixed(this.pricePrecision)} USDC`);
+          this.applyFillToLedger(record);
+          if (record.side === exitSide) {
+            reconciledExits.push(record);
+          }
+        }
+        
+        if (!openOrderIds.has(orderId)) {
+          this.logger.log(`🔁 订单 ${orderId} 已不在挂单列表中 (已成交或已取消)，停止跟踪`);
+          this.activeOrders.delete(orderId);
+        }
+      }
+      
+      // 🔑 未跟踪的挂单: 本程序命名空间内的为崩溃前未记录的残留订单，撤销；其余为手动/其他程序订单，只报告
+      const untracked = (openOrders || []).filter(order => !this.activeOrders.has(order.orderId));
+      const leftovers = untracked.filter(order => this.service.ownsOrder(order));
+      const foreign = untracked.filter(order => !this.service.ownsOrder(order));
+      if (foreign.length > 0) {
+        this.logger.log(`⚠️ 交易所有 ${foreign.length} 个非本程序挂单，不做处理: ${foreign.map(o => o.orderId).join(', ')}`);
+      }
+      for (const order of leftovers) {
+        const orderId = order.orderId;
+        try {
+          await this.safeApiCall(() => this.service.cancelOrder(orderId, this.symbol), `撤销未记录的本程序挂单 ${orderId}`);
+        } catch (error) {
+          this.logger.log(`撤销未记录的本程序挂单 ${orderId} 失败: ${error.message}`, true);
+        }
+      }
+      
+      this.updatePositionData();
+      this.persistState();
+      
+      // 🔑 止盈单在离线期间已成交且仓位已平 - 结算本轮并开启新周期
+      const takeProfitStillOpen = Array.from(this.activeOrders.values()).some(order => this.isExitOrder(order));
+      const boughtQuantity = this.filledOrders.filter(o => o.side === 'Bid').reduce((sum, o) => sum + o.quantity, 0);
+      const soldQuantity = this.filledOrders.filter(o => o.side === 'Ask').reduce((sum, o) => sum + o.quantity, 0);
+      const positionClosed = this.isReverse() ? !this.hasPosition() : boughtQuantity - soldQuantity < this.minQuantity;
+      if (reconciledExits.length > 0 && !takeProfitStillOpen && positionClosed) {
+        const reason = this.cycleExit?.reason || 'takeProfit';
+        this.logger.log(`🎯 离线期间${this.getExitReasonName(reason)}${this.isReverse() ? '回购' : '卖出'}已完成，结算本轮`);
+        this.completeCycle(reason);
+        return 'completed';
+      }
+      
+      if (this.cycleExit && !Array.from(this.activeOrders.values()).some(order => order.role === 'exit')) {
+        // 退出卖单未挂出或已消失 - 清除退出状态，由退出检查重新判断
+        this.logger.log(`⚠️ 上次${this.getExitReasonName(this.cycleExit.reason)}退出未完成，重新检查退出条件`);
+        this.cycleExit = null;
+        this.persistState();
+      }
+      
+      if (this.takeProfitInProgress && !takeProfitStillOpen) {
+        // 止盈单已消失但没有成交记录 - 视为被取消，恢复马丁流程
+        this.takeProfitInProgress = false;
+        this.persistState();
+      }
+      
+      return 'resumed';
+    } catch (error) {
+      this.logger.log(`周期状态对账失败: ${error.message}，使用状态文件中的数据继续`, true);
+      return 'resumed';
+    }
+  }
+  
+  /**
+   * 🔑 用成交历史补齐单个订单缺失的成交数量
+   * @param {string} orderId - 订单ID
+   * @param {Object} orderInfo - 订单信息
+   * @param {Array} fills - 交易所成交历史
+   * @returns {Object|null} 补录的成交记录
+   */
+  reconcileOrderFills(orderId, orderInfo, fills) {
+    const historyFills = fills.filter(fill => fill.orderId === orderId);
+    if (historyFills.length === 0) return null;
+    
+    const historyQuantity = historyFills.reduce((sum, fill) => sum + fill.quantity, 0);
+    const historyAmount = historyFills.reduce((sum, fill) => sum + fill.price * fill.quantity, 0);
+    const historyFee = historyFills.reduce((sum, fill) => sum + fill.fee, 0);
+    const feeAsset = historyFills.find(fill => fill.feeSymbol)?.feeSymbol || null;
+    const recordedFills = this.filledOrders.filter(order => String(order.orderId) === orderId);
+    const recordedQuantity = recordedFills.reduce((sum, order) => sum + order.quantity, 0);
+    const recordedFee = recordedFills.reduce((sum, order) => sum + (order.fee || 0), 0);
+    
+    const missingQuantity = historyQuantity - recordedQuantity;
+    if (missingQuantity <= this.marketRules.stepSize / 2) return null;
+    
+    const averagePrice = historyAmount / historyQuantity;
+    // 同步订单累计成交，后续WebSocket更新按新的基数计算增量
+    orderInfo.executedQuantity = historyQuantity;
+    orderInfo.executedQuote = historyAmount;
+    const lastFillTime = Math.max(...historyFills.map(fill => fill.timestamp));
+    const record = {
+      orderId,
+      side: orderInfo.side || historyFills[0].side,
+      price: averagePrice,
+      quantity: missingQuantity,
+      amount: averagePrice * missingQuantity,
+      ...this.buildFeeFields(Math.max(0, historyFee - recordedFee), feeAsset, averagePrice),
+      fillTime: lastFillTime || Date.now(),
+      source: 'reconcile'
+    };
+    
+    this.filledOrders.push(record);
+    return record;
+  }
+  
   /**
    * 🔑 安全API调用 - 激进限流减少API冲突
+   * 调用间隔由 apiBudget 分配，多策略运行时所有策略共享同一预算
    */
   async safeApiCall(apiFunction, description) {
     try {
       // 🔑 优化限流 - 6秒间隔提高响应速度
-      const minInterval = 6000;
-      
-      if (this.lastApiCall) {
-        const timeSinceLastCall = Date.now() - this.lastApiCall;
-        if (timeSinceLastCall < minInterval) {
-          const waitTime = minInterval - timeSinceLastCall;
-          this.logger.log(`⏳ API限流等待 ${Math.ceil(waitTime/1000)}秒...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
+      const waitTime = this.apiBudget.reserve();
+      if (waitTime > 0) {
+        this.logger.log(`⏳ API限流等待 ${Math.ceil(waitTime/1000)}秒...`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
       }
       
-      this.lastApiCall = Date.now();
       this.logger.log(`🔄 ${description}...`);
       
       const result = await apiFunction();
@@ -178,12 +974,13 @@ class MartingaleTrader {
     } catch (error) {
       this.logger.log(`❌ ${description} 失败: ${error.message}`, true);
       
-      // 🔑 根据错误类型决定等待时间
-      if (error.message.includes('429')) {
+      // 🔑 根据错误类型决定等待时间 (资金不足/价格无效是确定性的拒单，不需要等待)
+      if (error.rateLimited) {
         this.logger.log('🚫 遇到API限流，等待1分钟...');
+        this.apiBudget.pause(60000);
         await new Promise(resolve => setTimeout(resolve, 60000));
-      } else if (error.message.includes('400')) {
-        this.logger.log('⚠️ 遇到API 400错误，等待15秒...');
+      } else if (error.status === 400 && !error.insufficientFunds && !error.invalidPrice) {
+        this.logger.log(`⚠️ 遇到API 400错误${error.code ? ` (${error.code})` : ''}，等待15秒...`);
         await new Promise(resolve => setTimeout(resolve, 15000));
       }
       
@@ -208,11 +1005,13 @@ class MartingaleTrader {
       this.checkPriceDeviation();
     }
     
+    // 🔑 周期退出条件优先于止盈
+    if (this.checkCycleExits()) return;
+    
     // 🔑 检查止盈条件 - 有持仓时更频繁检查
-    const positionValue = this.solBalance * this.currentPrice;
-    if (this.solBalance > 0.01 && positionValue >= this.minPositionValueThreshold) {
+    if (this.hasPosition()) {
       // 有持仓时：任何价格变化都检查止盈（止盈目标只有0.25%，需要敏感监控）
-      if (oldPrice > 0 && Math.abs(this.currentPrice - oldPrice) > 0.01) { // 绝对变化0.01 USDC
+      if (oldPrice > 0 && Math.abs(this.currentPrice - oldPrice) >= this.marketRules.tickSize) { // 至少变化一个价格步长
         this.checkTakeProfit();
       }
     } else {
@@ -224,75 +1023,206 @@ class MartingaleTrader {
   }
   
   /**
-   * 🔑 订单更新处理
+   * 🔑 统一订单状态格式 (兼容 Filled / FILLED / Cancelled / CANCELED 等写法)
+   * @param {string} status - 原始状态
+   * @returns {string} 标准化状态
+   */
+  normalizeOrderStatus(status) {
+    const normalized = String(status || '').replace(/[_\s]/g, '').toUpperCase();
+    const statusMap = {
+      NEW: 'NEW',
+      PARTIALLYFILLED: 'PARTIALLY_FILLED',
+      FILLED: 'FILLED',
+      CANCELED: 'CANCELED',
+      CANCELLED: 'CANCELED',
+      EXPIRED: 'EXPIRED'
+    };
+    return statusMap[normalized] || normalized;
+  }
+  
+  /**
+   * 🔑 订单更新处理 - 按累计成交量逐笔记录增量成交（支持部分成交）
    */
   handleOrderUpdate(orderUpdate) {
-    const { orderId, status, side, price, quantity } = orderUpdate;
+    const { orderId } = orderUpdate;
+    const status = this.normalizeOrderStatus(orderUpdate.status);
+    const orderKey = String(orderId);
     
-    this.logger.log(`📡 WebSocket订单更新: ${JSON.stringify(orderUpdate)}`);
+    this.logger.log(`📡 WebSocket订单更新: ${JSON.stringify({ ...orderUpdate, rawData: undefined })}`);
     
     // 🔑 检查订单是否在活跃列表中
-    if (!this.activeOrders.has(orderId)) {
-      this.logger.log(`⚠️ 收到未知订单更新: ${orderId}`);
+    const orderInfo = this.activeOrders.get(orderKey);
+    if (!orderInfo) {
+      const released = this.releasedOrders.get(orderKey);
+      if (released) {
+        // 已移出跟踪的订单 (撤单响应先于推送到达等) - 只补记新增成交
+        this.handleReleasedOrderUpdate(orderKey, released.orderInfo, orderUpdate, status);
+      } else if (this.service.ownsOrder(orderUpdate)) {
+        // 本程序订单的推送可能先于下单响应到达 - 暂存，开始跟踪后补处理
+        this.stashOrderUpdate(orderKey, orderUpdate);
+      } else {
+        this.logger.log(`⚠️ 忽略非本程序订单更新: ${orderId} (clientId: ${orderUpdate.clientId ?? '无'})`);
+      }
       return;
     }
     
     this.logger.log(`🔄 订单更新: ${orderId} ${status}`);
     
-    if (status === 'FILLED') {
-      this.logger.log(`✅ 订单成交: ${side} ${quantity} SOL @ ${price} USDC`);
-      
-      // 🔑 简化逻辑：买入一次记录一次
-      const fillRecord = {
-        orderId,
-        side,
-        price: parseFloat(price),
-        quantity: parseFloat(quantity),
-        amount: parseFloat(price) * parseFloat(quantity),
-        fillTime: Date.now()
-      };
-      
-      this.filledOrders.push(fillRecord);
-      this.activeOrders.delete(orderId);
-      
-      if (side === 'Bid') {
-        // 🔑 买单成交处理
+    // 🔑 先记录本次更新带来的新增成交，再处理状态变化
+    const fillRecord = this.recordIncrementalFill(orderInfo, orderUpdate, status);
+    if (fillRecord) {
+      if (fillRecord.side === 'Bid') {
         this.handleBuyFill(fillRecord);
-        
-      } else if (side === 'Ask') {
-        // 🔑 卖单成交处理  
+      } else {
         this.handleSellFill(fillRecord);
-        
-        this.logger.log(`💰 止盈完成:`);
-        this.logger.log(`  本轮收益: +${profit.toFixed(2)} USDC`);
-        this.logger.log(`  总收益: +${this.totalProfit.toFixed(2)} USDC`);
-        this.logger.log(`  完成周期: ${this.cycleCount}`);
-        
-        // 🔑 重置止盈状态
-        this.takeProfitInProgress = false;
-        
-        // 重置状态并开始新周期
-        setTimeout(() => this.startNewCycle(), 5000);
+      }
+      
+      // 阶梯订单成交改变了持仓成本，立即检查止盈 (关闭时撤单补记的成交不再触发)
+      if (!this.isExitOrder(orderInfo) && this.isRunning) {
+        this.logger.log(`🔍 阶梯订单成交，立即检查止盈...`);
+        setTimeout(() => {
+          this.checkTakeProfit();
+        }, 500);
       }
     }
     
-    if (status === 'CANCELED') {
-      this.activeOrders.delete(orderId);
+    if (status === 'FILLED') {
+      this.untrackOrder(orderKey);
+      if (orderInfo.chunked) {
+        this.continueTakeProfitChunks(orderInfo);
+      } else if (this.isExitOrder(orderInfo)) {
+        this.completeCycle(orderInfo.role === 'exit' ? orderInfo.exitReason : 'takeProfit');
+      }
+    } else if (status === 'CANCELED' || status === 'EXPIRED') {
+      this.untrackOrder(orderKey);
+      if (orderInfo.side === 'Ask') {
+        // 卖单未成交部分解锁
+        this.baseBalance += Math.max(0, orderInfo.quantity - (orderInfo.executedQuantity || 0));
+      }
+      if (this.isExitOrder(orderInfo) && !orderInfo.chasing) {
+        // 止盈单被取消 - 已成交部分保留在记录中，剩余持仓重新等待止盈 (追价撤单由追价流程继续处理)
+        this.logger.log(`⚠️ 止盈单 ${orderKey} 已取消 (已成交 ${(orderInfo.executedQuantity || 0).toFixed(6)} ${this.tradingCoin})，恢复止盈监控`);
+        this.takeProfitInProgress = false;
+        this.takeProfitExecution = null;
+        this.clearTakeProfitChaseTimer();
+        if (orderInfo.role === 'exit') {
+          this.cycleExit = null;
+        }
+        this.persistState();
+      }
+    } else if (fillRecord) {
+      this.persistState();
     }
   }
   
   /**
-   * 🔑 处理WebSocket余额更新 - 减少REST API调用
+   * 🔑 已移出跟踪的订单的迟到推送 - 按累计成交补记撤单快照之后的新增成交，不再触发止盈或周期结算
+   * @param {string} orderKey - 订单ID
+   * @param {Object} orderInfo - 移出跟踪时的订单信息（会更新其累计成交字段）
+   * @param {Object} orderUpdate - WebSocket订单更新
+   * @param {string} status - 标准化后的订单状态
    */
-  handleBalanceUpdate(balances) {
-    try {
-      let updated = false;
+  handleReleasedOrderUpdate(orderKey, orderInfo, orderUpdate, status) {
+    const fillRecord = this.recordIncrementalFill(orderInfo, orderUpdate, status);
+    if (fillRecord) {
+      this.logger.log(`🔁 订单 ${orderKey} 移出跟踪后仍有成交，已补记`);
+      if (fillRecord.side === 'Bid') {
+        this.handleBuyFill(fillRecord);
+      } else {
+        this.handleSellFill(fillRecord);
+      }
+      this.persistState();
+    }
+    
+    if (['FILLED', 'CANCELED', 'EXPIRED'].includes(status)) {
+      this.releasedOrders.delete(orderKey);
+    }
+  }
+  
+  /**
+   * 🔑 暂存尚未跟踪的本程序订单推送 - 超过 PENDING_UPDATE_TTL_MS 仍未跟踪的订单推送被丢弃
+   * @param {string} orderKey - 订单ID
+   * @param {Object} orderUpdate - WebSocket订单更新
+   */
+  stashOrderUpdate(orderKey, orderUpdate) {
+    this.pruneOrderUpdateCaches();
+    const pending = this.pendingOrderUpdates.get(orderKey) || { updates: [], stashedAt: Date.now() };
+    pending.updates.push(orderUpdate);
+    this.pendingOrderUpdates.set(orderKey, pending);
+    this.logger.log(`⏳ 本程序订单 ${orderKey} 尚未跟踪，暂存推送 (${pending.updates.length} 条)`);
+  }
+  
+  /**
+   * 🔑 根据订单累计成交量计算本次增量成交并写入成交记录
+   * @param {Object} orderInfo - 活跃订单信息（会更新其累计成交字段）
+   * @param {Object} orderUpdate - WebSocket订单更新
+   * @param {string} status - 标准化后的订单状态
+   * @returns {Object|null} 新增成交记录，没有新增成交时返回null
+   */
+  recordIncrementalFill(orderInfo, orderUpdate, status) {
+    let executedQuantity = parseFloat(orderUpdate.filledQuantity) || 0;
+    // 兼容不带累计成交量的成交消息：完全成交即为订单数量
+    if (executedQuantity <= 0 && status === 'FILLED') {
+      executedQuantity = parseFloat(orderUpdate.quantity) || parseFloat(orderInfo.quantity) || 0;
+    }
+    
+    const previousQuantity = orderInfo.executedQuantity || 0;
+    const previousQuote = orderInfo.executedQuote || 0;
+    const deltaQuantity = executedQuantity - previousQuantity;
+    if (deltaQuantity <= this.marketRules.stepSize / 2) {
+      return null;
+    }
+    
+    // 优先使用累计成交额，其次本次成交价，最后退回订单价格
+    let deltaQuote;
+    const executedQuote = parseFloat(orderUpdate.executedQuoteQuantity) || 0;
+    if (executedQuote > previousQuote) {
+      deltaQuote = executedQuote - previousQuote;
+    } else if (orderUpdate.lastFillPrice > 0) {
+      deltaQuote = deltaQuantity * orderUpdate.lastFillPrice;
+    } else {
+      deltaQuote = deltaQuantity * (parseFloat(orderUpdate.price) || orderInfo.price);
+    }
+    
+    orderInfo.executedQuantity = executedQuantity;
+    orderInfo.executedQuote = previousQuote + deltaQuote;
+    
+    const fillPrice = deltaQuote / deltaQuantity;
+    const fillRecord = {
+      orderId: orderInfo.orderId,
+      side: orderInfo.side,
+      price: fillPrice,
+      quantity: deltaQuantity,
+      amount: deltaQuote,
+      ...this.buildFeeFields(orderUpdate.fee, orderUpdate.feeSymbol, fillPrice),
+      tradeId: orderUpdate.tradeId,
+      fillTime: Date.now()
+    };
+    
+    this.filledOrders.push(fillRecord);
+    
+    const fillType = status === 'FILLED' ? '完全成交' : '部分成交';
+    this.logger.log(`✅ 订单${fillType}: ${fillRecord.side} +${deltaQuantity.toFixed(6)} ${this.tradingCoin} @ ${fillRecord.price.toFixed(this.pricePrecision)} USDC (累计 ${executedQuantity.toFixed(6)}/${orderInfo.quantity})`);
+    
+    return fillRecord;
+  }
+  
+  /**
+   * 🔑 处理WebSocket余额更新 - 减少REST API调用
+   */
+  handleBalanceUpdate(balances) {
+    // 共享账户时账户余额包含其他策略的资金，以独立资金账本为准
+    if (this.ledger) return;
+    
+    try {
+      let updated = false;
       
-      // 🔑 更新SOL余额 - 持仓仍用available
-      if (balances.SOL) {
-        const newSolBalance = parseFloat(balances.SOL.available) || 0;
-        if (Math.abs(newSolBalance - this.solBalance) > 0.000001) { // 精度阈值
-          this.solBalance = newSolBalance;
+      // 🔑 更新基础币余额 - 持仓仍用available
+      const baseBalanceUpdate = balances[this.tradingCoin];
+      if (baseBalanceUpdate) {
+        const newBaseBalance = parseFloat(baseBalanceUpdate.available) || 0;
+        if (Math.abs(newBaseBalance - this.baseBalance) > 0.000001) { // 精度阈值
+          this.baseBalance = newBaseBalance;
           updated = true;
         }
       }
@@ -313,12 +1243,11 @@ class MartingaleTrader {
       
       if (updated) {
         this.logger.log(`📡 WebSocket余额更新:`);
-        this.logger.log(`  SOL: ${this.solBalance.toFixed(6)} SOL`);
+        this.logger.log(`  ${this.tradingCoin}: ${this.baseBalance.toFixed(6)} ${this.tradingCoin}`);
         this.logger.log(`  USDC: ${this.usdcBalance.toFixed(2)} USDC (总余额=${(this.usdcAvailable||0).toFixed(2)}+${(this.usdcLocked||0).toFixed(2)})`);
         
-        // 如果有SOL持仓，检查止盈条件
-        const positionValue = this.solBalance * this.currentPrice;
-        if (this.solBalance > 0.01 && positionValue >= this.minPositionValueThreshold) {
+        // 如果有基础币持仓，检查止盈条件
+        if (this.hasPosition()) {
           this.checkTakeProfit();
         }
       }
@@ -331,347 +1260,1840 @@ class MartingaleTrader {
    * 🔑 买单成交处理 - 买入一次记录一次
    */
   handleBuyFill(fillRecord) {
-    const { price, quantity, amount } = fillRecord;
+    const { netQuantity, netAmount } = this.getNetFill(fillRecord);
     
-    // 更新余额
-    this.solBalance += quantity;
-    this.usdcBalance -= amount;
+    // 更新余额 - 扣除手续费后的实际到账
+    this.baseBalance += netQuantity;
+    this.usdcBalance -= netAmount;
+    this.applyFillToLedger(fillRecord);
     
     this.logger.log(`📊 买单成交后状态:`);
-    this.logger.log(`  SOL持仓: ${this.solBalance.toFixed(6)} SOL`);
+    this.logger.log(`  ${this.tradingCoin}持仓: ${this.baseBalance.toFixed(6)} ${this.tradingCoin}`);
     this.logger.log(`  剩余资金: ${this.usdcBalance.toFixed(2)} USDC`);
-    
-    // 立即检查止盈
-    this.logger.log(`🔍 买单成交，立即检查止盈...`);
-    setTimeout(() => {
-      this.checkTakeProfit();
-    }, 500);
   }
   
   /**
-   * 🔑 卖单成交处理 - 止盈完成，开始下一轮
+   * 🔑 卖单成交处理 - 止盈单或反向阶梯卖单（部分）成交，更新余额
    */
   handleSellFill(fillRecord) {
-    const { price, quantity, amount } = fillRecord;
+    const { price, quantity } = fillRecord;
+    const { netAmount } = this.getNetFill(fillRecord);
     
-    // 更新余额
-    this.solBalance -= quantity;
-    this.usdcBalance += amount;
+    // 更新余额 - 卖出的基础币在挂单时已锁定，只需增加扣除手续费后的USDC
+    this.usdcBalance += netAmount;
+    this.applyFillToLedger(fillRecord);
+    
+    this.logger.log(`📊 卖单成交后状态:`);
+    this.logger.log(`  卖出: ${quantity.toFixed(6)} ${this.tradingCoin} @ ${price.toFixed(this.pricePrecision)} USDC`);
+    this.logger.log(`  手续费: ${(fillRecord.fee || 0).toFixed(6)} ${fillRecord.feeAsset || ''}`);
+    this.logger.log(`  剩余持仓: ${(this.baseBalance + this.getLockedTakeProfitQuantity()).toFixed(6)} ${this.tradingCoin}`);
+  }
+  
+  /**
+   * 🔑 成交计入独立资金账本 (仅共享账户时)
+   * @param {Object} fillRecord - 成交记录
+   */
+  applyFillToLedger(fillRecord) {
+    if (!this.ledger) return;
     
-    // 计算本轮收益
-    const buyOrders = this.filledOrders.filter(order => order.side === 'Bid');
-    const totalCost = buyOrders.reduce((sum, order) => sum + order.amount, 0);
-    const profit = amount - totalCost;
+    const { netQuantity, netAmount } = this.getNetFill(fillRecord);
+    if (fillRecord.side === 'Bid') {
+      this.ledger.base += netQuantity;
+      this.ledger.usdc -= netAmount;
+    } else {
+      this.ledger.base -= netQuantity;
+      this.ledger.usdc += netAmount;
+    }
+  }
+  
+  /**
+   * 🔑 撤销本策略跟踪的挂单 - 逐个撤销，不使用按交易对全部撤单，手动下单和其他策略的订单不受影响
+   * 撤单成功的订单由调用方交给 applyCancelResults 补记成交并移出活跃列表；撤单失败的订单仍在交易所，继续跟踪
+   * 每个撤单请求单独经过 safeApiCall，占用各自的API预算时段
+   * @param {string} description - 操作描述 (日志用)
+   * @returns {Promise<Array>} 撤单结果 (订单快照，可交给 applyCancelResults)
+   */
+  async cancelOwnedOrders(description = '撤销挂单') {
+    const results = [];
+    const failedIds = [];
+    for (const orderId of Array.from(this.activeOrders.keys())) {
+      try {
+        const snapshot = await this.safeApiCall(
+          () => this.service.cancelOrder(orderId, this.symbol),
+          `${description} ${orderId}`
+        );
+        results.push({ ...snapshot, orderId });
+      } catch (error) {
+        if (error.orderNotFound) {
+          // 订单已不在交易所 (已成交或已取消)，成交已由推送记录
+          this.logger.log(`🔁 订单 ${orderId} 已不在交易所，停止跟踪`);
+          this.untrackOrder(orderId);
+        } else {
+          this.logger.log(`取消订单 ${orderId} 失败: ${error.message}`, true);
+          failedIds.push(orderId);
+        }
+      }
+    }
     
+    if (failedIds.length > 0) {
+      this.logger.log(`⚠️ ${failedIds.length} 个订单撤销失败，继续跟踪: ${failedIds.join(', ')}`, true);
+    }
+    return results;
+  }
+  
+  /**
+   * 🔑 退出原因名称
+   * @param {string} reason - takeProfit | stopLoss | maxDuration | maxUnrealizedLoss
+   * @returns {string}
+   */
+  getExitReasonName(reason) {
+    const names = {
+      takeProfit: '止盈',
+      stopLoss: '止损',
+      maxDuration: '超时',
+      maxUnrealizedLoss: '最大浮亏'
+    };
+    return names[reason] || reason;
+  }
+  
+  /**
+   * 🔑 记录周期结算结果 - 亏损周期单独计数，保留最近50条记录
+   * @param {string} reason - 结算原因
+   * @param {number} profit - 本轮净收益
+   * @param {number|null} exitPrice - 本轮平均退出成交价 (正向为卖出价，反向为回购价)，用于再入场价格过滤
+   */
+  recordCycleResult(reason, profit, exitPrice = null) {
     this.totalProfit += profit;
     this.cycleCount++;
+    if (profit < 0) {
+      this.losingCycleCount++;
+      this.consecutiveLosses++;
+    } else {
+      this.consecutiveLosses = 0;
+    }
     
-    this.logger.log(`🎉 止盈完成:`);
-    this.logger.log(`  卖出: ${quantity.toFixed(6)} SOL @ ${price.toFixed(2)} USDC`);
-    this.logger.log(`  本轮成本: ${totalCost.toFixed(2)} USDC`);
-    this.logger.log(`  本轮收益: +${profit.toFixed(2)} USDC`);
-    this.logger.log(`  总收益: +${this.totalProfit.toFixed(2)} USDC`);
+    // 复利模式：盈利按比例再投入，其余转入储备金；亏损全部由再投入资金承担
+    if (this.allocation.mode === 'compounding') {
+      if (profit > 0) {
+        const reinvested = profit * this.allocation.reinvestPercentage / 100;
+        this.compoundedProfit += reinvested;
+        this.protectedReserve += profit - reinvested;
+      } else {
+        this.compoundedProfit += profit;
+      }
+    }
     
-    // 清空记录，开始下一轮
-    this.logger.log(`🔄 准备开始新一轮...`);
-    setTimeout(() => {
-      this.startNewCycle();
-    }, 2000);
+    this.cycleHistory.push({
+      cycle: this.cycleCount,
+      reason,
+      profit,
+      exitPrice,
+      startTime: this.cycleStartTime,
+      endTime: Date.now()
+    });
+    if (this.cycleHistory.length > 50) {
+      this.cycleHistory.shift();
+    }
+    
+    if (this.martingaleEnabled && this.maxConsecutiveLosses > 0 && this.consecutiveLosses >= this.maxConsecutiveLosses) {
+      this.haltTrading(`连续亏损 ${this.consecutiveLosses} 轮，达到上限 ${this.maxConsecutiveLosses} 轮`);
+    }
   }
-
+  
   /**
-   * 🔑 更新持仓数据 - 基于实际成交记录
+   * 🔑 停止交易并告警 - 状态持久化，重启后仍保持停止
+   * @param {string} reason - 停止原因
    */
-  updatePositionData() {
-    const buyOrders = this.filledOrders.filter(order => order.side === 'Bid');
+  haltTrading(reason) {
+    this.tradingHalted = true;
+    this.haltReason = reason;
+    this.persistState();
     
-    if (buyOrders.length === 0) {
-      // 没有成交记录时保持原有数据
+    this.logger.log(`\n🚨 === 交易已停止 ===`, true);
+    this.logger.log(`原因: ${reason}`, true);
+    this.logger.log(`不再创建新的马丁订单。人工确认后将状态文件中 martingale.tradingHalted 改为 false、consecutiveLosses 改为 0 再重启`, true);
+  }
+  
+  /**
+   * 🔑 资金分配模式摘要 (用于日志)
+   * @returns {string}
+   */
+  describeAllocation() {
+    switch (this.allocation.mode) {
+      case 'equityPercent':
+        return `权益百分比 (${this.allocation.equityPercentage}%)`;
+      case 'compounding':
+        return `复利 (基础 ${this.totalAmount} ${this.getCapitalAsset()}, 收益再投入${this.allocation.reinvestPercentage}%, 其余转入储备金)`;
+      default:
+        return `固定金额 (${this.totalAmount} ${this.getCapitalAsset()})`;
+    }
+  }
+  
+  /**
+   * 🔑 可用于马丁订单的USDC - 总余额扣除受保护储备金
+   * @returns {number}
+   */
+  getSpendableUsdc() {
+    return Math.max(0, this.usdcBalance - this.protectedReserve);
+  }
+  
+  /**
+   * 🔑 可用于马丁阶梯的资金 - 正向为可用USDC，反向为扣除储备金后的可用基础币
+   * @returns {number}
+   */
+  getSpendableCapital() {
+    return this.isReverse() ? Math.max(0, this.baseBalance - this.protectedReserve) : this.getSpendableUsdc();
+  }
+  
+  /**
+   * 🔑 按分配模式计算基础资金 (未计马丁倍投)
+   * @returns {number} 金额 (计价币种见 getCapitalAsset)
+   */
+  getBaseCapital() {
+    switch (this.allocation.mode) {
+      case 'equityPercent': {
+        const heldQuantity = this.baseBalance + this.getLockedTakeProfitQuantity();
+        const equity = this.isReverse()
+          ? heldQuantity - this.protectedReserve + (this.currentPrice > 0 ? this.usdcBalance / this.currentPrice : 0)
+          : this.getSpendableUsdc() + heldQuantity * this.currentPrice;
+        return equity * this.allocation.equityPercentage / 100;
+      }
+      case 'compounding':
+        return Math.max(0, this.totalAmount + this.compoundedProfit);
+      default:
+        return this.totalAmount;
+    }
+  }
+  
+  /**
+   * 🔑 应用本轮波动率参数，null 时恢复配置中的静态价格区间和止盈目标
+   * @param {Object|null} cycleVolatility - 本轮波动率参数
+   */
+  applyCycleVolatility(cycleVolatility) {
+    this.cycleVolatility = cycleVolatility;
+    this.maxDropPercent = cycleVolatility ? cycleVolatility.maxDropPercent : this.baseMaxDropPercent;
+    this.takeProfitPercent = cycleVolatility ? cycleVolatility.takeProfitPercent : this.baseTakeProfitPercent;
+  }
+  
+  /**
+   * 🔑 本轮价格区间和止盈目标 - 自适应模式下周期内首次挂单时按K线波动率计算，之后保持不变
+   * 缩放比例 = 当前波动率 / 基准波动率，结果限制在配置的上下限内；K线获取失败时使用静态配置
+   */
+  async resolveCycleVolatility() {
+    if (!this.adaptiveConfig.enabled || this.cycleVolatility) {
       return;
     }
     
-    // 基于实际成交记录更新持仓数据
-    let totalCost = 0;
-    let totalQuantity = 0;
+    const adaptive = this.adaptiveConfig;
+    let volatilityPercent = null;
+    try {
+      const candles = await this.safeApiCall(
+        () => this.service.getKLines(this.symbol, adaptive.interval, adaptive.window + 1),
+        '获取K线'
+      );
+      volatilityPercent = adaptive.indicator === 'stdev'
+        ? Indicators.returnStdevPercent(candles, adaptive.window)
+        : Indicators.atrPercent(candles, adaptive.window);
+    } catch (error) {
+      this.logger.log(`⚠️ 获取K线失败: ${error.message}`, true);
+    }
     
-    for (const order of buyOrders) {
-      totalCost += order.amount;
-      totalQuantity += order.quantity;
+    if (!(volatilityPercent > 0)) {
+      this.logger.log(`⚠️ 波动率数据不足，本轮使用静态参数: 价格区间 ${this.baseMaxDropPercent}%, 止盈 ${this.baseTakeProfitPercent}%`);
+      return;
     }
     
-    // 更新持仓基础数据
-    this.positionCost = totalCost;
-    this.positionQuantity = totalQuantity;
-    this.positionAvgPrice = totalCost / totalQuantity;
+    const clamp = (value, bounds) => Math.min(bounds.max, Math.max(bounds.min, value));
+    const scale = volatilityPercent / adaptive.referenceVolatilityPercentage;
+    this.applyCycleVolatility({
+      indicator: adaptive.indicator,
+      volatilityPercent,
+      scale,
+      maxDropPercent: clamp(this.baseMaxDropPercent * scale, adaptive.maxDropPercentage),
+      takeProfitPercent: clamp(this.baseTakeProfitPercent * scale, adaptive.takeProfitPercentage),
+      computedAt: Date.now()
+    });
+    this.persistState();
     
-    this.logger.log(`🔄 持仓数据已更新:`);
-    this.logger.log(`  成交记录: ${buyOrders.length} 笔`);
-    this.logger.log(`  总成本: ${this.positionCost.toFixed(2)} USDC`);  
-    this.logger.log(`  总数量: ${this.positionQuantity.toFixed(6)} SOL`);
-    this.logger.log(`  平均价格: ${this.positionAvgPrice.toFixed(2)} USDC`);
+    this.logger.log(`🌊 本轮波动率自适应 (第${this.cycleCount + 1}轮):`);
+    this.logger.log(`  ${adaptive.indicator === 'stdev' ? '收益率标准差' : 'ATR'}: ${volatilityPercent.toFixed(3)}% (基准 ${adaptive.referenceVolatilityPercentage}%, 缩放 ×${scale.toFixed(2)})`);
+    this.logger.log(`  价格区间: ${this.baseMaxDropPercent}% → ${this.maxDropPercent.toFixed(3)}%`);
+    this.logger.log(`  止盈目标: ${this.baseTakeProfitPercent}% → ${this.takeProfitPercent.toFixed(3)}%`);
   }
-
+  
   /**
-   * 🔑 计算平均成本
+   * 🔑 检查入场过滤条件 - 依次检查止盈冷却、再入场价格、趋势、RSI
+   * 冷却和再入场价格只在上一轮止盈时生效；K线获取失败或数据不足时跳过对应过滤
+   * @returns {Promise<Object|null>} 不满足时返回 {reason, detail, retryInMs}，满足时返回null
    */
-  calculateAverageCost() {
-    if (this.solBalance <= 0) return null;
+  async checkEntryFilters() {
+    const filters = this.entryFilterConfig;
+    const reverse = this.isReverse();
+    const price = this.currentPrice;
+    const formatPrice = value => value.toFixed(this.pricePrecision);
+    const lastCycle = this.cycleHistory[this.cycleHistory.length - 1];
+    const afterTakeProfit = lastCycle?.reason === 'takeProfit';
     
-    // 🔑 简化逻辑：基于当前周期的成交记录
-    const buyOrders = this.filledOrders.filter(order => order.side === 'Bid');
-    
-    if (buyOrders.length === 0) {
-      // 启动时有持仓但无成交记录 - 使用当前价格作为基准
-      const averageCost = this.currentPrice;
-      const profitPercent = 0; // 刚启动时收益为0
-      
-      this.logger.log(`📈 持仓分析 (启动状态):`);
-      this.logger.log(`  实际持仓: ${this.solBalance.toFixed(6)} SOL`);
-      this.logger.log(`  基准价格: ${averageCost.toFixed(2)} USDC`);
-      this.logger.log(`  当前价格: ${this.currentPrice} USDC`);
-      this.logger.log(`  收益率: ${profitPercent.toFixed(3)}% (目标: ${this.takeProfitPercent}%)`);
-      
-      return { averageCost, profitPercent };
+    if (filters.cooldownMinutes > 0 && afterTakeProfit) {
+      const remainingMs = lastCycle.endTime + filters.cooldownMinutes * 60000 - Date.now();
+      if (remainingMs > 0) {
+        return {
+          reason: 'cooldown',
+          detail: `止盈冷却中，还需 ${Math.ceil(remainingMs / 60000)} 分钟`,
+          retryInMs: remainingMs
+        };
+      }
     }
     
-    // 🔑 基于本周期实际成交计算
-    let totalCost = 0;
-    let totalQuantity = 0;
-    
-    for (const order of buyOrders) {
-      totalCost += order.amount;
-      totalQuantity += order.quantity;
+    const reentry = filters.noReentryAboveLastExit;
+    if (reentry.enabled && afterTakeProfit && lastCycle.exitPrice > 0) {
+      // 正向不在上次卖出价之上买回，反向不在上次回购价之下卖出
+      const limit = lastCycle.exitPrice * (reverse ? 1 - reentry.percentage / 100 : 1 + reentry.percentage / 100);
+      if (reverse ? price < limit : price > limit) {
+        return {
+          reason: 'reentryPrice',
+          detail: `当前价 ${price} ${reverse ? '低于' : '高于'}上次退出价 ${formatPrice(lastCycle.exitPrice)} (${reverse ? '下限' : '上限'} ${formatPrice(limit)})`
+        };
+      }
     }
     
-    const averageCost = totalCost / totalQuantity;
-    const profitPercent = ((this.currentPrice - averageCost) / averageCost) * 100;
+    const trend = filters.trend;
+    if (trend.enabled) {
+      const candles = await this.fetchEntryCandles(trend.interval, trend.period, '趋势');
+      const movingAverage = candles ? Indicators.sma(candles, trend.period) : null;
+      if (movingAverage) {
+        // 正向要求价格不明显低于均线 (下跌趋势不接刀)，反向要求价格不明显高于均线
+        const bound = movingAverage * (reverse ? 1 + trend.maxBelowPercentage / 100 : 1 - trend.maxBelowPercentage / 100);
+        if (reverse ? price > bound : price < bound) {
+          return {
+            reason: 'trend',
+            detail: `当前价 ${price} ${reverse ? '高于' : '低于'}${trend.interval}×${trend.period}均线 ${formatPrice(movingAverage)} (${reverse ? '上限' : '下限'} ${formatPrice(bound)})`
+          };
+        }
+      }
+    }
     
-    this.logger.log(`📈 持仓分析 (本周期):`);
-    this.logger.log(`  成交记录: ${buyOrders.length} 笔买单`);
-    this.logger.log(`  实际持仓: ${this.solBalance.toFixed(6)} SOL`);
-    this.logger.log(`  总投入: ${totalCost.toFixed(2)} USDC`);
-    this.logger.log(`  成交数量: ${totalQuantity.toFixed(6)} SOL`);
-    this.logger.log(`  平均成本: ${averageCost.toFixed(2)} USDC`);
-    this.logger.log(`  当前价格: ${this.currentPrice} USDC`);
-    this.logger.log(`  收益率: ${profitPercent.toFixed(3)}% (目标: ${this.takeProfitPercent}%)`);
-    this.logger.log(`  是否达到: ${profitPercent >= this.takeProfitPercent ? '✅ 是' : '❌ 否'}`);
+    const rsi = filters.rsi;
+    if (rsi.enabled) {
+      // 多取K线让Wilder平滑收敛
+      const candles = await this.fetchEntryCandles(rsi.interval, rsi.period * 3, 'RSI');
+      const value = candles ? Indicators.rsi(candles, rsi.period) : null;
+      if (value !== null) {
+        if (reverse ? value <= rsi.oversold : value >= rsi.overbought) {
+          return {
+            reason: 'rsi',
+            detail: `RSI(${rsi.interval}×${rsi.period}) ${value.toFixed(1)} ${reverse ? `≤ 超卖线 ${rsi.oversold}` : `≥ 超买线 ${rsi.overbought}`}`
+          };
+        }
+      }
+    }
     
-    return { averageCost, profitPercent };
+    return null;
   }
   
   /**
-   * 🔑 检查止盈条件
+   * 🔑 获取入场过滤使用的K线 - 失败或数据不足时返回null (跳过该过滤)
+   * @param {string} interval - K线周期
+   * @param {number} count - 需要的K线数量
+   * @param {string} filterName - 过滤名称 (用于日志)
+   * @returns {Promise<Array<Object>|null>}
    */
-  checkTakeProfit() {
-    if (this.solBalance <= 0.01) return; // 没有持仓
-    if (this.takeProfitInProgress) return; // 止盈正在进行中
-    
-    const analysis = this.calculateAverageCost();
-    if (!analysis) return;
-    
-    if (analysis.profitPercent >= this.takeProfitPercent) {
-      // 防止短时间内重复触发
-      const now = Date.now();
-      if (now - this.lastTakeProfitTime < 30000) { // 30秒内不重复
-        return;
+  async fetchEntryCandles(interval, count, filterName) {
+    try {
+      const candles = await this.safeApiCall(
+        () => this.service.getKLines(this.symbol, interval, count),
+        `获取${filterName}过滤K线`
+      );
+      if (candles.length >= count) {
+        return candles;
       }
-      
-      this.logger.log(`\n🚀 === 触发止盈条件 ===`);
-      this.logger.log(`收益率: ${analysis.profitPercent.toFixed(3)}% >= ${this.takeProfitPercent}%`);
-      
-      this.lastTakeProfitTime = now;
-      this.executeTakeProfit();
+      this.logger.log(`⚠️ ${filterName}过滤K线不足 (${candles.length}/${count})，跳过${filterName}过滤`);
+    } catch (error) {
+      this.logger.log(`⚠️ 获取${filterName}过滤K线失败，跳过${filterName}过滤: ${error.message}`, true);
     }
+    return null;
   }
   
   /**
-   * 🔑 执行止盈
+   * 🔑 记录入场等待原因并安排复查 - 原因变化时才打印日志，避免刷屏
+   * @param {Object} block - checkEntryFilters 的结果
    */
-  async executeTakeProfit() {
-    if (this.takeProfitInProgress) {
-      this.logger.log('⚠️ 止盈已在进行中，跳过重复执行');
-      return;
+  blockEntry(block) {
+    const now = Date.now();
+    if (!this.entryBlock || this.entryBlock.reason !== block.reason) {
+      this.logger.log(`⏸️ 暂不入场: ${block.detail}`);
+      this.entryBlock = { reason: block.reason, detail: block.detail, since: now, checkedAt: now };
+    } else {
+      this.entryBlock.detail = block.detail;
+      this.entryBlock.checkedAt = now;
     }
     
-    try {
-      this.takeProfitInProgress = true;
-      
-      // 🔑 停止订单监控 - 不再需要等待3分钟超时
-      this.monitoring = false;
-      this.logger.log('⏹️ 止盈启动，停止订单监控');
-      
-      // 🔑 刷新余额确保数据准确
-      await this.refreshBalances();
-      
-      // 检查实际可用SOL余额
-      if (this.solBalance < 0.01) {
-        this.logger.log('❌ 无可用SOL进行止盈 - 余额太少，开始新周期');
-        this.takeProfitInProgress = false;
-        // 🔑 重要：SOL余额太少时，启动新周期
-        setTimeout(() => {
-          this.logger.log('🔄 SOL已清仓，5秒后启动新马丁周期...');
-          this.startNewCycle();
-        }, 5000);
-        return;
-      }
-      
-      // 🔑 检查余额是否足够进行止盈（至少需要0.02 SOL才能安全操作）
-      if (this.solBalance < 0.02) {
-        this.logger.log(`⚠️ SOL余额过低 (${this.solBalance.toFixed(6)} SOL)，无法安全止盈 - 开始新周期`);
-        this.takeProfitInProgress = false;
-        // 🔑 重要：SOL余额过低时，也启动新周期
-        setTimeout(() => {
-          this.logger.log('🔄 SOL余额过低，5秒后启动新马丁周期...');
-          this.startNewCycle();
-        }, 5000);
+    if (this.entryRecheckTimer) {
+      clearTimeout(this.entryRecheckTimer);
+    }
+    const delay = Math.max(1000, block.retryInMs ?? this.entryFilterConfig.recheckSeconds * 1000);
+    this.entryRecheckTimer = setTimeout(async () => {
+      this.entryRecheckTimer = null;
+      if (!this.isRunning || this.filledOrders.length > 0 || this.activeOrders.size > 0) {
         return;
       }
-      
-      // 🔑 取消所有剩余的买单 - 已经可以止盈了不需要继续买入
-      if (this.activeOrders.size > 0) {
-        this.logger.log(`🛑 取消剩余的${this.activeOrders.size}个买单...`);
-        try {
-          await this.safeApiCall(
-            () => this.service.cancelAllOrders(),
-            '取消剩余买单'
-          );
-          this.activeOrders.clear();
-        } catch (error) {
-          this.logger.log(`取消剩余订单失败: ${error.message}`, true);
-        }
-      }
-      
-      const sellPrice = this.formatPrice(this.currentPrice * 0.9995); // 0.05%折扣确保成交
-      // 🔑 修复：考虑手续费和余额精度，使用更保守的安全边距
-      const tradingFeeReserve = 0.002; // 0.2% 交易手续费预留
-      const precisionReserve = 0.008; // 0.8% 余额精度预留 (增加以避免格式化问题)
-      const totalSafetyMargin = 1 - tradingFeeReserve - precisionReserve; // 99.0% 可用
-      const safeSOLAmount = this.solBalance * totalSafetyMargin;
-      // 🔑 关键修复：直接使用可用余额作为限制
-      let sellQuantity = this.formatQuantity(safeSOLAmount, this.solBalance);
-      
-      this.logger.log(`🔧 格式化后数量检查: ${sellQuantity} SOL (余额: ${this.solBalance} SOL)`);
-      const symbol = `${this.config.trading.tradingCoin}_USDC`;
-      
-      this.logger.log(`🔨 创建止盈卖单:`);
-      this.logger.log(`  实际SOL余额: ${this.solBalance.toFixed(6)} SOL`);
-      this.logger.log(`  手续费预留: ${(tradingFeeReserve * 100).toFixed(1)}%`);
-      this.logger.log(`  精度预留: ${(precisionReserve * 100).toFixed(1)}%`);
-      this.logger.log(`  安全边距: ${(totalSafetyMargin * 100).toFixed(1)}%`);
-      this.logger.log(`  安全数量: ${this.solBalance.toFixed(6)} × ${totalSafetyMargin.toFixed(3)} = ${safeSOLAmount.toFixed(6)} SOL`);
-      this.logger.log(`  最终卖出: ${sellQuantity} SOL @ ${sellPrice} USDC`);
-      this.logger.log(`  预计收入: ${(parseFloat(sellQuantity) * parseFloat(sellPrice)).toFixed(2)} USDC`);
-      
-      const sellResult = await this.safeApiCall(
-        () => this.service.createSellOrder(sellPrice, sellQuantity, symbol),
-        `止盈卖出`
-      );
-      
-      if (sellResult && sellResult.orderId) {
-        this.activeOrders.set(sellResult.orderId, {
-          orderId: sellResult.orderId,
-          side: 'Ask',
-          price: sellPrice,
-          quantity: sellQuantity,
-          createTime: Date.now()
-        });
-        this.logger.log(`✅ 止盈订单创建成功: ${sellResult.orderId}`);
-      } else {
-        this.logger.log('❌ 止盈订单创建失败: 响应为空');
-        this.takeProfitInProgress = false; // 失败时重置状态
+      try {
+        await this.createMartingaleOrders();
+      } catch (error) {
+        this.logger.log(`入场复查失败: ${error.message}`, true);
       }
-      
-    } catch (error) {
-      this.logger.log(`止盈失败: ${error.message}`, true);
-      this.takeProfitInProgress = false; // 失败时重置状态
+    }, delay);
+  }
+  
+  /**
+   * 🔑 入场条件满足 - 清除等待状态，等待时间不计入本轮周期时长
+   */
+  clearEntryBlock() {
+    if (this.entryRecheckTimer) {
+      clearTimeout(this.entryRecheckTimer);
+      this.entryRecheckTimer = null;
     }
+    if (!this.entryBlock) return;
+    
+    const waitedMinutes = (Date.now() - this.entryBlock.since) / 60000;
+    this.logger.log(`▶️ 入场条件满足，结束等待 (等待 ${waitedMinutes.toFixed(1)} 分钟)`);
+    this.entryBlock = null;
+    this.cycleStartTime = Date.now();
   }
   
   /**
-   * 🔑 检查价格偏差
+   * 🔑 本轮分配资金 - 周期内首次挂单时确定，之后保持不变
+   * 基础资金按分配模式计算，启用马丁倍投时再乘以 倍数^连续亏损轮数，不超过可用资金
+   * @returns {number} 金额 (计价币种见 getCapitalAsset)
    */
-  checkPriceDeviation() {
-    if (!this.strategyStartPrice || this.activeOrders.size === 0) return;
+  getCycleCapital() {
+    if (this.cycleCapital > 0) {
+      return this.cycleCapital;
+    }
     
-    const priceChangePercent = Math.abs(
-      (this.currentPrice - this.strategyStartPrice) / this.strategyStartPrice * 100
-    );
+    let capital = this.getBaseCapital();
+    if (this.martingaleEnabled) {
+      capital *= Math.pow(this.martingaleMultiplier, this.consecutiveLosses);
+    }
     
-    if (priceChangePercent > this.maxPriceDifference) {
-      this.logger.log(`🔄 价格偏差过大: ${priceChangePercent.toFixed(2)}% > ${this.maxPriceDifference}%`);
-      this.logger.log(`重新挂单...`);
-      
-      setTimeout(() => this.restartOrders(), 1000);
+    const spendable = this.getSpendableCapital();
+    if (capital > spendable) {
+      this.logger.log(`⚠️ 本轮资金 ${this.formatCapital(capital)} 超过可用余额，按可用余额 ${this.formatCapital(spendable)} 分配`);
+      capital = spendable;
+    }
+    
+    this.cycleCapital = capital;
+    this.persistState();
+    return capital;
+  }
+  
+  /**
+   * 🔑 周期完成 - 汇总本轮所有卖出成交结算收益，开始下一轮
+   * @param {string} reason - 结算原因 (止盈或止损/超时/最大浮亏退出)
+   */
+  completeCycle(reason = 'takeProfit') {
+    if (this.isReverse()) {
+      this.completeReverseCycle(reason);
+      return;
+    }
+    
+    const sellOrders = this.filledOrders.filter(order => order.side === 'Ask');
+    const { averageCost } = this.getCostBasis();
+    
+    let soldQuantity = 0;
+    let soldAmount = 0;
+    let sellFees = 0;
+    for (const order of sellOrders) {
+      const { netQuantity, netAmount } = this.getNetFill(order);
+      soldQuantity += netQuantity;
+      soldAmount += netAmount;
+      sellFees += order.feeQuote || 0;
+    }
+    
+    // 🔑 按含手续费的平均成本结转已卖出部分的成本，收入扣除卖出手续费（部分成交的卖单同样计入）
+    const totalCost = averageCost * soldQuantity;
+    const profit = soldAmount - totalCost;
+    
+    this.recordCycleResult(reason, profit, this.getAverageFillPrice(sellOrders));
+    this.takeProfitInProgress = false;
+    this.cycleExit = null;
+    this.resetTrailingTakeProfit();
+    this.persistState();
+    
+    this.logger.log(reason === 'takeProfit' ? `🎉 止盈完成:` : `🛑 ${this.getExitReasonName(reason)}退出完成:`);
+    this.logger.log(`  卖出: ${soldQuantity.toFixed(6)} ${this.tradingCoin} @ ${(soldQuantity > 0 ? soldAmount / soldQuantity : 0).toFixed(this.pricePrecision)} USDC (${sellOrders.length} 笔成交)`);
+    this.logger.log(`  本轮成本: ${totalCost.toFixed(2)} USDC (含买入手续费)`);
+    this.logger.log(`  卖出手续费: ${sellFees.toFixed(4)} USDC`);
+    this.logTakeProfitExecution(reason, this.getAverageFillPrice(sellOrders));
+    this.logger.log(`  本轮净收益: ${profit >= 0 ? '+' : ''}${profit.toFixed(2)} USDC`);
+    this.logger.log(`  总收益: ${this.totalProfit >= 0 ? '+' : ''}${this.totalProfit.toFixed(2)} USDC`);
+    this.logger.log(`  完成周期: ${this.cycleCount} (亏损 ${this.losingCycleCount})`);
+    
+    // 清空记录，开始下一轮
+    this.logger.log(`🔄 准备开始新一轮...`);
+    setTimeout(() => {
+      this.startNewCycle();
+    }, 2000);
+  }
+
+  /**
+   * 🔑 记录止盈预期成交均价与实际成交均价的偏差，并清除本次止盈执行记录
+   * @param {string} reason - 结算原因
+   * @param {number|null} realizedPrice - 实际卖出成交均价 (不含手续费，与盘口预期口径一致)
+   */
+  logTakeProfitExecution(reason, realizedPrice) {
+    const execution = this.takeProfitExecution;
+    this.takeProfitExecution = null;
+    if (reason !== 'takeProfit' || !execution || execution.expectedQuantity <= 0 || !realizedPrice) return;
+    
+    const expectedPrice = execution.expectedAmount / execution.expectedQuantity;
+    const deviation = (realizedPrice - expectedPrice) / expectedPrice * 100;
+    this.logger.log(`  📐 止盈执行: 预期均价 ${expectedPrice.toFixed(this.pricePrecision)} USDC, 实际均价 ${realizedPrice.toFixed(this.pricePrecision)} USDC, ` +
+      `偏差 ${deviation >= 0 ? '+' : ''}${deviation.toFixed(3)}% (分 ${execution.chunks} 笔)`);
+  }
+  
+  /**
+   * 🔑 反向周期完成 - 按回购到账的基础币结算收益 (以基础币计)
+   * 回购只用掉部分卖出所得时，按花费比例结转对应的卖出数量，未用完的USDC留在账户中
+   * @param {string} reason - 结算原因
+   */
+  completeReverseCycle(reason = 'takeProfit') {
+    const { soldQuantity, proceeds, boughtQuantity, spent } = this.getReverseExposure();
+    const coveredQuantity = proceeds > 0 ? soldQuantity * Math.min(1, spent / proceeds) : 0;
+    const profit = boughtQuantity - coveredQuantity;
+    
+    this.recordCycleResult(reason, profit, this.getAverageFillPrice(this.filledOrders.filter(order => order.side === 'Bid')));
+    this.takeProfitInProgress = false;
+    this.cycleExit = null;
+    this.resetTrailingTakeProfit();
+    this.persistState();
+    
+    this.logger.log(`🎉 回购止盈完成:`);
+    this.logger.log(`  卖出: ${soldQuantity.toFixed(6)} ${this.tradingCoin} @ ${(soldQuantity > 0 ? proceeds / soldQuantity : 0).toFixed(this.pricePrecision)} USDC (净所得 ${proceeds.toFixed(2)} USDC)`);
+    this.logger.log(`  回购: ${boughtQuantity.toFixed(6)} ${this.tradingCoin} @ ${(boughtQuantity > 0 ? spent / boughtQuantity : 0).toFixed(this.pricePrecision)} USDC (花费 ${spent.toFixed(2)} USDC)`);
+    if (proceeds - spent > 0.01) {
+      this.logger.log(`  未用完所得: ${(proceeds - spent).toFixed(2)} USDC (留在账户中)`);
+    }
+    this.logger.log(`  本轮净收益: ${this.formatCapital(profit, true)}`);
+    this.logger.log(`  总收益: ${this.formatCapital(this.totalProfit, true)}`);
+    this.logger.log(`  完成周期: ${this.cycleCount} (亏损 ${this.losingCycleCount})`);
+    
+    this.logger.log(`🔄 准备开始新一轮...`);
+    setTimeout(() => {
+      this.startNewCycle();
+    }, 2000);
+  }
+
+  /**
+   * 🔑 成交记录的平均成交价 (按成交额加权，不含手续费)
+   * @param {Array<Object>} orders - 成交记录
+   * @returns {number|null} 没有成交时返回null
+   */
+  getAverageFillPrice(orders) {
+    let quantity = 0;
+    let amount = 0;
+    for (const order of orders) {
+      quantity += order.quantity;
+      amount += order.amount ?? order.price * order.quantity;
+    }
+    return quantity > 0 ? amount / quantity : null;
+  }
+  
+  /**
+   * 🔑 构建成交手续费字段
+   * @param {number} fee - 手续费数量
+   * @param {string} feeAsset - 手续费币种
+   * @param {number} price - 成交价格（用于把基础币手续费折算为USDC）
+   * @returns {Object} { fee, feeAsset, feeQuote }
+   */
+  buildFeeFields(fee, feeAsset, price) {
+    const feeAmount = parseFloat(fee) || 0;
+    let feeQuote = 0;
+    
+    if (feeAmount > 0) {
+      if (feeAsset === 'USDC') {
+        feeQuote = feeAmount;
+      } else if (feeAsset === this.tradingCoin) {
+        feeQuote = feeAmount * price;
+      } else {
+        this.logger.log(`⚠️ 未知手续费币种 ${feeAsset} (${feeAmount})，不计入成本`);
+      }
+    }
+    
+    return { fee: feeAmount, feeAsset: feeAsset || null, feeQuote };
+  }
+  
+  /**
+   * 🔑 计算单笔成交扣除手续费后的净数量/净金额
+   * - 买单: 基础币手续费减少到账数量，USDC手续费增加成本
+   * - 卖单: 基础币手续费增加卖出消耗，USDC手续费减少到账金额
+   * @param {Object} fillRecord - 成交记录
+   * @returns {Object} { netQuantity, netAmount }
+   */
+  getNetFill(fillRecord) {
+    const fee = fillRecord.fee || 0;
+    const baseFee = fillRecord.feeAsset === this.tradingCoin ? fee : 0;
+    const quoteFee = fillRecord.feeAsset === 'USDC' ? fee : 0;
+    
+    if (fillRecord.side === 'Bid') {
+      return {
+        netQuantity: fillRecord.quantity - baseFee,
+        netAmount: fillRecord.amount + quoteFee
+      };
+    }
+    
+    return {
+      netQuantity: fillRecord.quantity + baseFee,
+      netAmount: fillRecord.amount - quoteFee
+    };
+  }
+  
+  /**
+   * 🔑 本周期持仓成本 - 建仓方向的成交 (含手续费) 加上结转的残留持仓，buyCount 只统计成交
+   * 反向周期中 totalCost 为扣除手续费后的卖出所得(USDC)，averageCost 为平均卖出净价
+   * @returns {Object} { buyCount, totalCost, totalQuantity, averageCost, totalFees }
+   */
+  getCostBasis() {
+    const entrySide = this.getEntrySide();
+    const buyOrders = this.filledOrders.filter(order => order.side === entrySide);
+    let totalCost = 0;
+    let totalQuantity = 0;
+    let totalFees = 0;
+    
+    for (const order of buyOrders) {
+      const { netQuantity, netAmount } = this.getNetFill(order);
+      totalCost += netAmount;
+      totalQuantity += netQuantity;
+      totalFees += order.feeQuote || 0;
+    }
+    
+    // 上一周期结转的残留持仓计入本周期成本，止盈时一并卖出
+    if (!this.isReverse() && this.dust.quantity > 0) {
+      totalCost += this.dust.cost;
+      totalQuantity += this.dust.quantity;
+    }
+    
+    return {
+      buyCount: buyOrders.length,
+      totalCost,
+      totalQuantity,
+      averageCost: totalQuantity > 0 ? totalCost / totalQuantity : 0,
+      totalFees
+    };
+  }
+  
+  /**
+   * 🔑 按当前价格吃单平仓后的净收益率
+   * 反向周期: 以平均卖出净价的所得按当前价回购，收益率为多回购的基础币比例
+   * @param {number} averageCost - 含手续费的平均成本 (反向为平均卖出净价)
+   * @param {number} price - 平仓价格
+   * @returns {number} 净收益率(%)
+   */
+  calculateNetProfitPercent(averageCost, price) {
+    if (!averageCost) return 0;
+    if (this.isReverse()) {
+      return (averageCost * (1 - this.takerFeeRate) / price - 1) * 100;
+    }
+    const netSellPrice = price * (1 - this.takerFeeRate);
+    return ((netSellPrice - averageCost) / averageCost) * 100;
+  }
+  
+  /**
+   * 🔑 更新持仓数据 - 基于实际成交记录
+   */
+  updatePositionData() {
+    if (this.isReverse()) return; // 反向周期没有买入持仓成本，分析直接基于成交记录
+    
+    const costBasis = this.getCostBasis();
+    
+    if (costBasis.buyCount === 0 || costBasis.totalQuantity <= 0) {
+      // 没有成交记录时保持原有数据
+      return;
+    }
+    
+    // 更新持仓基础数据 - 成本含买入手续费
+    this.positionCost = costBasis.totalCost;
+    this.positionQuantity = costBasis.totalQuantity;
+    this.positionAvgPrice = costBasis.averageCost;
+    
+    this.logger.log(`🔄 持仓数据已更新:`);
+    this.logger.log(`  成交记录: ${costBasis.buyCount} 笔`);
+    this.logger.log(`  总成本: ${this.positionCost.toFixed(2)} USDC (含手续费 ${costBasis.totalFees.toFixed(4)} USDC)`);
+    this.logger.log(`  总数量: ${this.positionQuantity.toFixed(6)} ${this.tradingCoin}`);
+    this.logger.log(`  平均价格: ${this.positionAvgPrice.toFixed(this.pricePrecision)} USDC`);
+  }
+
+  /**
+   * 🔑 计算平均成本
+   */
+  calculateAverageCost() {
+    if (this.isReverse()) return this.calculateReverseAnalysis();
+    if (this.baseBalance <= 0) return null;
+    
+    // 🔑 基于当前周期的成交记录（含手续费）
+    const costBasis = this.getCostBasis();
+    
+    if (costBasis.buyCount === 0 || costBasis.totalQuantity <= 0) {
+      // 启动时有持仓但无成交记录 - 使用当前价格作为基准
+      const averageCost = this.currentPrice;
+      const profitPercent = 0; // 刚启动时收益为0
+      
+      this.logger.log(`📈 持仓分析 (启动状态):`);
+      this.logger.log(`  实际持仓: ${this.baseBalance.toFixed(6)} ${this.tradingCoin}`);
+      this.logger.log(`  基准价格: ${averageCost.toFixed(this.pricePrecision)} USDC`);
+      this.logger.log(`  当前价格: ${this.currentPrice} USDC`);
+      this.logger.log(`  收益率: ${profitPercent.toFixed(3)}% (目标: ${this.takeProfitPercent}%)`);
+      
+      return { averageCost, profitPercent, totalCost: averageCost * this.baseBalance };
+    }
+    
+    // 🔑 基于本周期实际成交计算 - 成本含买入手续费，收益扣除预估卖出手续费
+    const { totalCost, totalQuantity, averageCost, totalFees } = costBasis;
+    const grossProfitPercent = ((this.currentPrice - averageCost) / averageCost) * 100;
+    const profitPercent = this.calculateNetProfitPercent(averageCost, this.currentPrice);
+    
+    this.logger.log(`📈 持仓分析 (本周期):`);
+    this.logger.log(`  成交记录: ${costBasis.buyCount} 笔买单`);
+    this.logger.log(`  实际持仓: ${this.baseBalance.toFixed(6)} ${this.tradingCoin}`);
+    this.logger.log(`  总投入: ${totalCost.toFixed(2)} USDC (含手续费 ${totalFees.toFixed(4)} USDC)`);
+    this.logger.log(`  成交数量: ${totalQuantity.toFixed(6)} ${this.tradingCoin} (扣除手续费)`);
+    this.logger.log(`  平均成本: ${averageCost.toFixed(this.pricePrecision)} USDC`);
+    this.logger.log(`  当前价格: ${this.currentPrice} USDC`);
+    this.logger.log(`  收益率: 净${profitPercent.toFixed(3)}% / 毛${grossProfitPercent.toFixed(3)}% (目标: 净${this.takeProfitPercent}%)`);
+    this.logger.log(`  是否达到: ${profitPercent >= this.takeProfitPercent ? '✅ 是' : '❌ 否'}`);
+    
+    return { averageCost, profitPercent, totalCost };
+  }
+  
+  /**
+   * 🔑 反向周期持仓分析 - 平均卖出净价及按当前价回购的净收益率
+   * @returns {Object|null} { averageCost, profitPercent, totalCost }
+   */
+  calculateReverseAnalysis() {
+    const costBasis = this.getCostBasis();
+    if (costBasis.buyCount === 0 || costBasis.totalQuantity <= 0) return null;
+    
+    const { totalCost, totalQuantity, averageCost, totalFees } = costBasis;
+    const profitPercent = this.calculateNetProfitPercent(averageCost, this.currentPrice);
+    
+    this.logger.log(`📈 反向持仓分析 (本周期):`);
+    this.logger.log(`  成交记录: ${costBasis.buyCount} 笔卖单`);
+    this.logger.log(`  卖出数量: ${totalQuantity.toFixed(6)} ${this.tradingCoin}`);
+    this.logger.log(`  卖出所得: ${totalCost.toFixed(2)} USDC (已扣手续费 ${totalFees.toFixed(4)} USDC)`);
+    this.logger.log(`  平均卖出净价: ${averageCost.toFixed(this.pricePrecision)} USDC`);
+    this.logger.log(`  当前价格: ${this.currentPrice} USDC`);
+    this.logger.log(`  回购收益率: 净${profitPercent.toFixed(3)}% (目标: 净${this.takeProfitPercent}%)`);
+    this.logger.log(`  是否达到: ${profitPercent >= this.takeProfitPercent ? '✅ 是' : '❌ 否'}`);
+    
+    return { averageCost, profitPercent, totalCost };
+  }
+  
+  /**
+   * 🔑 检查止盈条件
+   */
+  checkTakeProfit() {
+    if (this.cycleExit) return; // 周期退出进行中
+    
+    if (this.takeProfitMode === 'resting') {
+      // 挂单模式：止盈单常驻盘口，这里只在成本变化时重挂
+      this.syncRestingTakeProfit();
+      return;
+    }
+    
+    if (this.isReverse() ? !this.hasPosition() : this.baseBalance <= this.minQuantity) return; // 没有持仓
+    if (this.takeProfitInProgress) return; // 止盈正在进行中
+    
+    const analysis = this.calculateAverageCost();
+    if (!analysis) return;
+    
+    if (this.takeProfitMode === 'trailing') {
+      this.checkTrailingTakeProfit(analysis);
+      return;
+    }
+    
+    if (analysis.profitPercent >= this.takeProfitPercent) {
+      // 防止短时间内重复触发
+      const now = Date.now();
+      if (now - this.lastTakeProfitTime < 30000) { // 30秒内不重复
+        return;
+      }
+      
+      this.logger.log(`\n🚀 === 触发止盈条件 ===`);
+      this.logger.log(`收益率: ${analysis.profitPercent.toFixed(3)}% >= ${this.takeProfitPercent}%`);
+      
+      this.lastTakeProfitTime = now;
+      this.executeTakeProfit();
+    }
+  }
+  
+  /**
+   * 🔑 止盈底价 - 按此价格吃单卖出刚好达到净收益目标
+   * 反向周期返回回购价上限 - 按此价格吃单回购刚好达到净收益目标
+   * @param {number} averageCost - 含手续费的平均成本 (反向为平均卖出净价)
+   * @returns {number} 底价
+   */
+  getTakeProfitFloorPrice(averageCost) {
+    if (this.isReverse()) {
+      return averageCost * (1 - this.takerFeeRate) / (1 + this.takeProfitPercent / 100);
+    }
+    return averageCost * (1 + this.takeProfitPercent / 100) / (1 - this.takerFeeRate);
+  }
+  
+  /**
+   * 🔑 追踪止盈检查 - 达到目标后跟踪最高价，从最高价回撤指定比例时卖出
+   * 卖出触发价不低于止盈底价，保证退出收益不低于基础目标
+   * 反向周期镜像处理: 跟踪最低价，从最低价反弹指定比例时回购，触发价不高于回购价上限
+   * @param {Object} analysis - calculateAverageCost的结果
+   */
+  checkTrailingTakeProfit(analysis) {
+    const trailing = this.trailingTakeProfit;
+    const floorPrice = this.getTakeProfitFloorPrice(analysis.averageCost);
+    const reverse = this.isReverse();
+    const extremeName = reverse ? '最低价' : '最高价';
+    
+    if (!trailing.active) {
+      if (analysis.profitPercent < this.takeProfitPercent) return;
+      
+      trailing.active = true;
+      trailing.peakPrice = this.currentPrice;
+      trailing.activatedAt = Date.now();
+      this.persistState();
+      
+      this.logger.log(`\n🎯 === 追踪止盈启动 ===`);
+      this.logger.log(`收益率: ${analysis.profitPercent.toFixed(3)}% >= ${this.takeProfitPercent}%`);
+      this.logger.log(reverse
+        ? `起始最低价: ${trailing.peakPrice.toFixed(this.pricePrecision)} USDC, 反弹${this.trailingRetracePercent}%回购, 回购价上限 ${floorPrice.toFixed(this.pricePrecision)} USDC`
+        : `起始最高价: ${trailing.peakPrice.toFixed(this.pricePrecision)} USDC, 回撤${this.trailingRetracePercent}%卖出, 底价 ${floorPrice.toFixed(this.pricePrecision)} USDC`);
+      return;
+    }
+    
+    if (reverse ? this.currentPrice < trailing.peakPrice : this.currentPrice > trailing.peakPrice) {
+      trailing.peakPrice = this.currentPrice;
+      this.persistState();
+      this.logger.log(`${reverse ? '📉' : '📈'} 追踪止盈新${reverse ? '低' : '高'}: ${trailing.peakPrice.toFixed(this.pricePrecision)} USDC`);
+      return;
+    }
+    
+    const triggerPrice = reverse
+      ? Math.min(trailing.peakPrice * (1 + this.trailingRetracePercent / 100), floorPrice)
+      : Math.max(trailing.peakPrice * (1 - this.trailingRetracePercent / 100), floorPrice);
+    if (reverse ? this.currentPrice < triggerPrice : this.currentPrice > triggerPrice) return;
+    
+    // 防止短时间内重复触发
+    const now = Date.now();
+    if (now - this.lastTakeProfitTime < 30000) return;
+    
+    this.logger.log(`\n🚀 === 追踪止盈触发 ===`);
+    this.logger.log(`${extremeName}: ${trailing.peakPrice.toFixed(this.pricePrecision)} USDC, 当前价: ${this.currentPrice} USDC, 触发价: ${triggerPrice.toFixed(this.pricePrecision)} USDC`);
+    
+    this.lastTakeProfitTime = now;
+    this.executeTakeProfit(reverse ? { maxPrice: floorPrice } : { minPrice: floorPrice });
+  }
+  
+  /**
+   * 🔑 重置追踪止盈状态
+   */
+  resetTrailingTakeProfit() {
+    this.trailingTakeProfit = { active: false, peakPrice: 0, activatedAt: 0 };
+  }
+  
+  /**
+   * 🔑 执行止盈
+   * @param {Object} options - 止盈选项
+   * @param {number} options.minPrice - 卖出价格下限（追踪止盈底价）
+   * @param {number} options.maxPrice - 回购价格上限（反向周期追踪止盈）
+   */
+  async executeTakeProfit(options = {}) {
+    if (this.takeProfitInProgress) {
+      this.logger.log('⚠️ 止盈已在进行中，跳过重复执行');
+      return;
+    }
+    
+    if (this.isReverse()) {
+      await this.executeBuyBack(options);
+      return;
+    }
+    
+    try {
+      this.takeProfitInProgress = true;
+      
+      // 🔑 停止订单监控 - 不再需要等待3分钟超时
+      this.monitoring = false;
+      this.logger.log('⏹️ 止盈启动，停止订单监控');
+      
+      // 🔑 刷新余额确保数据准确
+      await this.refreshBalances();
+      
+      // 🔑 可卖出数量不足最小下单量 - 余额作为残留连同成本结转，开始新周期
+      if (this.isBelowOrderMinimum(this.floorQuantity(this.baseBalance))) {
+        this.logger.log(`⚠️ ${this.tradingCoin}余额 ${this.baseBalance.toFixed(6)} 不足最小下单量 ${this.minQuantity}，作为残留结转到新周期`);
+        this.takeProfitInProgress = false;
+        setTimeout(() => {
+          this.logger.log(`🔄 5秒后启动新马丁周期...`);
+          this.startNewCycle();
+        }, 5000);
+        return;
+      }
+      
+      // 🔑 取消所有剩余的买单 - 已经可以止盈了不需要继续买入，撤单响应中的部分成交先补记
+      if (this.activeOrders.size > 0) {
+        this.logger.log(`🛑 取消剩余的${this.activeOrders.size}个买单...`);
+        try {
+          const cancelResults = await this.cancelOwnedOrders('取消剩余买单');
+          this.applyCancelResults(cancelResults);
+        } catch (error) {
+          this.logger.log(`取消剩余订单失败: ${error.message}`, true);
+        }
+        
+        // 撤单前的成交增加了可卖数量，按撤单后的余额计算止盈数量
+        await this.refreshBalances();
+      }
+      
+      this.takeProfitExecution = { options, chunks: 0, expectedQuantity: 0, expectedAmount: 0, startedAt: Date.now() };
+      await this.placeTakeProfitSell(options);
+      
+    } catch (error) {
+      this.logger.log(`止盈失败: ${error.message}`, true);
+      this.takeProfitInProgress = false; // 失败时重置状态
+    }
+  }
+  
+  /**
+   * 🔑 挂出止盈卖单 (或分批止盈的一批) - 价格保护、盘口深度和订单类型都在这里处理
+   * @param {Object} options - 止盈选项 (同 executeTakeProfit)
+   */
+  async placeTakeProfitSell(options = {}) {
+    // 追价重挂时按买一价，否则按当前价0.05%折扣确保成交
+    let sellPrice = this.formatPrice(options.price ?? this.currentPrice * 0.9995);
+    if (options.minPrice && sellPrice < options.minPrice) {
+      // 🔑 追踪止盈底价保护 - 向上取整到价格步长，挂单价不低于基础止盈目标
+      sellPrice = this.marketRules.ceilPrice(options.minPrice);
+      this.logger.log(`🛡️ 卖出价提升至止盈底价: ${sellPrice} USDC`);
+    }
+    const sellQuantity = this.calculateTakeProfitQuantity(this.baseBalance);
+    let quantity = sellQuantity;
+    let expectedPrice = sellPrice;
+    let chunked = false;
+    
+    // 🔑 按盘口深度确定挂单价和本批数量 - 盘口获取失败时按当前价止盈；滑点上限即价格保护，市价单改用IOC限价单
+    const depthPlan = this.orderExecution.depthAware
+      ? await this.planTakeProfitByDepth(sellQuantity, options.minPrice)
+      : null;
+    if (depthPlan) {
+      ({ price: sellPrice, quantity, expectedPrice, chunked } = depthPlan);
+    }
+    const orderType = this.getTakeProfitOrderType(!!options.minPrice || !!depthPlan);
+    
+    this.logger.log(`🔨 创建止盈卖单 (${orderType === 'market' ? '市价' : orderType === 'ioc' ? 'IOC限价' : '限价'}):`);
+    this.logger.log(`  实际${this.tradingCoin}余额: ${this.baseBalance.toFixed(6)} ${this.tradingCoin}`);
+    this.logger.log(`  最终卖出: ${quantity} ${this.tradingCoin} @ ${orderType === 'market' ? `市价 (参考 ${sellPrice})` : sellPrice} USDC${chunked ? ` (分批, 共 ${sellQuantity})` : ''}`);
+    this.logger.log(`  预期成交均价: ${expectedPrice.toFixed(this.pricePrecision)} USDC, 预计收入: ${(quantity * expectedPrice).toFixed(2)} USDC`);
+    
+    // IOC未成交部分由交易所立即撤销，止盈单取消后恢复止盈监控重新判断
+    const sellResult = await this.safeApiCall(
+      () => orderType === 'market'
+        ? this.service.createMarketOrder('Ask', quantity, this.symbol, this.getOrderOptions())
+        : this.service.createSellOrder(sellPrice, quantity, this.symbol,
+          this.getOrderOptions(orderType === 'ioc' ? { timeInForce: 'IOC' } : {})),
+      `止盈卖出`
+    );
+    
+    if (sellResult && sellResult.orderId) {
+      this.baseBalance -= quantity; // 卖单数量被交易所锁定
+      const execution = this.takeProfitExecution;
+      if (execution) {
+        execution.chunks++;
+        execution.expectedQuantity += quantity;
+        execution.expectedAmount += quantity * expectedPrice;
+      }
+      this.trackOrder(sellResult.orderId, {
+        orderId: sellResult.orderId,
+        side: 'Ask',
+        role: 'takeProfit',
+        price: sellPrice,
+        quantity,
+        expectedPrice,
+        chunked,
+        createTime: Date.now()
+      });
+      this.logger.log(`✅ 止盈订单创建成功: ${sellResult.orderId}`);
+      
+      // IOC/市价单不会挂在盘口，只有GTC限价单需要追价
+      if (orderType === 'limit') {
+        this.scheduleTakeProfitChase(sellResult.orderId);
+      }
+    } else {
+      this.logger.log('❌ 止盈订单创建失败: 响应为空');
+      this.takeProfitInProgress = false; // 失败时重置状态
+    }
+  }
+  
+  /**
+   * 🔑 止盈追价计时 - 止盈限价单等待 waitSeconds 秒后仍在盘口，撤单按买一价重挂
+   * @param {string} orderId - 止盈订单ID
+   */
+  scheduleTakeProfitChase(orderId) {
+    if (!this.takeProfitChaseConfig.enabled) return;
+    
+    this.clearTakeProfitChaseTimer();
+    this.takeProfitChaseTimer = setTimeout(() => {
+      this.takeProfitChaseTimer = null;
+      this.chaseTakeProfit(orderId).catch(error => {
+        this.logger.log(`止盈追价失败: ${error.message}`, true);
+      });
+    }, this.takeProfitChaseConfig.waitSeconds * 1000);
+  }
+  
+  /**
+   * 清除止盈追价计时
+   */
+  clearTakeProfitChaseTimer() {
+    if (this.takeProfitChaseTimer) {
+      clearTimeout(this.takeProfitChaseTimer);
+      this.takeProfitChaseTimer = null;
+    }
+  }
+  
+  /**
+   * 🔑 止盈追价 - 撤销未成交的止盈单，部分成交先补记，剩余持仓按买一价重挂
+   * 达到最大追价次数后按配置改用市价卖出，或放弃本次止盈恢复阶梯挂单
+   * @param {string} orderId - 止盈订单ID
+   */
+  async chaseTakeProfit(orderId) {
+    const orderInfo = this.activeOrders.get(String(orderId));
+    const execution = this.takeProfitExecution;
+    if (!orderInfo || !execution || !this.isRunning || !this.takeProfitInProgress) return; // 已成交或已取消
+    
+    const { waitSeconds, maxAttempts } = this.takeProfitChaseConfig;
+    this.logger.log(`⏱️ 止盈单 ${orderInfo.orderId} 挂出 ${waitSeconds} 秒未完全成交 (已成交 ${(orderInfo.executedQuantity || 0).toFixed(6)}/${orderInfo.quantity} ${this.tradingCoin})，撤单追价`);
+    
+    orderInfo.chasing = true;
+    try {
+      const cancelResult = await this.safeApiCall(
+        () => this.service.cancelOrder(orderInfo.orderId, this.symbol),
+        `撤销止盈单${orderInfo.orderId}`
+      );
+      // 撤单响应带有累计成交，先补记撤单前的成交并解锁剩余数量
+      this.applyOrderSnapshot(orderInfo, cancelResult);
+    } catch (error) {
+      orderInfo.chasing = false;
+      this.logger.log(`❌ 撤销止盈单 ${orderInfo.orderId} 失败: ${error.message}，${waitSeconds}秒后重试`, true);
+      this.scheduleTakeProfitChase(orderInfo.orderId);
+      return;
+    }
+    
+    // 撤单前已全部成交 - 已由成交流程结算
+    if (this.normalizeOrderStatus(orderInfo.lastStatus) === 'FILLED' || !this.takeProfitInProgress) return;
+    
+    if (this.isBelowOrderMinimum(this.floorQuantity(this.baseBalance))) {
+      // 部分成交后剩余不足一笔 - 按已成交部分结算，剩余作为残留结转
+      this.logger.log(`✅ 止盈单撤单前已基本成交，剩余 ${this.baseBalance.toFixed(6)} ${this.tradingCoin} 不再追价`);
+      this.completeCycle('takeProfit');
+      return;
+    }
+    
+    try {
+      if ((execution.chaseAttempts || 0) >= maxAttempts) {
+        await this.fallbackTakeProfitChase();
+        return;
+      }
+      
+      execution.chaseAttempts = (execution.chaseAttempts || 0) + 1;
+      // 盘口深度止盈会按最新盘口重新规划价格，不需要单独获取买一价
+      const bestBid = this.orderExecution.depthAware ? undefined : await this.fetchBestBid();
+      this.logger.log(`🏃 止盈追价 (第${execution.chaseAttempts}/${maxAttempts}次): 剩余 ${this.baseBalance.toFixed(6)} ${this.tradingCoin}${bestBid ? ` 按买一价 ${bestBid} USDC` : ''} 重新挂出`);
+      await this.placeTakeProfitSell({ ...execution.options, price: bestBid });
+    } catch (error) {
+      // 止盈单已撤销但重新卖出失败 - 盘口上没有止盈单，恢复止盈监控重新判断，不停留在止盈进行中
+      this.logger.log(`🚨 止盈追价撤单后重新卖出失败: ${error.message}，恢复止盈监控`, true);
+      this.takeProfitInProgress = false;
+      this.takeProfitExecution = null;
+      this.clearTakeProfitChaseTimer();
+      this.persistState();
+    }
+  }
+  
+  /**
+   * 🔑 获取当前买一价 - 盘口获取失败时使用最新成交价
+   * @returns {Promise<number>}
+   */
+  async fetchBestBid() {
+    try {
+      const depth = await this.safeApiCall(() => this.service.getDepth(this.symbol), '获取盘口深度');
+      const bestBid = depth.bids[0];
+      if (bestBid) return bestBid.price;
+    } catch (error) {
+      this.logger.log(`⚠️ 获取盘口深度失败，按最新价追价: ${error.message}`, true);
+    }
+    return this.currentPrice;
+  }
+  
+  /**
+   * 🔑 追价次数用尽 - 市价卖出剩余持仓，或放弃本次止盈恢复阶梯挂单 (均发出告警)
+   */
+  async fallbackTakeProfitChase() {
+    const { maxAttempts, fallback } = this.takeProfitChaseConfig;
+    
+    if (fallback === 'ladder') {
+      this.logger.log(`🚨 止盈追价 ${maxAttempts} 次仍未成交，放弃本次止盈，恢复阶梯挂单 (剩余 ${this.baseBalance.toFixed(6)} ${this.tradingCoin})`, true);
+      this.takeProfitInProgress = false;
+      this.takeProfitExecution = null;
+      this.resetTrailingTakeProfit();
+      this.persistState();
+      await this.createMartingaleOrders();
+      return;
+    }
+    
+    const sellQuantity = this.calculateTakeProfitQuantity(this.baseBalance);
+    this.logger.log(`🚨 止盈追价 ${maxAttempts} 次仍未成交，剩余 ${sellQuantity} ${this.tradingCoin} 改用市价卖出`, true);
+    
+    const sellResult = await this.safeApiCall(
+      () => this.service.createMarketOrder('Ask', sellQuantity, this.symbol, this.getOrderOptions()),
+      '止盈市价卖出'
+    );
+    
+    const orderId = sellResult?.orderId;
+    if (!orderId) {
+      this.logger.log('❌ 止盈市价单创建失败: 响应中未找到订单ID，恢复止盈监控', true);
+      this.takeProfitInProgress = false;
+      this.takeProfitExecution = null;
+      return;
+    }
+    
+    this.baseBalance -= sellQuantity;
+    this.trackOrder(orderId, {
+      orderId: String(orderId),
+      side: 'Ask',
+      role: 'takeProfit',
+      price: this.currentPrice,
+      quantity: sellQuantity,
+      createTime: Date.now()
+    });
+    this.logger.log(`✅ 止盈市价单创建成功: ${orderId}`);
+  }
+  
+  /**
+   * 🔑 按盘口深度规划止盈卖单 - 从买一价起按滑点上限确定最低可接受价，估算成交均价
+   * 上限内买盘足够时一次卖出，挂单价为实际需要吃到的最深一档；不足时只卖出上限内可成交的数量，其余分批卖出
+   * @param {number} sellQuantity - 计划卖出数量
+   * @param {number} minPrice - 追踪止盈底价 (可选)
+   * @returns {Promise<Object|null>} { price, quantity, expectedPrice, chunked }，盘口不可用时返回null
+   */
+  async planTakeProfitByDepth(sellQuantity, minPrice) {
+    let bids;
+    try {
+      const depth = await this.safeApiCall(() => this.service.getDepth(this.symbol), '获取盘口深度');
+      bids = depth.bids;
+    } catch (error) {
+      this.logger.log(`⚠️ 获取盘口深度失败，按当前价止盈: ${error.message}`, true);
+      return null;
+    }
+    
+    if (bids.length === 0) {
+      this.logger.log(`⚠️ 盘口无买单，按当前价止盈`);
+      return null;
+    }
+    
+    const { maxSlippagePercentage, chunkIntervalSeconds } = this.orderExecution;
+    const bestBid = bids[0].price;
+    const limitPrice = this.ceilPrice(Math.max(bestBid * (1 - maxSlippagePercentage / 100), minPrice || 0));
+    const fill = DepthPlanner.fillWithinLimit(bids, sellQuantity, limitPrice, 'Ask');
+    
+    this.logger.log(`📚 盘口深度: 买一 ${bestBid} USDC, 滑点上限 ${maxSlippagePercentage}% → 最低 ${limitPrice} USDC`);
+    this.logger.log(`  上限内可成交: ${fill.quantity.toFixed(6)}/${sellQuantity} ${this.tradingCoin} (${fill.levelCount}档${fill.vwap ? `, 预期均价 ${fill.vwap.toFixed(this.pricePrecision)} USDC` : ''})`);
+    
+    if (fill.quantity >= sellQuantity) {
+      return { price: this.formatPrice(fill.worstPrice), quantity: sellQuantity, expectedPrice: fill.vwap, chunked: false };
+    }
+    
+    const chunkQuantity = this.floorQuantity(fill.quantity);
+    if (this.isBelowOrderMinimum(chunkQuantity, limitPrice) || this.isBelowOrderMinimum(sellQuantity - chunkQuantity, limitPrice)) {
+      // 上限内买盘不足一笔，或剩余不足一笔 - 全部数量以上限价格挂出，等待成交
+      this.logger.log(`📌 滑点上限内买盘不足，全部以 ${limitPrice} USDC 挂出`);
+      return { price: limitPrice, quantity: sellQuantity, expectedPrice: fill.vwap || limitPrice, chunked: false };
+    }
+    
+    this.logger.log(`✂️ 盘口较薄，分批止盈: 本批 ${chunkQuantity} ${this.tradingCoin}，成交后 ${chunkIntervalSeconds} 秒按最新盘口继续`);
+    return { price: this.formatPrice(fill.worstPrice), quantity: chunkQuantity, expectedPrice: fill.vwap, chunked: true };
+  }
+  
+  /**
+   * 🔑 分批止盈的一批成交 - 记录预期与实际成交价，剩余持仓等待盘口恢复后继续卖出
+   * @param {Object} orderInfo - 已成交的止盈订单
+   */
+  continueTakeProfitChunks(orderInfo) {
+    const realizedPrice = this.getAverageFillPrice(this.filledOrders.filter(order => order.orderId === orderInfo.orderId));
+    this.logger.log(`✂️ 第${this.takeProfitExecution?.chunks || 1}批止盈成交: 预期均价 ${orderInfo.expectedPrice.toFixed(this.pricePrecision)} USDC, 实际 ${(realizedPrice || 0).toFixed(this.pricePrecision)} USDC`);
+    
+    if (this.isBelowOrderMinimum(this.floorQuantity(this.baseBalance))) {
+      this.completeCycle('takeProfit');
+      return;
+    }
+    
+    setTimeout(async () => {
+      if (!this.isRunning || !this.takeProfitInProgress) return;
+      try {
+        await this.placeTakeProfitSell(this.takeProfitExecution?.options || {});
+      } catch (error) {
+        this.logger.log(`分批止盈失败: ${error.message}`, true);
+        this.takeProfitInProgress = false;
+      }
+    }, this.orderExecution.chunkIntervalSeconds * 1000);
+  }
+  
+  /**
+   * 🔑 反向周期止盈 - 撤销剩余阶梯卖单，用本轮全部卖出所得回购基础币
+   * @param {Object} options - 止盈选项
+   * @param {number} options.maxPrice - 回购价格上限（追踪止盈）
+   */
+  async executeBuyBack(options = {}) {
+    try {
+      this.takeProfitInProgress = true;
+      this.monitoring = false;
+      this.logger.log('⏹️ 回购启动，停止订单监控');
+      
+      // 🔑 取消剩余的阶梯卖单 - 撤单响应中的部分成交先补记，未成交数量解锁
+      if (this.activeOrders.size > 0) {
+        this.logger.log(`🛑 取消剩余的${this.activeOrders.size}个卖单...`);
+        try {
+          const cancelResults = await this.cancelOwnedOrders('取消剩余卖单');
+          this.applyCancelResults(cancelResults);
+        } catch (error) {
+          this.logger.log(`取消剩余订单失败: ${error.message}`, true);
+        }
+      }
+      
+      await this.refreshBalances();
+      
+      const { remainingProceeds } = this.getReverseExposure();
+      let buyPrice = this.formatPrice(this.currentPrice * 1.0005); // 0.05%溢价确保成交
+      if (options.maxPrice && buyPrice > options.maxPrice) {
+        // 🔑 追踪止盈上限保护 - 向下取整到价格步长，回购价不高于基础止盈目标
+        buyPrice = this.marketRules.floorPrice(options.maxPrice);
+        this.logger.log(`🛡️ 回购价降至上限: ${buyPrice} USDC`);
+      }
+      
+      const budget = Math.min(remainingProceeds, this.usdcBalance);
+      const buyQuantity = this.floorQuantity(budget / buyPrice);
+      
+      this.logger.log(`🔨 创建回购买单:`);
+      this.logger.log(`  待回购所得: ${remainingProceeds.toFixed(2)} USDC (USDC余额 ${this.usdcBalance.toFixed(2)})`);
+      this.logger.log(`  回购: ${buyQuantity} ${this.tradingCoin} @ ${buyPrice} USDC`);
+      
+      if (this.isBelowOrderMinimum(buyQuantity, buyPrice)) {
+        this.logger.log(`⚠️ 可回购数量低于最小下单量，直接结算本轮`);
+        this.completeCycle('takeProfit');
+        return;
+      }
+      
+      // 🔑 市价回购按所得金额下单 (quoteQuantity)，不受价格精度和数量取整影响
+      const orderType = this.getTakeProfitOrderType(!!options.maxPrice);
+      const quoteQuantity = Math.floor(budget * 100) / 100;
+      this.logger.log(`  订单类型: ${orderType === 'market' ? `市价 (金额 ${quoteQuantity} USDC)` : orderType === 'ioc' ? 'IOC限价' : '限价'}`);
+      
+      const buyResult = await this.safeApiCall(
+        () => orderType === 'market'
+          ? this.service.createMarketOrder('Bid', null, this.symbol, this.getOrderOptions({ quoteQuantity }))
+          : this.service.createBuyOrder(buyPrice, buyQuantity, this.symbol,
+            this.getOrderOptions(orderType === 'ioc' ? { timeInForce: 'IOC' } : {})),
+        '止盈回购'
+      );
+      
+      const orderId = buyResult?.orderId;
+      if (!orderId) {
+        this.logger.log('❌ 回购订单创建失败: 响应中未找到订单ID');
+        this.takeProfitInProgress = false;
+        return;
+      }
+      
+      this.trackOrder(orderId, {
+        orderId: String(orderId),
+        side: 'Bid',
+        role: 'takeProfit',
+        price: buyPrice,
+        quantity: buyQuantity,
+        createTime: Date.now()
+      });
+      this.logger.log(`✅ 回购订单创建成功: ${orderId}`);
+    } catch (error) {
+      this.logger.log(`回购失败: ${error.message}`, true);
+      this.takeProfitInProgress = false;
+    }
+  }
+  
+  /**
+   * 🔑 止盈卖出数量 - 卖出手续费以USDC扣除，按数量精度向下取整卖出全部余额
+   * 不足一个数量精度的部分在新周期开始时作为残留结转 (见 carryDust)
+   * @param {number} availableQuantity - 可卖出的基础币数量
+   * @returns {number} 格式化后的卖出数量
+   */
+  calculateTakeProfitQuantity(availableQuantity) {
+    const sellQuantity = this.floorQuantity(availableQuantity);
+    const remainder = availableQuantity - sellQuantity;
+    
+    this.logger.log(`🔧 止盈数量: ${availableQuantity.toFixed(6)} → ${sellQuantity} ${this.tradingCoin}${remainder > 1e-9 ? ` (不足精度的 ${remainder.toFixed(8)} 留作残留)` : ''}`);
+    return sellQuantity;
+  }
+  
+  /**
+   * 🔑 数量向下取整到数量步长 - 卖出数量不超过余额
+   * @param {number} quantity - 数量
+   * @returns {number}
+   */
+  floorQuantity(quantity) {
+    return this.marketRules.floorQuantity(quantity);
+  }
+  
+  /**
+   * 🔑 结转残留持仓 - 新周期开始前，把上一周期未卖出的基础币 (不足最小下单量) 按平均成本带入新周期
+   * 残留计入新周期的持仓成本，数量累计达到最小下单量后随止盈单一并卖出
+   * @param {Array} lateFills - 上一轮结算后才补记的买入成交 (撤销剩余挂单时)，按各自成交成本计入残留
+   */
+  carryDust(lateFills = []) {
+    if (this.isReverse()) return;
+    
+    const { totalQuantity, averageCost } = this.getCostBasis();
+    const soldQuantity = this.filledOrders
+      .filter(order => order.side === 'Ask')
+      .reduce((sum, order) => sum + this.getNetFill(order).netQuantity, 0);
+    let quantity = totalQuantity - soldQuantity;
+    let cost = quantity * averageCost;
+    
+    for (const fill of lateFills.filter(order => order.side === 'Bid')) {
+      const { netQuantity, netAmount } = this.getNetFill(fill);
+      quantity += netQuantity;
+      cost += netAmount;
+      this.logger.log(`🧹 上一轮撤单前成交 ${netQuantity.toFixed(6)} ${this.tradingCoin} (成本 ${netAmount.toFixed(4)} USDC) 计入残留`);
+    }
+    
+    this.dust = quantity > 1e-9 ? { quantity, cost } : { quantity: 0, cost: 0 };
+    if (this.dust.quantity > 0) {
+      this.logger.log(`🧹 残留持仓结转: ${this.dust.quantity.toFixed(8)} ${this.tradingCoin} (成本 ${this.dust.cost.toFixed(4)} USDC)`);
+    }
+  }
+  
+  /**
+   * 🔑 残留持仓与余额对账 - 只在本周期尚无成交时进行 (新周期开始/启动时无持仓)
+   * - 余额少于记录的残留 (手动转出等): 按比例减少残留数量和成本
+   * - 余额多于记录的残留: 多出的未记录基础币按当前价计入残留，避免无成本持仓被卖出后虚增收益
+   */
+  reconcileDust() {
+    if (this.isReverse() || this.currentPrice <= 0 || this.filledOrders.length > 0) return;
+    
+    const balance = Math.max(0, this.baseBalance);
+    const { quantity, cost } = this.dust;
+    if (quantity > balance + 1e-9) {
+      this.dust = balance > 1e-9 ? { quantity: balance, cost: cost * balance / quantity } : { quantity: 0, cost: 0 };
+      this.logger.log(`🧹 余额少于记录的残留，残留调整为 ${this.dust.quantity.toFixed(8)} ${this.tradingCoin}`);
+    } else if (balance - quantity > 1e-9) {
+      const untracked = balance - quantity;
+      this.dust = { quantity: balance, cost: cost + untracked * this.currentPrice };
+      this.logger.log(`🧹 发现未记录的 ${untracked.toFixed(8)} ${this.tradingCoin}，按当前价 ${this.currentPrice} USDC 计入残留持仓`);
+    } else {
+      return;
+    }
+    this.persistState();
+  }
+  
+  /**
+   * 🔑 当前挂单模式的止盈单
+   * @returns {Object|null} 活跃订单信息
+   */
+  getRestingTakeProfitOrder() {
+    for (const orderInfo of this.activeOrders.values()) {
+      if (orderInfo.side === 'Ask' && orderInfo.role === 'takeProfit' && orderInfo.resting) {
+        return orderInfo;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * 🔑 价格向上取整到价格步长
+   * @param {number} price - 价格
+   * @returns {number}
+   */
+  ceilPrice(price) {
+    return this.marketRules.ceilPrice(price);
+  }
+  
+  /**
+   * 🔑 排队同步挂单止盈单 - 所有触发点（买单成交、价格推送、定时检查、重新挂单）都走这里
+   */
+  syncRestingTakeProfit() {
+    this.restingTakeProfitSync = this.restingTakeProfitSync
+      .then(() => this.refreshRestingTakeProfit())
+      .catch(error => this.logger.log(`同步止盈挂单失败: ${error.message}`, true));
+    return this.restingTakeProfitSync;
+  }
+  
+  /**
+   * 🔑 维护常驻止盈挂单 - 以 avgCost × (1 + 止盈%) 挂Post-Only卖单
+   * 只有买入成交改变了平均成本/持仓数量时才撤单重挂，价格波动不触发重挂
+   */
+  async refreshRestingTakeProfit() {
+    if (this.takeProfitMode !== 'resting' || !this.isRunning || this.cycleExit) return;
+    
+    const costBasis = this.getCostBasis();
+    if (costBasis.buyCount === 0 || costBasis.totalQuantity <= 0) return;
+    
+    const existing = this.getRestingTakeProfitOrder();
+    const { tickSize: priceTick, stepSize: quantityStep } = this.marketRules;
+    const targetPrice = this.ceilPrice(costBasis.averageCost * (1 + this.takeProfitPercent / 100) / (1 - this.makerFeeRate));
+    
+    if (existing
+        && Math.abs(existing.targetPrice - targetPrice) < priceTick / 2
+        && Math.abs(existing.basisQuantity - costBasis.totalQuantity) < quantityStep / 2) {
+      return; // 成本未变化，保留现有挂单
+    }
+    
+    if (existing) {
+      this.logger.log(`🔄 平均成本变化，撤销止盈挂单 ${existing.orderId} (${existing.targetPrice} → ${targetPrice} USDC)`);
+      try {
+        const cancelResult = await this.safeApiCall(
+          () => this.service.cancelOrder(existing.orderId, this.symbol),
+          '撤销止盈挂单'
+        );
+        // 撤单响应带有累计成交，先补记撤单前的成交
+        this.applyOrderSnapshot(existing, cancelResult);
+      } catch (error) {
+        this.logger.log(`撤销止盈挂单失败: ${error.message}，等待下次同步`, true);
+        return;
+      }
+      
+      // 撤单前已全部成交 - 周期已结算
+      if (this.normalizeOrderStatus(existing.lastStatus) === 'FILLED') {
+        return;
+      }
+    }
+    
+    // 剩余持仓 = 本周期净买入 (含结转残留) - 已卖出
+    const soldQuantity = this.filledOrders
+      .filter(order => order.side === 'Ask')
+      .reduce((sum, order) => sum + this.getNetFill(order).netQuantity, 0);
+    const heldQuantity = Math.min(costBasis.totalQuantity - soldQuantity, this.baseBalance);
+    if (this.isBelowOrderMinimum(this.floorQuantity(heldQuantity))) {
+      this.logger.log(`⚠️ 剩余持仓 ${heldQuantity.toFixed(6)} ${this.tradingCoin} 不足最小下单量，暂不挂止盈单`);
+      return;
+    }
+    
+    const sellQuantity = this.calculateTakeProfitQuantity(heldQuantity);
+    // Post-Only卖单必须高于当前价，否则会被交易所拒绝
+    const sellPrice = Math.max(targetPrice, this.ceilPrice(this.currentPrice + priceTick));
+    
+    this.logger.log(`📌 挂出止盈单: ${sellQuantity} ${this.tradingCoin} @ ${sellPrice} USDC (平均成本 ${costBasis.averageCost.toFixed(this.pricePrecision)} USDC, 目标 ${targetPrice} USDC)`);
+    
+    const sellResult = await this.safeApiCall(
+      () => this.service.createSellOrder(sellPrice, sellQuantity, this.symbol, this.getOrderOptions({ postOnly: true })),
+      '挂单止盈'
+    );
+    
+    const orderId = sellResult?.orderId;
+    if (!orderId) {
+      this.logger.log('❌ 止盈挂单创建失败: 响应中未找到订单ID');
+      return;
+    }
+    
+    this.baseBalance -= sellQuantity; // 卖单数量被交易所锁定
+    this.trackOrder(orderId, {
+      orderId: String(orderId),
+      side: 'Ask',
+      role: 'takeProfit',
+      resting: true,
+      price: sellPrice,
+      quantity: sellQuantity,
+      targetPrice,
+      basisQuantity: costBasis.totalQuantity,
+      createTime: Date.now()
+    });
+    this.logger.log(`✅ 止盈挂单成功: ${orderId}`);
+  }
+  
+  /**
+   * 🔑 把交易所返回的订单快照（撤单/下单响应）当作一次订单更新处理
+   * 补记快照中的累计成交，终态订单移出活跃列表；之后到达的同一订单WebSocket推送按未知订单忽略
+   * @param {Object} orderInfo - 活跃订单信息
+   * @param {Object} snapshot - 交易所返回的订单对象
+   * @param {string} fallbackStatus - 快照没有状态字段时使用的状态
+   */
+  applyOrderSnapshot(orderInfo, snapshot, fallbackStatus = 'Cancelled') {
+    const status = snapshot?.status || fallbackStatus;
+    orderInfo.lastStatus = status;
+    this.handleOrderUpdate({
+      orderId: orderInfo.orderId,
+      status,
+      filledQuantity: snapshot?.executedQuantity || orderInfo.executedQuantity || 0,
+      executedQuoteQuantity: snapshot?.executedQuoteQuantity || 0,
+      quantity: orderInfo.quantity,
+      price: orderInfo.price
+    });
+  }
+  
+  /**
+   * 🔑 检查周期退出条件 - 止损 / 最大持仓时间 / 最大浮亏
+   * 在WebSocket价格推送和30秒定时检查中调用
+   * @returns {boolean} 是否触发了退出
+   */
+  checkCycleExits() {
+    if (!this.isRunning || this.cycleExit || this.takeProfitInProgress) return false;
+    if (!this.hasPosition()) return false;
+    
+    const costBasis = this.getCostBasis();
+    if (costBasis.buyCount === 0 || costBasis.totalQuantity <= 0) return false;
+    
+    const { stopLoss, maxDuration, maxUnrealizedLoss } = this.exitConfig;
+    
+    if (stopLoss.enabled && this.lowestLadderPrice > 0) {
+      const stopPrice = this.lowestLadderPrice * (1 - stopLoss.percentage / 100);
+      if (this.currentPrice <= stopPrice) {
+        this.logger.log(`\n🛑 === 触发止损 ===`);
+        this.logger.log(`当前价 ${this.currentPrice} USDC <= 止损价 ${stopPrice.toFixed(this.pricePrecision)} USDC (最低档 ${this.lowestLadderPrice} USDC 下方 ${stopLoss.percentage}%)`);
+        this.executeCycleExit('stopLoss', stopLoss);
+        return true;
+      }
+    }
+    
+    if (maxUnrealizedLoss.enabled) {
+      const profitPercent = this.calculateNetProfitPercent(costBasis.averageCost, this.currentPrice);
+      if (profitPercent <= -maxUnrealizedLoss.percentage) {
+        this.logger.log(`\n🛑 === 触发最大浮亏退出 ===`);
+        this.logger.log(`净收益率 ${profitPercent.toFixed(3)}% <= -${maxUnrealizedLoss.percentage}%`);
+        this.executeCycleExit('maxUnrealizedLoss', maxUnrealizedLoss);
+        return true;
+      }
+    }
+    
+    if (maxDuration.enabled && this.cycleStartTime > 0) {
+      const heldHours = (Date.now() - this.cycleStartTime) / 3600000;
+      if (heldHours >= maxDuration.hours) {
+        this.logger.log(`\n⏰ === 触发最大持仓时间退出 ===`);
+        this.logger.log(`本周期已运行 ${heldHours.toFixed(1)} 小时 >= ${maxDuration.hours} 小时`);
+        this.executeCycleExit('maxDuration', maxDuration);
+        return true;
+      }
+    }
+    
+    return false;
+  }
+  
+  /**
+   * 🔑 执行周期退出 - 撤销所有挂单后按配置卖出或减记
+   * @param {string} reason - stopLoss | maxDuration | maxUnrealizedLoss
+   * @param {Object} exitOptions - 对应退出条件的配置 { sellMethod, action }
+   */
+  async executeCycleExit(reason, exitOptions) {
+    const action = exitOptions.action || 'liquidate';
+    this.cycleExit = { reason, action, sellMethod: exitOptions.sellMethod, startedAt: Date.now() };
+    this.monitoring = false;
+    this.persistState();
+    
+    try {
+      if (this.activeOrders.size > 0) {
+        this.logger.log(`🛑 ${this.getExitReasonName(reason)}退出: 撤销${this.activeOrders.size}个挂单...`);
+        const cancelResults = await this.cancelOwnedOrders('退出前撤销挂单');
+        this.applyCancelResults(cancelResults);
+      }
+      
+      // 撤单过程中止盈单已全部成交 - 周期已按止盈结算
+      if (!this.cycleExit) return;
+      
+      await this.refreshBalances();
+      
+      if (action === 'markdown') {
+        await this.markdownCycle(reason);
+      } else {
+        await this.placeExitSellOrder(reason, exitOptions.sellMethod);
+      }
+    } catch (error) {
+      this.logger.log(`${this.getExitReasonName(reason)}退出失败: ${error.message}`, true);
+      this.cycleExit = null;
+      this.persistState();
+    }
+  }
+  
+  /**
+   * 🔑 挂出退出卖单 - market 市价卖出 / limit 低于当前价的限价单确保成交
+   * @param {string} reason - 退出原因
+   * @param {string} sellMethod - market | limit
+   */
+  async placeExitSellOrder(reason, sellMethod) {
+    const sellQuantity = this.calculateTakeProfitQuantity(this.baseBalance);
+    if (this.isBelowOrderMinimum(sellQuantity)) {
+      this.logger.log(`⚠️ 可卖出数量 ${sellQuantity} ${this.tradingCoin} 低于最小下单量，直接结算本轮`);
+      this.completeCycle(reason);
+      return;
+    }
+    
+    let sellPrice = this.currentPrice;
+    let sellResult;
+    if (sellMethod === 'market') {
+      this.logger.log(`🔨 ${this.getExitReasonName(reason)}市价卖出: ${sellQuantity} ${this.tradingCoin}`);
+      sellResult = await this.safeApiCall(
+        () => this.service.createMarketOrder('Ask', sellQuantity, this.symbol, this.getOrderOptions()),
+        `${this.getExitReasonName(reason)}市价卖出`
+      );
+    } else {
+      sellPrice = this.formatPrice(this.currentPrice * (1 - this.exitConfig.limitSlippagePercentage / 100));
+      this.logger.log(`🔨 ${this.getExitReasonName(reason)}限价卖出: ${sellQuantity} ${this.tradingCoin} @ ${sellPrice} USDC`);
+      sellResult = await this.safeApiCall(
+        () => this.service.createSellOrder(sellPrice, sellQuantity, this.symbol, this.getOrderOptions()),
+        `${this.getExitReasonName(reason)}限价卖出`
+      );
+    }
+    
+    const orderId = sellResult?.orderId;
+    if (!orderId) {
+      throw new Error('退出卖单响应中未找到订单ID');
+    }
+    
+    this.baseBalance -= sellQuantity; // 卖单数量被交易所锁定
+    const orderInfo = {
+      orderId: String(orderId),
+      side: 'Ask',
+      role: 'exit',
+      exitReason: reason,
+      price: sellPrice,
+      quantity: sellQuantity,
+      createTime: Date.now()
+    };
+    this.trackOrder(orderId, orderInfo);
+    this.logger.log(`✅ 退出卖单已提交: ${orderId}`);
+    
+    // 市价单通常在响应中已成交，直接按响应结算
+    if (sellResult.status && this.normalizeOrderStatus(sellResult.status) !== 'NEW') {
+      this.applyOrderSnapshot(orderInfo, sellResult, sellResult.status);
+    }
+  }
+  
+  /**
+   * 🔑 减记周期 - 不卖出，按当前价格结算本轮浮亏，剩余持仓以当前价作为新周期成本继续马丁
+   * @param {string} reason - 退出原因
+   */
+  async markdownCycle(reason) {
+    const costBasis = this.getCostBasis();
+    let soldQuantity = 0;
+    let soldAmount = 0;
+    for (const order of this.filledOrders.filter(o => o.side === 'Ask')) {
+      const { netQuantity, netAmount } = this.getNetFill(order);
+      soldQuantity += netQuantity;
+      soldAmount += netAmount;
+    }
+    
+    const heldQuantity = Math.max(0, costBasis.totalQuantity - soldQuantity);
+    const markPrice = this.currentPrice * (1 - this.takerFeeRate); // 按吃单卖出后的净价减记
+    const profit = soldAmount + heldQuantity * markPrice - costBasis.totalCost;
+    
+    this.recordCycleResult(reason, profit, this.currentPrice);
+    
+    this.logger.log(`📉 ${this.getExitReasonName(reason)}减记完成:`);
+    this.logger.log(`  持仓: ${heldQuantity.toFixed(6)} ${this.tradingCoin}, 原平均成本 ${costBasis.averageCost.toFixed(this.pricePrecision)} → 减记价 ${markPrice.toFixed(this.pricePrecision)} USDC`);
+    this.logger.log(`  本轮净收益: ${profit >= 0 ? '+' : ''}${profit.toFixed(2)} USDC`);
+    this.logger.log(`  总收益: ${this.totalProfit >= 0 ? '+' : ''}${this.totalProfit.toFixed(2)} USDC`);
+    
+    // 剩余持仓 (含结转残留) 作为新周期的起始成交记录
+    this.dust = { quantity: 0, cost: 0 };
+    this.filledOrders = heldQuantity > 0 ? [{
+      orderId: `markdown-${this.cycleCount}`,
+      side: 'Bid',
+      price: markPrice,
+      quantity: heldQuantity,
+      amount: heldQuantity * markPrice,
+      fee: 0,
+      feeAsset: null,
+      feeQuote: 0,
+      fillTime: Date.now(),
+      source: 'markdown'
+    }] : [];
+    this.cycleStartTime = Date.now();
+    this.cycleCapital = 0; // 新周期重新分配资金
+    this.applyCycleVolatility(null); // 新周期重新计算波动率参数
+    this.cycleExit = null;
+    this.resetTrailingTakeProfit();
+    this.updatePositionData();
+    this.persistState();
+    
+    this.logger.log(`\n🔄 === 开始新的马丁周期 (第${this.cycleCount + 1}轮, 承接减记持仓) ===`);
+    await this.createMartingaleOrders();
+    if (this.takeProfitMode === 'resting') {
+      await this.syncRestingTakeProfit();
+    }
+  }
+  
+  /**
+   * 🔑 检查价格偏差
+   */
+  checkPriceDeviation() {
+    if (!this.strategyStartPrice || this.activeOrders.size === 0) return;
+    
+    const priceChangePercent = Math.abs(
+      (this.currentPrice - this.strategyStartPrice) / this.strategyStartPrice * 100
+    );
+    
+    if (priceChangePercent > this.maxPriceDifference) {
+      this.logger.log(`🔄 价格偏差过大: ${priceChangePercent.toFixed(2)}% > ${this.maxPriceDifference}%`);
+      this.logger.log(`重新挂单...`);
+      
+      setTimeout(() => this.restartOrders(), 1000);
+    }
+  }
+  
+  /**
+   * 🔑 重新挂单 - 按目标阶梯增量调整，价格仍在容差内的挂单保留，只撤销并重挂偏离的档位
+   */
+  async restartOrders() {
+    if (this.activeOrders.size === 0) {
+      await this.createMartingaleOrders();
+      return;
+    }
+    
+    if (this.tradingHalted) {
+      this.logger.log(`🚨 交易已停止 (${this.haltReason})，不重新挂单`, true);
+      return;
+    }
+    
+    // 价格偏差和无成交超时可能同时触发，同一时间只做一次调整
+    if (this.repricing) {
+      this.logger.log(`⏳ 阶梯调整进行中，跳过本次重新挂单`);
+      return;
+    }
+    
+    this.repricing = true;
+    try {
+      await this.repriceLadder();
+    } finally {
+      this.repricing = false;
     }
   }
   
   /**
-   * 🔑 重新挂单 - 使用批量取消减少API调用
+   * 🔑 增量调整阶梯 - 计算目标阶梯，与现有挂单按价格匹配
    */
-  async restartOrders() {
-    if (this.activeOrders.size === 0) {
-      await this.createMartingaleOrders();
-      return;
-    }
+  async repriceLadder() {
+    const reverse = this.isReverse();
+    const ladderOrders = Array.from(this.activeOrders.values()).filter(orderInfo => !this.isExitOrder(orderInfo));
+    const remainingOf = orderInfo => Math.max(0, orderInfo.quantity - (orderInfo.executedQuantity || 0));
     
-    this.logger.log(`🔄 批量取消${this.activeOrders.size}个订单并重新挂单...`);
+    this.logger.log(`\n🔄 === 增量调整阶梯 (现有${ladderOrders.length}档, 容差 ±${this.repriceTolerancePercent}%) ===`);
+    this.logger.log(`当前价格: ${this.currentPrice} USDC`);
     
-    try {
-      // 🔑 使用批量取消 - 一次API调用取消所有订单
-      const symbol = `${this.config.trading.tradingCoin}_USDC`;
-      await this.safeApiCall(
-        () => this.service.cancelAllOrders(symbol),
-        `批量取消所有订单`
-      );
-      
-      this.logger.log(`✅ 批量取消完成`);
-      this.activeOrders.clear();
-      
-    } catch (error) {
-      this.logger.log(`批量取消失败，尝试逐个取消: ${error.message}`, true);
-      
-      // 🔑 批量取消失败时，逐个取消但加大间隔
-      const orderIds = Array.from(this.activeOrders.keys());
-      let cancelCount = 0;
-      
-      for (let i = 0; i < orderIds.length; i++) {
-        const orderId = orderIds[i];
+    await this.refreshBalances();
+    
+    // 🔑 目标阶梯按"现有阶梯全部撤销"计算资金 - 反向周期挂单中的基础币已被锁定，需要加回
+    const releasable = reverse ? ladderOrders.reduce((sum, orderInfo) => sum + remainingOf(orderInfo), 0) : 0;
+    const { orders: targets } = this.buildLadderOrders(releasable);
+    
+    // 🔑 每个目标档位匹配价格最接近且在容差内的现有挂单 - 剩余数量与目标相差超过10%视为不同档位
+    const unmatched = new Set(ladderOrders);
+    const kept = [];
+    const toPlace = [];
+    for (const target of targets) {
+      let best = null;
+      let bestDiff = Infinity;
+      for (const orderInfo of unmatched) {
+        if (Math.abs(remainingOf(orderInfo) - target.quantity) > target.quantity * 0.1) continue;
         
-        try {
-          // 🔑 逐个取消时加大间隔 - 10秒
-          if (i > 0) {
-            this.logger.log(`⏳ 等待10秒避免API限流...`);
-            await new Promise(resolve => setTimeout(resolve, 10000));
-          }
-          
-          await this.service.cancelOrder(orderId);
-          this.logger.log(`✅ 订单 ${orderId} 已取消`);
-          cancelCount++;
-          
-        } catch (cancelError) {
-          this.logger.log(`❌ 取消订单 ${orderId} 失败: ${cancelError.message}`, true);
-          
-          // 如果是400错误，可能订单已经不存在了
-          if (cancelError.message.includes('400')) {
-            this.logger.log(`⚠️ 订单 ${orderId} 可能已不存在，跳过`);
-          }
+        const diffPercent = Math.abs(orderInfo.price - target.price) / target.price * 100;
+        if (diffPercent <= this.repriceTolerancePercent && diffPercent < bestDiff) {
+          best = orderInfo;
+          bestDiff = diffPercent;
         }
       }
       
-      this.logger.log(`📊 取消结果: ${cancelCount}/${orderIds.length} 成功`);
-      this.activeOrders.clear();
+      if (best) {
+        unmatched.delete(best);
+        kept.push(best);
+      } else {
+        toPlace.push(target);
+      }
     }
     
-    // 🔑 等待更长时间确保订单完全清理
-    this.logger.log(`⏳ 等待5秒确保订单清理完成...`);
-    await new Promise(resolve => setTimeout(resolve, 5000));
+    this.logger.log(`📋 调整计划: 保留 ${kept.length} 档, 撤销 ${unmatched.size} 档, 新挂 ${toPlace.length} 档`);
     
-    // 🔑 取消订单后重新查询余额，获取最新的可用余额
-    this.logger.log(`🔄 重新查询余额以获取释放的资金...`);
-    await this.refreshBalances();
+    // 保留的挂单重新计算无成交超时
+    const now = Date.now();
+    for (const orderInfo of kept) {
+      orderInfo.reviewTime = now;
+      this.logger.log(`  ✔️ 保留订单 ${orderInfo.orderId}: ${orderInfo.quantity} ${this.tradingCoin} @ ${orderInfo.price} USDC`);
+    }
+    this.persistState();
+    
+    // 🔑 逐个撤销偏离目标的挂单，撤单响应中的部分成交先补记
+    const cancelFailed = [];
+    for (const orderInfo of unmatched) {
+      try {
+        const result = await this.safeApiCall(
+          () => this.service.cancelOrder(orderInfo.orderId, this.symbol),
+          `撤销订单${orderInfo.orderId}`
+        );
+        // 快照按订单更新处理，终态订单在 handleOrderUpdate 中移出活跃列表
+        this.applyOrderSnapshot(orderInfo, result);
+        this.logger.log(`  ✖️ 已撤销订单 ${orderInfo.orderId}: ${orderInfo.quantity} ${this.tradingCoin} @ ${orderInfo.price} USDC`);
+      } catch (error) {
+        if (error.orderNotFound) {
+          this.logger.log(`🔁 订单 ${orderInfo.orderId} 已不在交易所，停止跟踪`);
+          this.untrackOrder(orderInfo.orderId);
+        } else {
+          this.logger.log(`❌ 撤销订单 ${orderInfo.orderId} 失败: ${error.message}`, true);
+          cancelFailed.push(orderInfo);
+        }
+      }
+    }
+    
+    if (!this.isRunning || this.takeProfitInProgress || this.cycleExit) {
+      // 撤单补记的成交可能已触发止盈或退出，不再挂新单
+      return;
+    }
+    
+    // 🔑 撤单失败的挂单仍在交易所 - 按保留处理，占用价格最接近的待挂档位，避免同一档重复挂单和重复占用资金
+    for (const orderInfo of cancelFailed) {
+      let closest = -1;
+      for (let i = 0; i < toPlace.length; i++) {
+        if (closest < 0 || Math.abs(toPlace[i].price - orderInfo.price) < Math.abs(toPlace[closest].price - orderInfo.price)) {
+          closest = i;
+        }
+      }
+      if (closest >= 0) {
+        const [target] = toPlace.splice(closest, 1);
+        this.logger.log(`  ⚠️ 订单 ${orderInfo.orderId} 撤销失败，继续保留，跳过目标档位 ${target.price} USDC`);
+      }
+      kept.push(orderInfo);
+    }
+    
+    // 🔑 总余额包含保留挂单占用的USDC，先扣除 (反向周期的可用基础币已不含保留挂单)
+    if (!reverse) {
+      this.usdcBalance -= kept.reduce((sum, orderInfo) => sum + remainingOf(orderInfo) * orderInfo.price, 0);
+    }
+    
+    if (toPlace.length > 0) {
+      const successOrders = await this.placeLadderOrders(toPlace);
+      this.logger.log(`\n📊 增量调整结果: 保留 ${kept.length} 档, 新挂 ${successOrders.length}/${toPlace.length} 档`);
+    } else {
+      this.logger.log(`✅ 阶梯无需新挂单`);
+    }
+    
+    if (this.activeOrders.size > 0) {
+      this.startOrderMonitoring();
+    }
+    
+    // 挂单止盈模式：止盈单不参与调整，按当前成本确认价格
+    if (this.takeProfitMode === 'resting') {
+      await this.syncRestingTakeProfit();
+    }
+  }
+  
+  /**
+   * 🔑 按批量撤单响应补记各订单撤单前的成交 - 避免部分成交丢失
+   * @param {Array} cancelResults - 交易所批量撤单响应
+   */
+  applyCancelResults(cancelResults) {
+    if (!Array.isArray(cancelResults)) return;
     
-    // 重新创建订单 - 跳过余额检查
-    await this.createMartingaleOrders(true);
+    for (const result of cancelResults) {
+      const orderInfo = this.activeOrders.get(result.orderId);
+      if (orderInfo) {
+        this.applyOrderSnapshot(orderInfo, result);
+      }
+    }
   }
   
   /**
@@ -679,22 +3101,95 @@ class MartingaleTrader {
    * @param {boolean} skipBalanceCheck - 跳过余额检查（重新挂单时使用）
    */
   async createMartingaleOrders(skipBalanceCheck = false) {
+    if (this.tradingHalted) {
+      this.logger.log(`🚨 交易已停止 (${this.haltReason})，不创建马丁订单`, true);
+      return;
+    }
+    
     if (!this.currentPrice) {
       this.logger.log('⏳ 等待价格数据...');
       return;
     }
     
+    // 🔑 新周期首次挂单前检查入场过滤，不满足时不挂单，定时复查
+    if (this.filledOrders.length === 0 && this.activeOrders.size === 0) {
+      const block = await this.checkEntryFilters();
+      if (block) {
+        this.blockEntry(block);
+        return;
+      }
+      this.clearEntryBlock();
+    }
+    
     this.logger.log(`\n🚀 === 创建马丁格尔订单 ===`);
     this.logger.log(`当前价格: ${this.currentPrice} USDC`);
     
+    // 🔑 自适应模式下按本轮波动率确定价格区间和止盈目标
+    await this.resolveCycleVolatility();
+    
+    const reverse = this.isReverse();
+    const { orders, plannedCapital } = this.buildLadderOrders();
+    
+    // 🔑 修复：允许部分订单创建，不因总金额不足而完全跳过
+    if (!skipBalanceCheck) {
+      // 刷新余额获取准确数据
+      await this.refreshBalances();
+      
+      this.logger.log(`💰 资金检查:`);
+      this.logger.log(`  计划投资: ${this.formatCapital(plannedCapital)}`);
+      if (reverse) {
+        this.logger.log(`  可用${this.tradingCoin}: ${this.baseBalance.toFixed(6)} ${this.tradingCoin} (储备金${this.protectedReserve.toFixed(6)})`);
+      } else {
+        this.logger.log(`  总余额: ${this.usdcBalance.toFixed(2)} USDC (可用${(this.usdcAvailable||0).toFixed(2)}+锁定${(this.usdcLocked||0).toFixed(2)}, 储备金${this.protectedReserve.toFixed(2)})`);
+      }
+      
+      // 🔑 修正：资金检查基于总余额（扣除储备金），因为旧挂单会被取消释放资金
+      const spendableCapital = this.getSpendableCapital();
+      if (spendableCapital < plannedCapital * 0.3) { // 至少需要30%资金才创建订单
+        this.logger.log(`❌ 总资金太少，无法创建任何订单`);
+        return;
+      } else if (spendableCapital < plannedCapital) {
+        this.logger.log(`⚠️ 资金不足以创建所有订单，将创建资金允许的订单`);
+      } else {
+        this.logger.log(`✅ 总资金充足，可创建所有订单（含释放的锁定资金）`);
+      }
+    } else {
+      this.logger.log(`🔄 重新挂单模式 - 跳过余额检查，直接创建订单`);
+      // 仍然需要刷新余额以获取准确数据
+      await this.refreshBalances();
+    }
+    
+    const successOrders = await this.placeLadderOrders(orders);
+    
+    this.logger.log(`\n📊 订单创建结果: ${successOrders.length}/${orders.length} 成功`);
+    
+    if (successOrders.length > 0) {
+      this.logger.log('🎯 马丁策略启动成功！');
+      this.startOrderMonitoring();
+    } else {
+      this.logger.log('⚠️ 所有订单创建失败，将在30秒后重试...');
+      setTimeout(() => {
+        this.logger.log('🔄 重试创建马丁订单...');
+        this.createMartingaleOrders();
+      }, 30000);
+    }
+  }
+  
+  /**
+   * 🔑 计算本轮目标阶梯 - 按持仓确定基准价，按本轮剩余资金和阶梯配置计算每档价格和数量
+   * @param {number} releasableCapital - 仍锁定在现有阶梯挂单中、重新定价时可释放的资金 (反向周期的基础币)
+   * @returns {Object} { basePrice, orders: [{level, price, quantity, amount}], plannedCapital }
+   */
+  buildLadderOrders(releasableCapital = 0) {
     // 🔑 检查是否有现有持仓，调整策略
+    const reverse = this.isReverse();
     let basePrice = this.currentPrice;
-    let positionValue = this.solBalance * this.currentPrice;
-    let hasExistingPosition = this.solBalance > 0.01 && positionValue >= this.minPositionValueThreshold;
+    let positionValue = this.baseBalance * this.currentPrice;
+    let hasExistingPosition = this.hasPosition();
     
-    // 记录持仓检查结果
-    if (this.solBalance > 0.01) {
-      this.logger.log(`📊 持仓检查: ${this.solBalance.toFixed(6)} SOL, 价值 $${positionValue.toFixed(2)}`);
+    // 记录持仓检查结果 (反向周期持有基础币是常态，不做此检查)
+    if (!reverse && this.baseBalance > this.minQuantity) {
+      this.logger.log(`📊 持仓检查: ${this.baseBalance.toFixed(6)} ${this.tradingCoin}, 价值 $${positionValue.toFixed(2)}`);
       if (positionValue < this.minPositionValueThreshold) {
         this.logger.log(`⚡ 持仓价值低于 $${this.minPositionValueThreshold} 阈值，视为无持仓，开启新一轮`);
       }
@@ -703,10 +3198,14 @@ class MartingaleTrader {
     if (hasExistingPosition && this.filledOrders.length > 0) {
       // 有持仓时，基于持仓平均成本调整订单策略
       const analysis = this.calculateAverageCost();
-      if (analysis && analysis.averageCost) {
+      if (analysis && analysis.averageCost && reverse) {
+        basePrice = Math.max(this.currentPrice, analysis.averageCost); // 使用较高价格作为基准
+        this.logger.log(`📊 平均卖出价: ${analysis.averageCost.toFixed(this.pricePrecision)} USDC`);
+        this.logger.log(`📊 调整基准: ${basePrice.toFixed(this.pricePrecision)} USDC (继续抬高卖出均价)`);
+      } else if (analysis && analysis.averageCost) {
         basePrice = Math.min(this.currentPrice, analysis.averageCost); // 使用较低价格作为基准
-        this.logger.log(`📊 持仓均价: ${analysis.averageCost.toFixed(2)} USDC`);
-        this.logger.log(`📊 调整基准: ${basePrice.toFixed(2)} USDC (继续摊低成本)`);
+        this.logger.log(`📊 持仓均价: ${analysis.averageCost.toFixed(this.pricePrecision)} USDC`);
+        this.logger.log(`📊 调整基准: ${basePrice.toFixed(this.pricePrecision)} USDC (继续摊低成本)`);
       }
     } else {
       this.logger.log(`📊 基准价格: ${basePrice} USDC (新建仓位)`);
@@ -715,19 +3214,18 @@ class MartingaleTrader {
     // 记录策略启动价格
     this.strategyStartPrice = basePrice;
     
-    // 🔑 计算订单价格分布 - 基于调整后的基准价格
-    const firstOrderDrop = hasExistingPosition ? 0.5 : 0.2; // 有持仓时下跌更多才挂单
-    const firstOrderPrice = this.formatPrice(basePrice * (1 - firstOrderDrop/100));
-    const lowestPrice = this.formatPrice(basePrice * (1 - this.maxDropPercent/100));
-    
-    // 🔑 基于USDC总余额计算订单分布，最大化资金利用率
-    const r = 1 + this.incrementPercent / 100;
-    const availableFunds = this.usdcBalance;  // 只用USDC总余额（含锁定资金）
+    // 🔑 本轮剩余可投入 = 本轮分配资金 - 本轮已成交建仓成本 (反向周期为已卖出的基础币数量)
+    const cycleCapital = this.getCycleCapital();
+    const costBasis = this.getCostBasis();
+    const investedCost = reverse ? costBasis.totalQuantity : costBasis.totalCost;
+    const availableFunds = Math.max(0, Math.min(cycleCapital - investedCost, this.getSpendableCapital() + releasableCapital));
     
     this.logger.log(`📊 订单金额计算:`);
     this.logger.log(`  USDC余额: ${this.usdcBalance.toFixed(2)} USDC (总余额=${(this.usdcAvailable||0).toFixed(2)}+${(this.usdcLocked||0).toFixed(2)})`);
-    this.logger.log(`  SOL持仓: ${this.solBalance.toFixed(6)} SOL × ${this.currentPrice} = ${(this.solBalance * this.currentPrice).toFixed(2)} USDC`);
-    this.logger.log(`  计算基础: ${availableFunds.toFixed(2)} USDC (仅基于USDC总余额，含锁定资金)`);
+    this.logger.log(`  ${this.tradingCoin}持仓: ${this.baseBalance.toFixed(6)} ${this.tradingCoin} × ${this.currentPrice} = ${(this.baseBalance * this.currentPrice).toFixed(2)} USDC`);
+    this.logger.log(`  本轮资金: ${this.formatCapital(cycleCapital)} (${this.describeAllocation()}${this.martingaleEnabled ? `, 马丁倍数 ×${Math.pow(this.martingaleMultiplier, this.consecutiveLosses).toFixed(2)}` : ''})`);
+    this.logger.log(`  已投入: ${this.formatCapital(investedCost)}, 储备金: ${this.formatCapital(this.protectedReserve)} (不参与下单)`);
+    this.logger.log(`  计算基础: ${this.formatCapital(availableFunds)}`);
     
     if (hasExistingPosition) {
       this.logger.log(`📊 有持仓模式 - 用固定金额确保订单分布一致`);
@@ -735,78 +3233,70 @@ class MartingaleTrader {
       this.logger.log(`📊 新建仓位模式 - 用固定金额创建标准订单`);
     }
     
-    const baseAmount = availableFunds * (r - 1) / (Math.pow(r, this.orderCount) - 1);
-    
-    const orders = [];
+    // 🔑 按阶梯配置计算每档价格和金额 - 有持仓时首档偏离更多才挂单
+    // 反向周期档位在基准价上方，每档金额即卖出的基础币数量
+    const plan = LadderPlanner.buildPlan({
+      basePrice,
+      totalAmount: availableFunds,
+      ladder: this.ladder,
+      hasPosition: hasExistingPosition,
+      maxDrop: this.maxDropPercent,
+      reverse
+    });
     
-    // 计算每个订单
-    for (let i = 0; i < this.orderCount; i++) {
-      let orderPrice;
-      
-      if (i === 0) {
-        orderPrice = firstOrderPrice;
-      } else {
-        const remainingRange = firstOrderPrice - lowestPrice;
-        const stepPrice = firstOrderPrice - (remainingRange * i / (this.orderCount - 1));
-        orderPrice = this.formatPrice(stepPrice);
-      }
-      
-      const orderAmount = baseAmount * Math.pow(r, i);
-      const orderQuantity = this.formatQuantity(orderAmount / orderPrice);
-      
-      orders.push({
+    const orders = plan.map((level, i) => {
+      const orderPrice = this.formatPrice(level.price);
+      const orderQuantity = this.formatQuantity(reverse ? level.amount : level.amount / orderPrice);
+      return {
+        level: i + 1,
         price: orderPrice,
         quantity: orderQuantity,
         amount: orderPrice * orderQuantity
-      });
-    }
+      };
+    });
+    
+    // 🔑 记录阶梯最低价 - 止损价以此为基准
+    this.lowestLadderPrice = Math.min(...orders.map(order => order.price));
     
     // 显示订单计划
     this.logger.log(`📋 马丁订单计划:`);
     let totalPlanned = 0;
-    orders.forEach((order, i) => {
+    orders.forEach(order => {
       const dropPercent = ((order.price - basePrice) / basePrice * 100);
       const currentDropPercent = ((order.price - this.currentPrice) / this.currentPrice * 100);
-      this.logger.log(`  订单${i + 1}: ${order.quantity} SOL @ ${order.price} USDC (基准${dropPercent.toFixed(2)}% | 当前${currentDropPercent.toFixed(2)}%) = ${order.amount.toFixed(2)} USDC`);
+      this.logger.log(`  订单${order.level}: ${order.quantity} ${this.tradingCoin} @ ${order.price} USDC (基准${dropPercent.toFixed(2)}% | 当前${currentDropPercent.toFixed(2)}%) = ${order.amount.toFixed(2)} USDC`);
       totalPlanned += order.amount;
     });
     this.logger.log(`计划投资: ${totalPlanned.toFixed(2)} USDC`);
+    const plannedCapital = reverse
+      ? orders.reduce((sum, order) => sum + order.quantity, 0)
+      : totalPlanned;
     
-    // 🔑 修复：允许部分订单创建，不因总金额不足而完全跳过
-    if (!skipBalanceCheck) {
-      // 刷新余额获取准确数据
-      await this.refreshBalances();
-      
-      this.logger.log(`💰 资金检查:`);
-      this.logger.log(`  计划投资: ${totalPlanned.toFixed(2)} USDC`);
-      this.logger.log(`  总余额: ${this.usdcBalance.toFixed(2)} USDC (可用${(this.usdcAvailable||0).toFixed(2)}+锁定${(this.usdcLocked||0).toFixed(2)})`);
-      
-      // 🔑 修正：资金检查基于总余额，因为旧挂单会被取消释放资金
-      if (this.usdcBalance < totalPlanned * 0.3) { // 至少需要30%资金才创建订单
-        this.logger.log(`❌ 总资金太少，无法创建任何订单`);
-        return;
-      } else if (this.usdcBalance < totalPlanned) {
-        this.logger.log(`⚠️ 资金不足以创建所有订单，将创建资金允许的订单`);
-      } else {
-        this.logger.log(`✅ 总资金充足，可创建所有订单（含释放的锁定资金）`);
-      }
-    } else {
-      this.logger.log(`🔄 重新挂单模式 - 跳过余额检查，直接创建订单`);
-      // 仍然需要刷新余额以获取准确数据
-      await this.refreshBalances();
-    }
-    
-    const symbol = `${this.config.trading.tradingCoin}_USDC`;
+    return { basePrice, orders, plannedCapital };
+  }
+  
+  /**
+   * 🔑 逐档挂出阶梯订单 - 每档下单前检查可用资金，遇到限流停止
+   * @param {Array<Object>} orders - 目标档位 [{level, price, quantity}]
+   * @returns {Promise<Array<string>>} 成功挂出的订单ID
+   */
+  async placeLadderOrders(orders) {
+    const reverse = this.isReverse();
+    const orderOptions = this.getOrderOptions(this.orderExecution.ladderPostOnly ? { postOnly: true } : {});
     const successOrders = [];
     
-    for (let i = 0; i < orders.length; i++) {
-      const order = orders[i];
-      
+    for (const order of orders) {
       try {
-        // 🔑 订单创建前的余额验证 - 手续费用SOL支付，USDC不需要预留
-        const orderCost = order.price * order.quantity;
-        if (this.usdcBalance < orderCost) {
-          this.logger.log(`⚠️ 订单${i + 1}跳过: 余额不足 (需要${orderCost.toFixed(2)}, 可用${this.usdcBalance.toFixed(2)})`);
+        // 🔑 低于交易所最小下单量/最小金额的档位会被拒单，直接跳过
+        if (this.isBelowOrderMinimum(order.quantity, order.price)) {
+          this.logger.log(`⚠️ 订单${order.level}跳过: ${order.quantity} ${this.tradingCoin} @ ${order.price} USDC 低于最小下单限制 (${this.marketRules.describe()})`);
+          continue;
+        }
+
+        // 🔑 订单创建前的余额验证 - 手续费用基础币支付，USDC不需要预留
+        const orderCost = reverse ? order.quantity : order.price * order.quantity;
+        if (this.getSpendableCapital() < orderCost) {
+          this.logger.log(`⚠️ 订单${order.level}跳过: 余额不足 (需要${this.formatCapital(orderCost)}, 可用${this.formatCapital(this.getSpendableCapital())}, 储备金不动用)`);
           continue;
         }
         
@@ -814,87 +3304,54 @@ class MartingaleTrader {
         const formattedPrice = this.formatPrice(order.price);
         const formattedQuantity = this.formatQuantity(order.quantity);
         
-        this.logger.log(`\n🔨 创建订单${i + 1}: ${formattedQuantity} SOL @ ${formattedPrice} USDC`);
+        this.logger.log(`\n🔨 创建订单${order.level}: ${formattedQuantity} ${this.tradingCoin} @ ${formattedPrice} USDC`);
         this.logger.log(`  订单成本: ${(formattedPrice * formattedQuantity).toFixed(2)} USDC`);
         this.logger.log(`  剩余余额: ${this.usdcBalance.toFixed(2)} USDC`);
         
         const buyResult = await this.safeApiCall(
-          () => this.service.createBuyOrder(formattedPrice, formattedQuantity, symbol),
-          `订单${i + 1}`
+          () => reverse
+            ? this.service.createSellOrder(formattedPrice, formattedQuantity, this.symbol, orderOptions)
+            : this.service.createBuyOrder(formattedPrice, formattedQuantity, this.symbol, orderOptions),
+          `订单${order.level}`
         );
         
-        // 🔑 成功后立即扣减余额记录，避免重复扣减
-        if (buyResult) {
+        // 🔑 成功后立即扣减余额记录，避免重复扣减 (卖单数量被交易所锁定)
+        if (buyResult && reverse) {
+          this.baseBalance -= formattedQuantity;
+        } else if (buyResult) {
           this.usdcBalance -= formattedPrice * formattedQuantity;
         }
         
-        // 🔍 调试API响应
-        this.logger.log(`🔍 订单${i + 1}响应调试:`);
-        this.logger.log(`  响应类型: ${typeof buyResult}`);
-        this.logger.log(`  响应内容: ${JSON.stringify(buyResult)}`);
-        
         if (buyResult && buyResult.orderId) {
-          this.activeOrders.set(buyResult.orderId, {
+          this.trackOrder(buyResult.orderId, {
             orderId: buyResult.orderId,
-            side: 'Bid',
+            side: this.getEntrySide(),
+            role: 'ladder',
             price: order.price,
             quantity: order.quantity,
             createTime: Date.now()
           });
           successOrders.push(buyResult.orderId);
-          this.logger.log(`✅ 订单${i + 1}成功: ${buyResult.orderId}`);
-        } else if (buyResult) {
-          // 检查是否有其他字段标识订单ID
-          const possibleIds = ['id', 'orderID', 'order_id', 'clientOrderId', 'clientOrderID'];
-          let foundId = null;
-          
-          for (const field of possibleIds) {
-            if (buyResult[field]) {
-              foundId = buyResult[field];
-              this.logger.log(`🔍 找到订单ID字段: ${field} = ${foundId}`);
-              break;
-            }
-          }
-          
-          if (foundId) {
-            this.activeOrders.set(foundId, {
-              orderId: foundId,
-              side: 'Bid',
-              price: order.price,
-              quantity: order.quantity,
-              createTime: Date.now()
-            });
-            successOrders.push(foundId);
-            this.logger.log(`✅ 订单${i + 1}成功: ${foundId}`);
-          } else {
-            this.logger.log(`❌ 订单${i + 1}失败: 响应中未找到订单ID`);
-          }
+          this.logger.log(`✅ 订单${order.level}成功: ${buyResult.orderId}`);
         } else {
-          this.logger.log(`❌ 订单${i + 1}失败: 响应为空或null`);
+          this.logger.log(`❌ 订单${order.level}失败: 响应中未找到订单ID`);
         }
         
       } catch (error) {
-        this.logger.log(`❌ 订单${i + 1}失败: ${error.message}`, true);
+        this.logger.log(`❌ 订单${order.level}失败: ${error.message}`, true);
         
-        if (error.message.includes('429')) {
+        if (error.rateLimited) {
           this.logger.log('🚫 遇到限流，停止创建剩余订单');
           break;
         }
+        if (error.insufficientFunds) {
+          this.logger.log('💸 资金不足，停止创建剩余订单');
+          break;
+        }
       }
     }
     
-    this.logger.log(`\n📊 订单创建结果: ${successOrders.length}/${orders.length} 成功`);
-    
-    if (successOrders.length > 0) {
-      this.logger.log('🎯 马丁策略启动成功！');
-      this.startOrderMonitoring();
-    } else {
-      this.logger.log('⚠️ 所有订单创建失败，将在30秒后重试...');
-      setTimeout(() => {
-        this.logger.log('🔄 重试创建马丁订单...');
-        this.createMartingaleOrders();
-      }, 30000);
-    }
+    return successOrders;
   }
   
   /**
@@ -932,7 +3389,11 @@ class MartingaleTrader {
       let oldestOrderAge = 0;
       
       for (const [orderId, orderInfo] of this.activeOrders.entries()) {
-        const orderAge = now - orderInfo.createTime;
+        // 常驻止盈挂单不参与无成交超时判断
+        if (this.isExitOrder(orderInfo)) continue;
+        
+        // 增量调整时保留的挂单从保留时刻起重新计时
+        const orderAge = now - (orderInfo.reviewTime || orderInfo.createTime);
         if (orderAge > oldestOrderAge) {
           oldestOrderAge = orderAge;
         }
@@ -979,10 +3440,37 @@ class MartingaleTrader {
   
   /**
    * 🔑 开始新周期
+   * @param {number} settledFillCount - 上一轮结算时的成交记录数，之后补记的成交按各自成本结转 (撤单失败重试时沿用)
    */
-  async startNewCycle() {
+  async startNewCycle(settledFillCount = this.filledOrders.length) {
     this.logger.log(`\n🔄 === 开始新的马丁周期 (第${this.cycleCount + 1}轮) ===`);
     
+    // 🔑 挂单止盈成交后上一轮的买单仍在盘口，先撤销
+    if (this.activeOrders.size > 0) {
+      this.logger.log(`🛑 取消上一轮剩余的${this.activeOrders.size}个挂单...`);
+      try {
+        const cancelResults = await this.cancelOwnedOrders('取消上一轮剩余挂单');
+        // 撤单前的部分成交发生在上一轮结算之后，补记后单独按成交成本结转
+        this.applyCancelResults(cancelResults);
+      } catch (error) {
+        this.logger.log(`取消上一轮剩余挂单失败: ${error.message}`, true);
+      }
+      
+      // 撤单失败的挂单仍在交易所 - 继续跟踪，稍后重试，新阶梯不占用这些挂单锁定的资金
+      if (this.activeOrders.size > 0) {
+        this.logger.log(`⚠️ 上一轮仍有${this.activeOrders.size}个挂单未撤销，30秒后重试开始新周期`, true);
+        setTimeout(() => {
+          if (this.isRunning) {
+            this.startNewCycle(settledFillCount);
+          }
+        }, 30000);
+        return;
+      }
+    }
+    
+    // 🔑 上一周期未卖出的残留连同成本结转到新周期
+    this.carryDust(this.filledOrders.splice(settledFillCount));
+    
     // 重置状态
     this.filledOrders = [];
     this.strategyStartPrice = 0;
@@ -992,9 +3480,15 @@ class MartingaleTrader {
     this.positionCost = 0;
     this.positionAvgPrice = 0;
     this.positionQuantity = 0;
+    this.cycleStartTime = Date.now();
+    this.cycleCapital = 0; // 新周期重新分配资金
+    this.applyCycleVolatility(null); // 新周期重新计算波动率参数
+    this.resetTrailingTakeProfit();
+    this.persistState();
     
     // 刷新余额
     await this.refreshBalances();
+    this.reconcileDust();
     
     // 创建新的马丁订单
     await this.createMartingaleOrders();
@@ -1004,62 +3498,62 @@ class MartingaleTrader {
    * 🔑 计算周期收益
    */
   calculateCycleProfit() {
-    // 简化收益计算：假设每次卖出都是盈利的
-    const totalBought = this.filledOrders
-      .filter(order => order.side === 'Bid')
-      .reduce((sum, order) => sum + order.amount, 0);
+    // 简化收益计算：按当前价格吃单卖出，成本与收入均扣除手续费
+    const { totalCost } = this.getCostBasis();
     
-    const sellPrice = this.currentPrice * 0.995;
-    const totalSold = this.solBalance * sellPrice;
+    const sellPrice = this.currentPrice * 0.995 * (1 - this.takerFeeRate);
+    const totalSold = this.baseBalance * sellPrice;
     
-    return totalSold - totalBought;
+    return totalSold - totalCost;
   }
   
   /**
    * 🔑 刷新余额 - 强制API获取最新数据
    */
   async refreshBalances() {
+    if (this.ledger) {
+      this.syncLedgerBalances();
+      return;
+    }
+    
     try {
       // 清除可能的缓存，强制API调用
-      const [solPosition, usdcPosition] = await Promise.all([
-        this.safeApiCall(() => this.service.getPosition('SOL'), '获取SOL余额'),
-        this.safeApiCall(() => this.service.getPosition('USDC'), '获取USDC余额')
+      const [basePosition, usdcPosition] = await Promise.all([
+        this.safeApiCall(() => this.service.getBalance(this.tradingCoin), `获取${this.tradingCoin}余额`),
+        this.safeApiCall(() => this.service.getBalance('USDC'), '获取USDC余额')
       ]);
       
       // 🔑 使用总余额 = 可用余额 + 锁定余额 (最大化资金利用率)
       // 因为开启新一轮时会取消旧挂单，locked资金会释放
-      const solAvailable = parseFloat(solPosition.available || 0);
-      const solLocked = parseFloat(solPosition.locked || 0);
-      const usdcAvailable = parseFloat(usdcPosition.available || 0);
-      const usdcLocked = parseFloat(usdcPosition.locked || 0);
+      const { available: baseAvailable, locked: baseLocked } = basePosition;
+      const { available: usdcAvailable, locked: usdcLocked } = usdcPosition;
       
-      this.solBalance = solAvailable;  // SOL持仓仍用available
+      this.baseBalance = baseAvailable;  // 基础币持仓仍用available
       this.usdcBalance = usdcAvailable + usdcLocked;  // USDC用总余额
       
       // 记录详细余额信息
-      this.solAvailable = solAvailable;
-      this.solLocked = solLocked;
+      this.baseAvailable = baseAvailable;
+      this.baseLocked = baseLocked;
       this.usdcAvailable = usdcAvailable;
       this.usdcLocked = usdcLocked;
       
       this.logger.log(`💰 实际余额更新:`);
-      this.logger.log(`  SOL可用: ${solAvailable.toFixed(6)} SOL`);
-      this.logger.log(`  SOL锁定: ${solLocked.toFixed(6)} SOL`);
+      this.logger.log(`  ${this.tradingCoin}可用: ${baseAvailable.toFixed(6)} ${this.tradingCoin}`);
+      this.logger.log(`  ${this.tradingCoin}锁定: ${baseLocked.toFixed(6)} ${this.tradingCoin}`);
       this.logger.log(`  USDC可用: ${usdcAvailable.toFixed(2)} USDC`);
       this.logger.log(`  USDC锁定: ${usdcLocked.toFixed(2)} USDC`);
       this.logger.log(`🎯 计算用余额:`);
-      this.logger.log(`  SOL余额: ${this.solBalance.toFixed(6)} SOL (持仓用available)`);
+      this.logger.log(`  ${this.tradingCoin}余额: ${this.baseBalance.toFixed(6)} ${this.tradingCoin} (持仓用available)`);
       this.logger.log(`  USDC余额: ${this.usdcBalance.toFixed(2)} USDC (下单用总余额 ${usdcAvailable.toFixed(2)}+${usdcLocked.toFixed(2)})`);
       
-      // 🔑 如果有锁定的SOL，警告用户
-      if (solLocked > 0.01) {
-        this.logger.log(`⚠️ 检测到 ${solLocked.toFixed(6)} SOL 被锁定（可能有挂单）`);
+      // 🔑 如果有锁定的基础币，警告用户
+      if (baseLocked > this.minQuantity) {
+        this.logger.log(`⚠️ 检测到 ${baseLocked.toFixed(6)} ${this.tradingCoin} 被锁定（可能有挂单）`);
       }
       
-      // 🔑 如果有SOL持仓但没有记录，恢复成交数据
-      const positionValue = this.solBalance * this.currentPrice;
-      if (this.solBalance > 0.01 && positionValue >= this.minPositionValueThreshold && this.filledOrders.length === 0) {
-        this.logger.log(`🔍 检测到SOL持仓但无交易记录，恢复数据...`);
+      // 🔑 如果有基础币持仓但没有记录，恢复成交数据
+      if (this.hasPosition() && this.filledOrders.length === 0) {
+        this.logger.log(`🔍 检测到${this.tradingCoin}持仓但无交易记录，恢复数据...`);
         await this.analyzeExistingPosition();
       }
       
@@ -1068,6 +3562,31 @@ class MartingaleTrader {
     }
   }
   
+  /**
+   * 🔑 共享账户时用独立资金账本计算余额 - 账户余额包含其他策略的资金，不能直接使用
+   * 与 refreshBalances 口径一致: 基础币为扣除本策略卖单锁定后的可用量，USDC为总余额
+   */
+  syncLedgerBalances() {
+    const baseLocked = this.getLockedTakeProfitQuantity();
+    let usdcLocked = 0;
+    for (const orderInfo of this.activeOrders.values()) {
+      if (orderInfo.side === 'Bid') {
+        usdcLocked += Math.max(0, orderInfo.quantity - (orderInfo.executedQuantity || 0)) * orderInfo.price;
+      }
+    }
+    
+    this.baseAvailable = Math.max(0, this.ledger.base - baseLocked);
+    this.baseLocked = baseLocked;
+    this.usdcAvailable = Math.max(0, this.ledger.usdc - usdcLocked);
+    this.usdcLocked = usdcLocked;
+    this.baseBalance = this.baseAvailable;
+    this.usdcBalance = this.ledger.usdc;
+    
+    this.logger.log(`💼 独立资金账本:`);
+    this.logger.log(`  ${this.tradingCoin}: ${this.ledger.base.toFixed(6)} ${this.tradingCoin} (挂单锁定 ${baseLocked.toFixed(6)})`);
+    this.logger.log(`  USDC: ${this.ledger.usdc.toFixed(2)} USDC (挂单锁定 ${usdcLocked.toFixed(2)})`);
+  }
+  
   /**
    * 🔑 分析现有持仓 - 获取实际交易历史
    */
@@ -1076,12 +3595,11 @@ class MartingaleTrader {
    */
   async analyzeExistingPosition() {
     try {
-      const symbol = `${this.config.trading.tradingCoin}_USDC`;
       this.logger.log(`🔍 恢复持仓成交记录...`);
       
       // 获取最近24小时的成交历史
       const fillHistory = await this.safeApiCall(
-        () => this.service.getFillHistory(symbol, 50),
+        () => this.service.getFillHistory(this.symbol, 50),
         '获取成交历史'
       );
       
@@ -1092,45 +3610,43 @@ class MartingaleTrader {
       
       // 🔑 简单逻辑：从最新的买单开始累加，直到匹配当前余额
       const recentBuyFills = fillHistory
-        .filter(fill => {
-          const side = fill.side || fill.Side;
-          return side === 'Bid' || side === 'BUY';
-        })
-        .sort((a, b) => new Date(b.timestamp || b.createdAt) - new Date(a.timestamp || a.createdAt));
+        .filter(fill => fill.side === 'Bid')
+        .sort((a, b) => b.timestamp - a.timestamp);
       
       let accumulatedQuantity = 0;
       let totalCost = 0;
-      const targetQuantity = this.solBalance;
+      const targetQuantity = this.baseBalance - this.dust.quantity; // 残留持仓已有成本记录
       
-      this.logger.log(`🎯 目标匹配: ${targetQuantity.toFixed(6)} SOL`);
+      this.logger.log(`🎯 目标匹配: ${targetQuantity.toFixed(6)} ${this.tradingCoin}`);
       
       for (const fill of recentBuyFills) {
-        const fillQuantity = parseFloat(fill.quantity || fill.size);
-        const fillPrice = parseFloat(fill.price);
+        const fillQuantity = fill.quantity;
+        const fillPrice = fill.price;
         const fillCost = fillPrice * fillQuantity;
         
         // 如果加上这笔成交会超出余额，跳过
-        if (accumulatedQuantity + fillQuantity > targetQuantity + 0.01) {
+        if (accumulatedQuantity + fillQuantity > targetQuantity + this.minQuantity) {
           continue;
         }
         
-        // 记录成交
+        // 记录成交（含手续费）
         this.filledOrders.push({
-          orderId: fill.orderId || fill.id,
+          orderId: fill.orderId,
           side: 'Bid',
           price: fillPrice,
           quantity: fillQuantity,
           amount: fillCost,
-          fillTime: new Date(fill.timestamp || fill.createdAt).getTime()
+          ...this.buildFeeFields(fill.fee, fill.feeSymbol, fillPrice),
+          fillTime: fill.timestamp
         });
         
         accumulatedQuantity += fillQuantity;
         totalCost += fillCost;
         
-        this.logger.log(`✅ 恢复成交: ${fillQuantity.toFixed(6)} SOL @ ${fillPrice} USDC`);
+        this.logger.log(`✅ 恢复成交: ${fillQuantity.toFixed(6)} ${this.tradingCoin} @ ${fillPrice} USDC`);
         
         // 如果已经匹配到足够的数量，停止
-        if (Math.abs(accumulatedQuantity - targetQuantity) <= 0.01) {
+        if (Math.abs(accumulatedQuantity - targetQuantity) <= this.minQuantity) {
           break;
         }
       }
@@ -1141,9 +3657,9 @@ class MartingaleTrader {
         
         this.logger.log(`📊 恢复完成:`);
         this.logger.log(`  成交记录: ${this.filledOrders.length} 笔`);
-        this.logger.log(`  总投入: ${totalCost.toFixed(2)} USDC`);
-        this.logger.log(`  总数量: ${accumulatedQuantity.toFixed(6)} SOL`);
-        this.logger.log(`  平均成本: ${(totalCost / accumulatedQuantity).toFixed(2)} USDC`);
+        this.logger.log(`  总投入: ${this.positionCost.toFixed(2)} USDC (含手续费)`);
+        this.logger.log(`  总数量: ${this.positionQuantity.toFixed(6)} ${this.tradingCoin} (扣除手续费)`);
+        this.logger.log(`  平均成本: ${this.positionAvgPrice.toFixed(this.pricePrecision)} USDC`);
         
         // 🔑 立即开始监控止盈
         this.logger.log(`🎯 开始监控止盈条件...`);
@@ -1151,9 +3667,9 @@ class MartingaleTrader {
       } else {
         this.logger.log(`⚠️ 无法匹配成交记录，使用当前价格作为基准`);
         // 即使无记录，也要设置基础持仓数据
-        this.positionCost = this.solBalance * this.currentPrice;
+        this.positionCost = this.baseBalance * this.currentPrice;
         this.positionAvgPrice = this.currentPrice;
-        this.positionQuantity = this.solBalance;
+        this.positionQuantity = this.baseBalance;
       }
       
     } catch (error) {
@@ -1169,15 +3685,17 @@ class MartingaleTrader {
     try {
       const symbol = await this.initialize();
       
-      // 启动WebSocket
-      this.wsManager.setupPriceWebSocket(symbol);
-      
-      // 🔑 订阅订单更新 - 实时监控订单成交
-      this.wsManager.subscribeOrderUpdates();
-      await new Promise(resolve => setTimeout(resolve, 3000));
-      
-      if (!this.wsManager.isConnected()) {
-        throw new Error('WebSocket连接失败');
+      // 启动WebSocket - 多策略运行时共享连接已由 StrategyRunner 建立
+      if (!this.sharedAccount) {
+        this.wsManager.setupPriceWebSocket(symbol);
+        
+        // 🔑 订阅订单更新 - 实时监控订单成交
+        this.wsManager.subscribeOrderUpdates();
+        await new Promise(resolve => setTimeout(resolve, 3000));
+        
+        if (!this.wsManager.isConnected()) {
+          throw new Error('WebSocket连接失败');
+        }
       }
       
       // 等待价格数据
@@ -1193,29 +3711,66 @@ class MartingaleTrader {
       
       this.logger.log(`📊 WebSocket连接成功，当前价格: ${this.currentPrice} USDC`);
       
+      // 🔑 恢复持久化的周期状态并与交易所对账
+      const restoreResult = await this.restoreState();
+      
       // 刷新余额
       await this.refreshBalances();
       
       // 开始运行
       this.isRunning = true;
       
+      if (this.tradingHalted) {
+        this.logger.log(`🚨 交易处于停止状态: ${this.haltReason}`, true);
+      }
+      
       // 检查是否有现有持仓
       const minPositionValue = 20;
-      const minSolQuantity = minPositionValue / this.currentPrice;
+      const minBaseQuantity = minPositionValue / this.currentPrice;
       
-      if (this.solBalance > minSolQuantity) {
+      if (restoreResult === 'completed') {
+        // 离线期间已止盈/退出，completeCycle已安排新周期
+        this.logger.log(`🔄 上一轮已在离线期间完成，等待新周期启动...`);
+      } else if (restoreResult === 'resumed' && this.activeOrders.size > 0) {
+        // 🔑 继续原周期 - 保留现有挂单，不重新建仓
+        this.logger.log(`\n♻️ === 恢复原马丁周期 (第${this.cycleCount + 1}轮) ===`);
+        if (this.takeProfitInProgress) {
+          this.logger.log(`止盈卖单仍在挂单中，等待成交...`);
+        } else {
+          this.startOrderMonitoring();
+          this.checkTakeProfit();
+        }
+      } else if (this.isReverse()) {
+        // 🔑 反向周期: 持有基础币是常态，只有状态文件中的卖出记录才构成待回购仓位
+        this.logger.log(`📦 反向周期，创建马丁卖单阶梯...`);
+        await this.createMartingaleOrders();
+        if (this.hasPosition()) {
+          this.checkTakeProfit();
+        }
+      } else if (this.baseBalance - this.dust.quantity > minBaseQuantity) {
         this.logger.log(`🎯 检测到现有持仓，分析策略选择...`);
         
-        // 分析现有持仓情况
-        await this.analyzeExistingPosition();
+        // 分析现有持仓情况 - 状态文件已恢复成交记录时不再猜测成本
+        // 共享账户的成交历史包含其他策略的成交，无法用于推算本策略成本
+        if (this.filledOrders.length === 0 && !this.ledger) {
+          await this.analyzeExistingPosition();
+        }
         
         // 检查是否达到止盈条件
         const analysis = this.calculateAverageCost();
-        if (analysis && analysis.profitPercent >= this.takeProfitPercent) {
+        if (this.takeProfitMode === 'resting') {
+          // 挂单模式：继续挂马丁买单，同时挂出常驻止盈单
+          this.logger.log(`\n📌 === 挂单止盈模式：继续马丁策略并挂出止盈单 ===`);
+          await this.createMartingaleOrders();
+          this.checkTakeProfit();
+        } else if (analysis && analysis.profitPercent >= this.takeProfitPercent) {
           this.logger.log(`\n🚀 === 立即执行止盈 ===`);
           this.logger.log(`当前收益: ${analysis.profitPercent.toFixed(3)}% >= ${this.takeProfitPercent}%`);
           
-          if (!this.takeProfitInProgress) {
+          if (this.takeProfitMode === 'trailing') {
+            // 追踪模式：启动追踪，由价格推送和定时检查决定卖出时机
+            this.checkTakeProfit();
+          } else if (!this.takeProfitInProgress) {
             setTimeout(() => {
               this.executeTakeProfit();
             }, 2000);
@@ -1232,8 +3787,9 @@ class MartingaleTrader {
           await this.createMartingaleOrders();
         }
       } else {
-        // 无持仓，正常创建马丁订单
+        // 无持仓，正常创建马丁订单 - 余额中的零头作为残留持仓记录
         this.logger.log(`📦 无持仓，创建初始马丁订单...`);
+        this.reconcileDust();
         await this.createMartingaleOrders();
       }
       
@@ -1245,13 +3801,17 @@ class MartingaleTrader {
         this.printStatus();
       }, 1800000); // 每30分钟
       
+      // 🔑 定期刷新市场规则 - 交易所调整步长/最小下单量后，新订单按新规则取整
+      this.marketRulesRefreshTimer = setInterval(() => {
+        this.loadMarketRules().catch(error => this.logger.log(`刷新市场规则失败: ${error.message}`, true));
+      }, this.marketRulesRefreshMinutes * 60000);
+      
       // 🔑 定期检查余额和订单状态 - 降低频率，主要依赖WebSocket
       setInterval(async () => {
         try {
           // 只在必要时刷新余额（降低REST API调用）
-          const positionValue = this.solBalance * this.currentPrice;
-          if (this.solBalance > 0.01 && positionValue >= this.minPositionValueThreshold) {
-            this.logger.log(`💰 定期检查: SOL余额 ${this.solBalance.toFixed(6)} (缓存)`);
+          if (this.hasPosition()) {
+            this.logger.log(`💰 定期检查: ${this.tradingCoin}余额 ${this.baseBalance.toFixed(6)} (缓存)`);
             this.checkTakeProfit();
           } else {
             // 无持仓时每5分钟完整刷新一次余额
@@ -1264,10 +3824,11 @@ class MartingaleTrader {
       
       // 🔑 高频止盈检查 - 确保不错过止盈机会
       setInterval(() => {
-        const positionValue = this.solBalance * this.currentPrice;
-        if (this.solBalance > 0.01 && positionValue >= this.minPositionValueThreshold && this.currentPrice > 0) {
-          // 有持仓时每30秒检查一次止盈（无需API调用，纯计算）
-          this.checkTakeProfit();
+        if (this.hasPosition() && this.currentPrice > 0) {
+          // 有持仓时每30秒检查一次退出条件和止盈（无需API调用，纯计算）
+          if (!this.checkCycleExits()) {
+            this.checkTakeProfit();
+          }
         }
       }, 30000); // 每30秒检查一次
       
@@ -1280,34 +3841,79 @@ class MartingaleTrader {
   printStatus() {
     const priceAge = this.lastPriceUpdate ? (Date.now() - this.lastPriceUpdate) / 1000 : 0;
     
-    this.logger.log(`\n📊 === 马丁策略详细状态 ===`);
+    this.logger.log(`\n📊 === 马丁策略详细状态${this.strategyId ? ` [${this.strategyId}]` : ''} ===`);
     this.logger.log(`⏰ 时间: ${new Date().toLocaleString()}`);
     this.logger.log(`💰 当前价格: ${this.currentPrice} USDC (${priceAge.toFixed(0)}秒前)`);
     this.logger.log(`📦 持仓情况:`);
-    this.logger.log(`  SOL持仓: ${this.solBalance.toFixed(6)} SOL`);
+    this.logger.log(`  ${this.tradingCoin}持仓: ${this.baseBalance.toFixed(6)} ${this.tradingCoin} (止盈单锁定 ${this.getLockedTakeProfitQuantity().toFixed(6)})`);
+    if (this.dust.quantity > 0) {
+      this.logger.log(`  残留持仓: ${this.dust.quantity.toFixed(8)} ${this.tradingCoin} (成本 ${this.dust.cost.toFixed(4)} USDC，随下次止盈卖出)`);
+    }
     this.logger.log(`  USDC余额: ${this.usdcBalance.toFixed(2)} USDC (总余额=${(this.usdcAvailable||0).toFixed(2)}+${(this.usdcLocked||0).toFixed(2)})`);
+    if (this.ledger) {
+      this.logger.log(`  独立资金账本: ${this.ledger.usdc.toFixed(2)} USDC + ${this.ledger.base.toFixed(6)} ${this.tradingCoin}`);
+    }
+    this.logger.log(`💼 资金分配: ${this.describeAllocation()}`);
+    const costBasis = this.getCostBasis();
+    this.logger.log(`  本轮分配: ${this.formatCapital(this.cycleCapital)} (已投入 ${this.formatCapital(this.isReverse() ? costBasis.totalQuantity : costBasis.totalCost)})`);
+    this.logger.log(`  受保护储备: ${this.formatCapital(this.protectedReserve)}`);
+    if (this.cycleVolatility) {
+      this.logger.log(`🌊 本轮波动率: ${this.cycleVolatility.volatilityPercent.toFixed(3)}% → 价格区间 ${this.maxDropPercent.toFixed(3)}%, 止盈目标 ${this.takeProfitPercent.toFixed(3)}%`);
+    }
+    if (this.entryBlock) {
+      this.logger.log(`⏸️ 入场等待: ${this.entryBlock.detail} (自 ${new Date(this.entryBlock.since).toLocaleString()} 起, 最近检查 ${new Date(this.entryBlock.checkedAt).toLocaleTimeString()})`);
+    }
     
     // 🔑 计算并显示详细的盈亏情况
-    const positionValue = this.solBalance * this.currentPrice;
-    if (this.solBalance > 0.01 && positionValue >= this.minPositionValueThreshold && this.filledOrders.length > 0) {
+    if (this.hasPosition() && this.filledOrders.length > 0) {
       const analysis = this.calculateAverageCost();
-      if (analysis) {
-        const currentValue = this.solBalance * this.currentPrice;
-        const totalCost = this.filledOrders
-          .filter(order => order.side === 'Bid')
-          .reduce((sum, order) => sum + order.amount, 0);
-        const unrealizedProfit = currentValue - totalCost;
+      if (analysis && this.isReverse()) {
+        // 🔑 反向周期浮动盈亏以基础币计 - 剩余所得按当前价吃单回购能多拿回多少
+        const { soldQuantity, remainingProceeds } = this.getReverseExposure();
+        const buyBackQuantity = remainingProceeds * (1 - this.takerFeeRate) / this.currentPrice;
+        const unrealizedProfit = buyBackQuantity - soldQuantity * remainingProceeds / analysis.totalCost;
+        
+        this.logger.log(`📈 反向持仓分析:`);
+        this.logger.log(`  平均卖出净价: ${analysis.averageCost.toFixed(this.pricePrecision)} USDC`);
+        this.logger.log(`  待回购所得: ${remainingProceeds.toFixed(2)} USDC (已卖出 ${soldQuantity.toFixed(6)} ${this.tradingCoin})`);
+        this.logger.log(`  浮动盈亏: ${this.formatCapital(unrealizedProfit, true)} (${analysis.profitPercent > 0 ? '+' : ''}${analysis.profitPercent.toFixed(3)}%)`);
+        this.logger.log(`  止盈目标: ${this.takeProfitPercent}% ${analysis.profitPercent >= this.takeProfitPercent ? '✅已达到' : '⏳未达到'}`);
+        
+        const ceilingPrice = this.getTakeProfitFloorPrice(analysis.averageCost);
+        if (this.trailingTakeProfit.active) {
+          const triggerPrice = Math.min(this.trailingTakeProfit.peakPrice * (1 + this.trailingRetracePercent / 100), ceilingPrice);
+          this.logger.log(`  追踪止盈: 最低价 ${this.trailingTakeProfit.peakPrice.toFixed(this.pricePrecision)} USDC, 触发价 ${triggerPrice.toFixed(this.pricePrecision)} USDC`);
+        }
+        if (analysis.profitPercent < this.takeProfitPercent) {
+          this.logger.log(`  还需下跌: 回购价上限 ${ceilingPrice.toFixed(this.pricePrecision)} USDC`);
+        }
+      } else if (analysis) {
+        // 🔑 浮动盈亏按含手续费成本、扣除预估卖出手续费计算
+        const currentValue = (this.baseBalance + this.getLockedTakeProfitQuantity()) * this.currentPrice;
+        const netValue = currentValue * (1 - this.takerFeeRate);
+        const unrealizedProfit = netValue - analysis.totalCost;
         
         this.logger.log(`📈 持仓分析:`);
-        this.logger.log(`  平均成本: ${analysis.averageCost.toFixed(2)} USDC`);
+        this.logger.log(`  平均成本: ${analysis.averageCost.toFixed(this.pricePrecision)} USDC`);
         this.logger.log(`  持仓价值: ${currentValue.toFixed(2)} USDC`);
         this.logger.log(`  浮动盈亏: ${unrealizedProfit > 0 ? '+' : ''}${unrealizedProfit.toFixed(2)} USDC (${analysis.profitPercent > 0 ? '+' : ''}${analysis.profitPercent.toFixed(3)}%)`);
         this.logger.log(`  止盈目标: ${this.takeProfitPercent}% ${analysis.profitPercent >= this.takeProfitPercent ? '✅已达到' : '⏳未达到'}`);
         
+        const restingOrder = this.getRestingTakeProfitOrder();
+        if (restingOrder) {
+          this.logger.log(`  止盈挂单: ${restingOrder.quantity} ${this.tradingCoin} @ ${restingOrder.price} USDC (已成交 ${(restingOrder.executedQuantity || 0).toFixed(6)})`);
+        }
+        
+        if (this.trailingTakeProfit.active) {
+          const floorPrice = this.getTakeProfitFloorPrice(analysis.averageCost);
+          const triggerPrice = Math.max(this.trailingTakeProfit.peakPrice * (1 - this.trailingRetracePercent / 100), floorPrice);
+          this.logger.log(`  追踪止盈: 最高价 ${this.trailingTakeProfit.peakPrice.toFixed(this.pricePrecision)} USDC, 触发价 ${triggerPrice.toFixed(this.pricePrecision)} USDC`);
+        }
+        
         if (analysis.profitPercent < this.takeProfitPercent) {
           const needGain = this.takeProfitPercent - analysis.profitPercent;
-          const targetPrice = analysis.averageCost * (1 + this.takeProfitPercent / 100);
-          this.logger.log(`  还需上涨: ${needGain.toFixed(3)}% (目标价格: ${targetPrice.toFixed(2)} USDC)`);
+          const targetPrice = this.getTakeProfitFloorPrice(analysis.averageCost);
+          this.logger.log(`  还需上涨: ${needGain.toFixed(3)}% (目标价格: ${targetPrice.toFixed(this.pricePrecision)} USDC)`);
         }
       }
     } else {
@@ -1319,53 +3925,100 @@ class MartingaleTrader {
     this.logger.log(`  已成交: ${this.filledOrders.length} 个`);
     
     this.logger.log(`📊 策略统计:`);
-    this.logger.log(`  完成周期: ${this.cycleCount} 轮`);
-    this.logger.log(`  总收益: ${this.totalProfit > 0 ? '+' : ''}${this.totalProfit.toFixed(2)} USDC`);
+    this.logger.log(`  完成周期: ${this.cycleCount} 轮 (亏损退出 ${this.losingCycleCount} 轮)`);
+    this.logger.log(`  总收益: ${this.formatCapital(this.totalProfit, true)}`);
+    const lastCycle = this.cycleHistory[this.cycleHistory.length - 1];
+    if (lastCycle) {
+      this.logger.log(`  上一轮: ${this.getExitReasonName(lastCycle.reason)} ${this.formatCapital(lastCycle.profit, true)}`);
+    }
+    if (this.cycleExit) {
+      this.logger.log(`  ⚠️ ${this.getExitReasonName(this.cycleExit.reason)}退出进行中`);
+    }
+    if (this.martingaleEnabled) {
+      this.logger.log(`  马丁倍投: 连续亏损 ${this.consecutiveLosses}/${this.maxConsecutiveLosses} 轮, 本轮资金倍数 ×${Math.pow(this.martingaleMultiplier, this.consecutiveLosses).toFixed(2)}`);
+    }
+    if (this.tradingHalted) {
+      this.logger.log(`  🚨 交易已停止: ${this.haltReason}`);
+    }
     
     this.logger.log(`🌐 连接状态: ${this.wsManager.isConnected() ? '✅ WebSocket已连接' : '❌ WebSocket断开'}`);
     this.logger.log(`═══════════════════════════════════════`);
   }
   
+  /**
+   * 🔑 策略状态摘要 - 供多策略汇总报告使用
+   * @returns {Object} { strategyId, symbol, direction, capitalAsset, cycleCount, losingCycleCount, totalProfit, activeOrders, hasPosition, tradingHalted, entryBlock, ledger }
+   */
+  getStatusSummary() {
+    return {
+      strategyId: this.strategyId,
+      symbol: this.symbol,
+      direction: this.direction,
+      capitalAsset: this.getCapitalAsset(),
+      cycleCount: this.cycleCount,
+      losingCycleCount: this.losingCycleCount,
+      totalProfit: this.totalProfit,
+      activeOrders: this.activeOrders.size,
+      hasPosition: this.currentPrice > 0 && this.hasPosition(),
+      tradingHalted: this.tradingHalted,
+      entryBlock: this.entryBlock ? { ...this.entryBlock } : null,
+      ledger: this.ledger ? { ...this.ledger } : null
+    };
+  }
+  
   async shutdown() {
     this.logger.log('🛑 正在关闭马丁策略交易器...');
     
     this.isRunning = false;
     this.monitoring = false;
+    if (this.entryRecheckTimer) {
+      clearTimeout(this.entryRecheckTimer);
+      this.entryRecheckTimer = null;
+    }
+    if (this.marketRulesRefreshTimer) {
+      clearInterval(this.marketRulesRefreshTimer);
+      this.marketRulesRefreshTimer = null;
+    }
+    this.clearTakeProfitChaseTimer();
     
     // 🔑 批量取消所有活跃订单
     if (this.activeOrders.size > 0) {
       this.logger.log(`🗂️ 批量取消 ${this.activeOrders.size} 个活跃订单...`);
       
       try {
-        const symbol = `${this.config.trading.tradingCoin}_USDC`;
-        await Promise.race([
-          this.service.cancelAllOrders(symbol),
+        const cancelResults = await Promise.race([
+          this.cancelOwnedOrders('关闭前撤销挂单'),
           new Promise((_, reject) => setTimeout(() => reject(new Error('批量取消超时')), 8000))
         ]);
-        this.logger.log('✅ 批量取消记录订单成功');
+        this.applyCancelResults(cancelResults);
+        this.logger.log(this.activeOrders.size === 0 ? '✅ 批量取消记录订单成功' : `⚠️ ${this.activeOrders.size} 个订单未确认撤销，保留在状态中，重启时对账`);
       } catch (error) {
+        // 未确认撤销的订单保留在持久化状态中，重启时按交易所挂单和成交历史对账
         this.logger.log(`⚠️ 批量取消失败: ${error.message}`);
       }
-      
-      this.activeOrders.clear();
     }
     
-    // 🔑 检查并取消交易所的所有实际挂单
+    // 🔑 检查交易所挂单 - 只取消本程序命名空间内的残留订单，手动下单和其他策略的订单只报告
     try {
       this.logger.log('🔍 检查交易所实际挂单...');
-      const symbol = `${this.config.trading.tradingCoin}_USDC`;
       
       const openOrders = await Promise.race([
-        this.service.getOpenOrders(symbol),
+        this.service.getOpenOrders(this.symbol),
         new Promise((_, reject) => setTimeout(() => reject(new Error('获取挂单超时')), 8000))
       ]);
       
-      if (openOrders && openOrders.length > 0) {
-        this.logger.log(`🗂️ 发现 ${openOrders.length} 个交易所挂单，正在取消...`);
+      const ownedOrders = (openOrders || []).filter(order => this.service.ownsOrder(order));
+      const foreignCount = (openOrders || []).length - ownedOrders.length;
+      if (foreignCount > 0) {
+        this.logger.log(`ℹ️ 交易所有 ${foreignCount} 个非本程序挂单，保留不动`);
+      }
+      
+      if (ownedOrders.length > 0) {
+        this.logger.log(`🗂️ 发现 ${ownedOrders.length} 个本程序挂单，正在取消...`);
         
-        const cancelAllPromises = openOrders.map(order => {
-          const orderId = order.orderId || order.id || order.clientOrderId;
-          return this.service.cancelOrder(orderId)
+        const cancelAllPromises = ownedOrders.map(order => {
+          const orderId = order.orderId;
+          return this.service.cancelOrder(orderId, this.symbol)
             .then(() => {
               this.logger.log(`✅ 交易所订单 ${orderId} 已取消`);
             })
@@ -1379,16 +4032,16 @@ class MartingaleTrader {
           new Promise((_, reject) => setTimeout(() => reject(new Error('取消交易所订单超时')), 15000))
         ]);
         
-        this.logger.log('✅ 所有交易所挂单已处理');
+        this.logger.log('✅ 本程序挂单已处理');
       } else {
-        this.logger.log('✅ 交易所无挂单');
+        this.logger.log('✅ 交易所无本程序挂单');
       }
     } catch (error) {
       this.logger.log(`⚠️ 检查/取消交易所挂单失败: ${error.message}`);
     }
     
-    // 关闭WebSocket连接
-    if (this.wsManager) {
+    // 关闭WebSocket连接 - 共享连接由 StrategyRunner 关闭
+    if (this.wsManager && !this.sharedAccount) {
       this.wsManager.closeAllConnections();
     }
     
@@ -1398,7 +4051,20 @@ class MartingaleTrader {
 
 // 启动
 async function main() {
-  const trader = new MartingaleTrader();
+  // 🔑 双策略配置启用时在同一账户上运行所有策略，否则单策略运行
+  let trader;
+  try {
+    const configInfo = ConfigLoader.loadConfig(__dirname);
+    trader = configInfo.configType === 'dual'
+      ? new StrategyRunner({
+        config: configInfo.config,
+        createTrader: (options) => new MartingaleTrader(options)
+      })
+      : new MartingaleTrader({ config: configInfo.config });
+  } catch (error) {
+    console.error('马丁策略启动失败:', error.message);
+    process.exit(1);
+  }
   
   // 🔑 改进的退出信号处理
   const gracefulShutdown = async (signal) => {
@@ -1447,4 +4113,8 @@ async function main() {
   }
 }
 
-main();
\ No newline at end of file
+if (require.main === module) {
+  main();
+}
+
+module.exports = MartingaleTrader;
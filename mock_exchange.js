@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+const MockExchangeServer = require('./src/mock/mockExchangeServer');
+
+/**
+ * 模拟交易所入口
+ *   node mock_exchange.js [配置文件]   默认读取 mock_exchange_config.json
+ *   node mock_exchange.js --keygen    生成一对测试用 ED25519 密钥
+ */
+async function main() {
+  const arg = process.argv[2];
+  if (arg === '--keygen') {
+    console.log(JSON.stringify(MockExchangeServer.generateKeyPair(), null, 2));
+    return;
+  }
+
+  const configPath = path.resolve(arg || path.join(__dirname, 'mock_exchange_config.json'));
+  let server;
+  try {
+    const options = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    server = new MockExchangeServer(options);
+    await server.start();
+  } catch (error) {
+    console.error('模拟交易所启动失败:', error.message);
+    process.exit(1);
+  }
+
+  const shutdown = async (signal) => {
+    console.log(`\n收到 ${signal} 信号，正在关闭模拟交易所...`);
+    await server.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+main();
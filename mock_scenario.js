@@ -0,0 +1,216 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const MartingaleTrader = require('./martingale_trader');
+const MockExchangeServer = require('./src/mock/mockExchangeServer');
+const ApiBudget = require('./src/core/apiBudget');
+const BackpackApiError = require('./src/services/backpackApiError');
+
+const SYMBOL = 'SOL_USDC';
+const START_PRICE = 200;
+const TAKE_PROFIT_PRICE = 201;
+const INITIAL_USDC = 1000;
+const ORDER_UPDATE_DELAY_MS = 1500; // 订单推送晚于REST响应，撤单快照先于成交推送到达
+
+/**
+ * 模拟交易所集成测试场景 - 部分成交后止盈，完整走完一个周期
+ *   node mock_scenario.js [--verbose]   (npm test)
+ *
+ * 1. 启动模拟交易所 (挂单每笔价格只成交一半，订单推送延迟1.5秒) 和单策略交易器，挂出2档阶梯
+ * 2. 价格触及第一档 - 部分成交，推送到达后计入持仓
+ * 3. 价格跌到第二档后立即拉升触发止盈 - 第一档剩余部分和第二档一半成交的推送尚未到达，
+ *    止盈撤销剩余买单，撤单响应和迟到推送中的成交都必须补记
+ * 4. 止盈成交、周期结算后检查: 记录的买入数量与交易所成交一致，周期收益与账户实际变化一致，没有遗留的暂存推送
+ * 5. 新周期第一档成交后触发止盈，止盈单停留在盘口 - 追价撤单后重新挂出失败，检查恢复止盈监控，
+ *    再次触发止盈后追价成交完成第二个周期
+ */
+async function main() {
+  const verbose = process.argv.includes('--verbose');
+  const logger = {
+    log: (message, isError = false) => {
+      if (verbose || isError) {
+        console.log(`    ${message}`);
+      }
+    },
+    logToFile: () => {}
+  };
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-scenario-'));
+  const server = new MockExchangeServer({
+    port: 0,
+    balances: { USDC: INITIAL_USDC, SOL: 0 },
+    markets: [{
+      symbol: SYMBOL,
+      baseSymbol: 'SOL',
+      quoteSymbol: 'USDC',
+      tickSize: 0.01,
+      stepSize: 0.01,
+      minQuantity: 0.01
+    }],
+    engine: { makerFeeRate: 0.0008, takerFeeRate: 0.001, spreadTicks: 1, fillRatio: 0.5 },
+    orderUpdateDelayMs: ORDER_UPDATE_DELAY_MS,
+    // 价格由场景通过 setPrice 推进，脚本不自动走动
+    feeds: [{ symbol: SYMBOL, intervalMs: 3600000, points: [{ price: START_PRICE }] }]
+  }, { log: message => logger.log(`[模拟交易所] ${message}`) });
+  await server.start();
+
+  const trader = new MartingaleTrader({
+    config: buildTraderConfig(server, workDir),
+    logger,
+    apiBudget: new ApiBudget({ minIntervalMs: 100 })
+  });
+
+  // 记录周期结算时的成交记录 (结算后 filledOrders 会被清空)
+  let settlement = null;
+  const recordCycleResult = trader.recordCycleResult.bind(trader);
+  trader.recordCycleResult = (reason, profit, exitPrice) => {
+    settlement = { reason, profit, fills: trader.filledOrders.map(fill => ({ ...fill })) };
+    return recordCycleResult(reason, profit, exitPrice);
+  };
+
+  try {
+    await step('启动策略并挂出阶梯', async () => {
+      await trader.start();
+      await waitFor(() => trader.activeOrders.size === 2, 20000, '2档阶梯买单');
+    });
+
+    const [first, second] = Array.from(trader.activeOrders.values()).sort((a, b) => b.price - a.price);
+
+    await step(`第一档 ${first.price} 部分成交`, async () => {
+      server.setPrice(SYMBOL, first.price);
+      await waitFor(() => trader.filledOrders.some(fill => fill.orderId === first.orderId), 10000, '第一档成交推送');
+      const orderInfo = trader.activeOrders.get(first.orderId);
+      assert(orderInfo, '部分成交的订单应继续跟踪');
+      assert(orderInfo.executedQuantity > 0 && orderInfo.executedQuantity < orderInfo.quantity,
+        `第一档应为部分成交 (已成交 ${orderInfo.executedQuantity}/${orderInfo.quantity})`);
+    });
+
+    await step(`跌到第二档 ${second.price} 后拉升到 ${TAKE_PROFIT_PRICE} 触发止盈`, async () => {
+      server.setPrice(SYMBOL, second.price);
+      server.setPrice(SYMBOL, TAKE_PROFIT_PRICE);
+      await waitFor(() => settlement !== null, 30000, '止盈结算');
+      assert.strictEqual(settlement.reason, 'takeProfit');
+    });
+
+    await step('检查成交记录与账户一致', async () => {
+      // 迟到的推送全部到达，新周期挂出阶梯
+      await waitFor(() => trader.activeOrders.size > 0, 30000, '新周期阶梯');
+      await sleep(ORDER_UPDATE_DELAY_MS + 500);
+
+      const exchangeBought = sum(server.engine.fills.filter(fill => fill.side === 'Bid'), fill => fill.quantity);
+      const recordedBought = sum(settlement.fills.filter(fill => fill.side === 'Bid'), fill => fill.quantity);
+      assert(Math.abs(recordedBought - exchangeBought) < 1e-9,
+        `记录的买入数量 ${recordedBought} 应等于交易所成交 ${exchangeBought}`);
+      assert(settlement.fills.some(fill => fill.orderId === second.orderId), '撤单前第二档的部分成交应被补记');
+
+      const usdc = server.engine.getBalance('USDC');
+      const realized = usdc.available + usdc.locked - INITIAL_USDC + trader.dust.cost;
+      assert(Math.abs(settlement.profit - realized) < 0.5,
+        `周期收益 ${settlement.profit.toFixed(4)} 应与账户实际变化 ${realized.toFixed(4)} 一致`);
+      assert(settlement.profit > 0, '止盈周期收益应为正');
+
+      assert.strictEqual(trader.pendingOrderUpdates.size, 0, '不应遗留暂存的订单推送');
+      assert.strictEqual(trader.cycleCount, 1);
+    });
+
+    await step('止盈追价重新挂单失败后恢复止盈监控', async () => {
+      // 加大盘口价差，止盈限价单挂出后停留在盘口，等待追价
+      server.engine.spreadTicks = 100;
+      const [level] = Array.from(trader.activeOrders.values()).sort((a, b) => b.price - a.price);
+      server.setPrice(SYMBOL, level.price);
+      await waitFor(() => trader.filledOrders.some(fill => fill.orderId === level.orderId), 10000, '新周期第一档成交推送');
+
+      // 跳过30秒内不重复止盈的保护，场景不必等待
+      trader.lastTakeProfitTime = 0;
+      const exitPrice = level.price * 1.01;
+      server.setPrice(SYMBOL, exitPrice);
+      await waitFor(() => Array.from(trader.activeOrders.values()).some(order => order.role === 'takeProfit'), 10000, '止盈单挂出');
+
+      // 追价撤单后的重新挂单失败一次
+      const createSellOrder = trader.service.createSellOrder;
+      trader.service.createSellOrder = async () => {
+        trader.service.createSellOrder = createSellOrder;
+        throw new BackpackApiError('模拟下单失败', { network: true });
+      };
+      await waitFor(() => !trader.takeProfitInProgress, 10000, '追价失败后恢复止盈监控');
+      assert.strictEqual(trader.takeProfitExecution, null, '追价失败后应清除止盈执行状态');
+      assert(!Array.from(trader.activeOrders.values()).some(order => order.role === 'takeProfit'), '追价失败后不应遗留止盈单');
+      assert(trader.baseBalance > 0, '追价失败后持仓应保留');
+
+      trader.lastTakeProfitTime = 0;
+      server.setPrice(SYMBOL, exitPrice + 0.1);
+      await waitFor(() => trader.cycleCount === 2, 30000, '第二个周期止盈结算');
+      assert.strictEqual(settlement.reason, 'takeProfit');
+    });
+  } finally {
+    await trader.shutdown();
+    await server.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * 交易器配置 - 以默认配置为基础，连接模拟交易所
+ * @param {MockExchangeServer} server - 模拟交易所
+ * @param {string} workDir - 临时目录 (状态文件)
+ * @returns {Object}
+ */
+function buildTraderConfig(server, workDir) {
+  const config = JSON.parse(fs.readFileSync(path.join(__dirname, 'backpack_trading_config.json'), 'utf8'));
+  const keys = MockExchangeServer.generateKeyPair();
+  config.api = { ...config.api, ...keys, baseUrl: `http://${server.host}:${server.port}` };
+  config.websocket.url = `ws://${server.host}:${server.port}`;
+  Object.assign(config.trading, {
+    totalAmount: 400,
+    orderCount: 2,
+    incrementPercentage: 0,
+    maxDropPercentage: 1.0,
+    takeProfitPercentage: 0.25,
+    takeProfitMode: 'immediate',
+    takeProfitChase: { enabled: true, waitSeconds: 3, maxAttempts: 3, fallback: 'market' }
+  });
+  Object.assign(config.advanced, {
+    stateFile: path.join(workDir, 'state.json'),
+    maxPriceDifference: 5
+  });
+  return config;
+}
+
+/**
+ * 执行一个场景步骤并输出结果
+ * @param {string} name - 步骤名称
+ * @param {Function} fn - 步骤
+ */
+async function step(name, fn) {
+  console.log(`▶️ ${name}`);
+  await fn();
+  console.log(`  ✅ 通过`);
+}
+
+/**
+ * 等待条件成立
+ * @param {Function} condition - 条件
+ * @param {number} timeoutMs - 超时
+ * @param {string} description - 等待内容 (超时错误信息)
+ */
+async function waitFor(condition, timeoutMs, description) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(`等待${description}超时 (${timeoutMs}ms)`);
+    }
+    await sleep(100);
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const sum = (list, fn) => list.reduce((total, item) => total + fn(item), 0);
+
+main().then(() => {
+  console.log('🎉 场景通过');
+  process.exit(0);
+}).catch(error => {
+  console.error(`❌ 场景失败: ${error.message}`);
+  process.exit(1);
+});
@@ -1,5 +1,8 @@
 const fs = require('fs');
 const path = require('path');
+const LadderPlanner = require('../core/ladderPlanner');
+const ClientIdNamespace = require('../core/clientIdNamespace');
+const OrderParams = require('../services/orderParams');
 
 /**
  * 配置加载器 - 支持单策略和双策略配置
@@ -68,11 +71,59 @@ class ConfigLoader {
    */
   static convertDualToSingle(dualConfig) {
     // 使用策略1作为单策略
-    const strategy1 = dualConfig.strategy1;
+    return this.buildStrategyConfig(dualConfig, dualConfig.strategy1);
+  }
+  
+  /**
+   * 双策略配置中的策略键 (strategy1, strategy2, ... strategyN)，按编号排序
+   * @param {Object} dualConfig - 双策略配置
+   * @returns {Array<string>} 策略键
+   */
+  static getStrategyKeys(dualConfig) {
+    return Object.keys(dualConfig)
+      .filter(key => /^strategy\d+$/.test(key) && dualConfig[key])
+      .sort((a, b) => parseInt(a.slice(8), 10) - parseInt(b.slice(8), 10));
+  }
+  
+  /**
+   * 将双策略配置展开为每个策略独立的配置 (共享api/exchange/websocket/精度设置)
+   * @param {Object} dualConfig - 双策略配置
+   * @returns {Array<Object>} [{ strategyId, config }]
+   */
+  static getStrategyConfigs(dualConfig) {
+    return this.getStrategyKeys(dualConfig).map(key => {
+      const config = this.buildStrategyConfig(dualConfig, dualConfig[key]);
+      config.advanced.clientIdNamespace = this.resolveClientIdNamespace(dualConfig, key);
+      return { strategyId: dualConfig[key].name || key, config };
+    });
+  }
+  
+  /**
+   * 策略的clientId命名空间 - 未单独配置时为 advanced.clientIdNamespace (默认1000) + 策略编号 - 1
+   * @param {Object} dualConfig - 双策略配置
+   * @param {string} key - 策略键 (strategyN)
+   * @returns {number} 命名空间
+   */
+  static resolveClientIdNamespace(dualConfig, key) {
+    const configured = dualConfig[key].advanced?.clientIdNamespace;
+    if (configured !== undefined) return configured;
     
+    const base = dualConfig.advanced?.clientIdNamespace ?? ClientIdNamespace.DEFAULT_NAMESPACE;
+    return base + parseInt(key.slice(8), 10) - 1;
+  }
+  
+  /**
+   * 用双策略配置的共享部分和单个策略生成单策略格式的配置
+   * @param {Object} dualConfig - 双策略配置
+   * @param {Object} strategy - 策略配置 { name, trading, advanced, capital }
+   * @returns {Object} 单策略配置
+   */
+  static buildStrategyConfig(dualConfig, strategy) {
     return {
       api: dualConfig.api,
-      trading: strategy1.trading,
+      exchange: dualConfig.exchange,
+      trading: strategy.trading,
+      capital: strategy.capital,
       actions: {
         sellNonUsdcAssets: true,
         cancelAllOrders: true,
@@ -80,27 +131,14 @@ class ConfigLoader {
         autoRestartNoFill: true
       },
       advanced: {
-        ...strategy1.advanced,
+        ...dualConfig.advanced,
+        ...strategy.advanced,
         quickRestartAfterTakeProfit: true
       },
-      quantityPrecisions: {
-        BTC: 5,
-        ETH: 4,
-        SOL: 2,
-        DEFAULT: 2
-      },
-      pricePrecisions: {
-        BTC: 0,
-        ETH: 2,
-        SOL: 2,
-        DEFAULT: 2
-      },
-      minQuantities: {
-        BTC: 0.00001,
-        ETH: 0.001,
-        SOL: 0.01,
-        DEFAULT: 0.1
-      },
+      // 精度和最小数量默认由交易所市场规则决定，这里只传递覆盖值
+      quantityPrecisions: dualConfig.quantityPrecisions,
+      pricePrecisions: dualConfig.pricePrecisions,
+      minQuantities: dualConfig.minQuantities,
       websocket: dualConfig.websocket
     };
   }
@@ -116,14 +154,84 @@ class ConfigLoader {
       throw new Error('API配置缺失：需要privateKey和publicKey');
     }
     
+    // 验证API地址和WebSocket地址 (指向模拟交易所时修改)
+    const baseUrl = config.api.baseUrl;
+    if (baseUrl !== undefined && !/^https?:\/\/\S+$/.test(baseUrl)) {
+      throw new Error('api.baseUrl必须是http(s)地址');
+    }
+    const wsUrl = config.websocket?.url;
+    if (wsUrl !== undefined && !/^wss?:\/\/\S+$/.test(wsUrl)) {
+      throw new Error('websocket.url必须是ws(s)地址');
+    }
+    
+    // 验证签名窗口和服务器时间同步间隔
+    const { windowMs, timeSyncMinutes } = config.api;
+    if (windowMs !== undefined && !(windowMs > 0 && windowMs <= 60000)) {
+      throw new Error('api.windowMs必须在1-60000之间');
+    }
+    if (timeSyncMinutes !== undefined && !(timeSyncMinutes >= 1)) {
+      throw new Error('api.timeSyncMinutes必须大于等于1');
+    }
+    
+    // 验证交易所适配器 (内置名称或模块路径)
+    const adapter = config.exchange?.adapter;
+    if (adapter !== undefined && (typeof adapter !== 'string' || !adapter.trim())) {
+      throw new Error('exchange.adapter必须是适配器名称或模块路径');
+    }
+
+    // 验证市场规则覆盖值和刷新间隔
+    const { priceTickSize, minOrderAmount, marketRulesRefreshMinutes } = config.advanced || {};
+    if (priceTickSize !== undefined && !(priceTickSize > 0)) {
+      throw new Error('advanced.priceTickSize必须大于0');
+    }
+    if (minOrderAmount !== undefined && !(minOrderAmount >= 0)) {
+      throw new Error('advanced.minOrderAmount必须大于等于0');
+    }
+    if (marketRulesRefreshMinutes !== undefined && !(marketRulesRefreshMinutes >= 1)) {
+      throw new Error('advanced.marketRulesRefreshMinutes必须大于等于1');
+    }
+
     if (configType === 'dual') {
       // 验证双策略配置
       if (!config.strategy1 || !config.strategy2) {
         throw new Error('双策略配置缺失：需要strategy1和strategy2');
       }
       
-      this.validateTradingConfig(config.strategy1.trading, 'strategy1');
-      this.validateTradingConfig(config.strategy2.trading, 'strategy2');
+      const strategyIds = new Set();
+      const stateFiles = new Set();
+      const namespaces = new Set();
+      for (const key of this.getStrategyKeys(config)) {
+        const strategy = config[key];
+        const strategyId = strategy.name || key;
+        if (!/^[A-Za-z0-9_-]+$/.test(strategyId)) {
+          // 策略名称用于状态文件和日志文件名
+          throw new Error(`${key}策略name只能包含字母、数字、下划线和连字符`);
+        }
+        if (strategyIds.has(strategyId)) {
+          throw new Error(`双策略配置中策略名称重复: ${strategyId}`);
+        }
+        strategyIds.add(strategyId);
+        
+        // 自定义状态文件不能被多个策略共用
+        const stateFile = strategy.advanced?.stateFile ?? config.advanced?.stateFile;
+        if (stateFile) {
+          if (stateFiles.has(stateFile)) {
+            throw new Error(`${strategyId}策略stateFile与其他策略重复: ${stateFile}`);
+          }
+          stateFiles.add(stateFile);
+        }
+        
+        // 每个策略独占一个clientId命名空间，订单归属据此区分
+        const namespace = this.resolveClientIdNamespace(config, key);
+        this.validateClientIdNamespace(namespace, strategyId);
+        if (namespaces.has(namespace)) {
+          throw new Error(`${strategyId}策略clientIdNamespace与其他策略重复: ${namespace}`);
+        }
+        namespaces.add(namespace);
+        
+        this.validateTradingConfig(strategy.trading, strategyId);
+        this.validateCapitalConfig(strategy.capital, strategyId);
+      }
       
       // 验证风险控制配置
       if (!config.riskControl) {
@@ -132,6 +240,35 @@ class ConfigLoader {
     } else {
       // 验证单策略配置
       this.validateTradingConfig(config.trading, 'single');
+      if (config.advanced?.clientIdNamespace !== undefined) {
+        this.validateClientIdNamespace(config.advanced.clientIdNamespace, 'single');
+      }
+    }
+  }
+  
+  /**
+   * 验证clientId命名空间
+   * @param {number} namespace - 命名空间
+   * @param {string} strategyName - 策略名称
+   */
+  static validateClientIdNamespace(namespace, strategyName) {
+    if (!ClientIdNamespace.isValidNamespace(namespace)) {
+      throw new Error(`${strategyName}策略clientIdNamespace必须是1-${ClientIdNamespace.MAX_NAMESPACE}之间的整数`);
+    }
+  }
+  
+  /**
+   * 验证策略独立资金配置 (可省略，省略时按totalAmount分配)
+   * @param {Object} capital - { usdc, base }
+   * @param {string} strategyName - 策略名称
+   */
+  static validateCapitalConfig(capital, strategyName) {
+    if (capital === undefined) return;
+    
+    for (const field of ['usdc', 'base']) {
+      if (capital[field] !== undefined && !(capital[field] >= 0)) {
+        throw new Error(`${strategyName}策略capital.${field}必须大于等于0`);
+      }
     }
   }
   
@@ -176,6 +313,141 @@ class ConfigLoader {
     if (trading.takeProfitPercentage <= 0) {
       throw new Error(`${strategyName}策略takeProfitPercentage必须大于0`);
     }
+    
+    // 交易方向 - 反向周期只支持立即/追踪止盈，不支持周期退出
+    if (trading.direction !== undefined && !['long', 'reverse'].includes(trading.direction)) {
+      throw new Error(`${strategyName}策略direction必须是long或reverse`);
+    }
+    if (trading.direction === 'reverse') {
+      if (trading.takeProfitMode === 'resting') {
+        throw new Error(`${strategyName}策略反向周期不支持resting止盈模式`);
+      }
+      const enabledExits = Object.entries(trading.exits || {})
+        .filter(([, exit]) => exit && typeof exit === 'object' && exit.enabled)
+        .map(([name]) => name);
+      if (enabledExits.length > 0) {
+        throw new Error(`${strategyName}策略反向周期不支持周期退出: ${enabledExits.join(', ')}`);
+      }
+    }
+    
+    // 阶梯形状
+    LadderPlanner.validate(LadderPlanner.resolveConfig(trading), strategyName);
+    
+    // 波动率自适应
+    const adaptive = trading.adaptive;
+    if (adaptive?.enabled) {
+      if (adaptive.indicator && !['atr', 'stdev'].includes(adaptive.indicator)) {
+        throw new Error(`${strategyName}策略adaptive.indicator必须是atr或stdev`);
+      }
+      if (adaptive.referenceVolatilityPercentage !== undefined && !(adaptive.referenceVolatilityPercentage > 0)) {
+        throw new Error(`${strategyName}策略adaptive.referenceVolatilityPercentage必须大于0`);
+      }
+      for (const key of ['maxDropPercentage', 'takeProfitPercentage']) {
+        const bounds = adaptive[key];
+        if (bounds && bounds.min !== undefined && bounds.max !== undefined && !(bounds.min > 0 && bounds.min <= bounds.max)) {
+          throw new Error(`${strategyName}策略adaptive.${key}上下限无效`);
+        }
+      }
+      const ladder = LadderPlanner.resolveConfig(trading);
+      if (!ladder.dropPercentages && adaptive.maxDropPercentage?.min !== undefined) {
+        for (const key of ['firstOrderOffsetPercentage', 'positionFirstOrderOffsetPercentage']) {
+          if (adaptive.maxDropPercentage.min <= ladder[key]) {
+            throw new Error(`${strategyName}策略adaptive.maxDropPercentage.min必须大于ladder.${key}`);
+          }
+        }
+      }
+    }
+    
+    // 止盈追价
+    const chase = trading.takeProfitChase;
+    if (chase) {
+      if (chase.waitSeconds !== undefined && !(chase.waitSeconds > 0)) {
+        throw new Error(`${strategyName}策略takeProfitChase.waitSeconds必须大于0`);
+      }
+      if (chase.maxAttempts !== undefined && !(Number.isInteger(chase.maxAttempts) && chase.maxAttempts >= 0)) {
+        throw new Error(`${strategyName}策略takeProfitChase.maxAttempts必须是非负整数`);
+      }
+      if (chase.fallback !== undefined && !['market', 'ladder'].includes(chase.fallback)) {
+        throw new Error(`${strategyName}策略takeProfitChase.fallback必须为market/ladder`);
+      }
+    }
+    
+    // 下单方式
+    const execution = trading.orderExecution;
+    if (execution) {
+      if (execution.takeProfitOrderType !== undefined && !['limit', 'ioc', 'market'].includes(execution.takeProfitOrderType)) {
+        throw new Error(`${strategyName}策略orderExecution.takeProfitOrderType必须为limit/ioc/market`);
+      }
+      if (execution.selfTradePrevention && !OrderParams.SELF_TRADE_PREVENTION.includes(execution.selfTradePrevention)) {
+        throw new Error(`${strategyName}策略orderExecution.selfTradePrevention必须为${OrderParams.SELF_TRADE_PREVENTION.join('/')}`);
+      }
+      if (execution.maxSlippagePercentage !== undefined && !(execution.maxSlippagePercentage > 0 && execution.maxSlippagePercentage < 100)) {
+        throw new Error(`${strategyName}策略orderExecution.maxSlippagePercentage必须在0-100之间`);
+      }
+      if (execution.chunkIntervalSeconds !== undefined && !(execution.chunkIntervalSeconds >= 0)) {
+        throw new Error(`${strategyName}策略orderExecution.chunkIntervalSeconds不能为负数`);
+      }
+    }
+    
+    // 入场过滤
+    const entryFilters = trading.entryFilters;
+    if (entryFilters) {
+      const { trend, rsi, cooldownMinutes, noReentryAboveLastExit, recheckSeconds } = entryFilters;
+      if (trend?.enabled) {
+        if (trend.period !== undefined && !(Number.isInteger(trend.period) && trend.period >= 2)) {
+          throw new Error(`${strategyName}策略entryFilters.trend.period必须是不小于2的整数`);
+        }
+        if (trend.maxBelowPercentage !== undefined && !(trend.maxBelowPercentage >= 0)) {
+          throw new Error(`${strategyName}策略entryFilters.trend.maxBelowPercentage不能为负数`);
+        }
+      }
+      if (rsi?.enabled) {
+        if (rsi.period !== undefined && !(Number.isInteger(rsi.period) && rsi.period >= 2)) {
+          throw new Error(`${strategyName}策略entryFilters.rsi.period必须是不小于2的整数`);
+        }
+        const oversold = rsi.oversold ?? 30;
+        const overbought = rsi.overbought ?? 70;
+        if (!(oversold > 0 && oversold < overbought && overbought < 100)) {
+          throw new Error(`${strategyName}策略entryFilters.rsi需满足 0 < oversold < overbought < 100`);
+        }
+      }
+      if (cooldownMinutes !== undefined && !(cooldownMinutes >= 0)) {
+        throw new Error(`${strategyName}策略entryFilters.cooldownMinutes不能为负数`);
+      }
+      if (noReentryAboveLastExit?.enabled && noReentryAboveLastExit.percentage !== undefined && !(noReentryAboveLastExit.percentage >= 0)) {
+        throw new Error(`${strategyName}策略entryFilters.noReentryAboveLastExit.percentage不能为负数`);
+      }
+      if (recheckSeconds !== undefined && !(recheckSeconds >= 10)) {
+        throw new Error(`${strategyName}策略entryFilters.recheckSeconds不能小于10秒`);
+      }
+    }
+    
+    // 资金分配模式
+    if (trading.allocation) {
+      const { mode, equityPercentage, reinvestPercentage } = trading.allocation;
+      if (mode && !['fixed', 'equityPercent', 'compounding'].includes(mode)) {
+        throw new Error(`${strategyName}策略allocation.mode必须为fixed/equityPercent/compounding`);
+      }
+      
+      if (equityPercentage !== undefined && !(equityPercentage > 0 && equityPercentage <= 100)) {
+        throw new Error(`${strategyName}策略allocation.equityPercentage必须在0-100之间`);
+      }
+      
+      if (reinvestPercentage !== undefined && !(reinvestPercentage >= 0 && reinvestPercentage <= 100)) {
+        throw new Error(`${strategyName}策略allocation.reinvestPercentage必须在0-100之间`);
+      }
+    }
+    
+    // 马丁倍投参数 - 仅在启用时校验
+    if (trading.martingaleEnabled) {
+      if (!(trading.martingaleMultiplier >= 1)) {
+        throw new Error(`${strategyName}策略martingaleMultiplier必须大于等于1`);
+      }
+      
+      if (!Number.isInteger(trading.maxConsecutiveLosses) || trading.maxConsecutiveLosses < 1) {
+        throw new Error(`${strategyName}策略maxConsecutiveLosses必须为大于0的整数`);
+      }
+    }
   }
 }
 
@@ -0,0 +1,53 @@
+/**
+ * API调用预算 - 按最小间隔为REST调用分配时段
+ * 多策略共享同一个实例时，所有策略的调用合计受同一限流约束
+ *
+ * 时段在调用 reserve() 时同步预约，并发调用者不会拿到同一个时段
+ */
+class ApiBudget {
+  /**
+   * 构造函数
+   * @param {Object} options - 配置选项
+   * @param {number} options.minIntervalMs - 两次调用之间的最小间隔(毫秒)，默认6000
+   */
+  constructor(options = {}) {
+    this.minIntervalMs = options.minIntervalMs ?? 6000;
+    this.nextSlotTime = 0;  // 下一个可用时段
+    this.pausedUntil = 0;   // 限流暂停截止时间
+    this.callCount = 0;
+  }
+
+  /**
+   * 预约下一个调用时段
+   * @returns {number} 需要等待的毫秒数 (0 表示可立即调用)
+   */
+  reserve() {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlotTime, this.pausedUntil);
+    this.nextSlotTime = slot + this.minIntervalMs;
+    this.callCount++;
+    return slot - now;
+  }
+
+  /**
+   * 暂停分配时段 (如遇到429)，已预约的时段不受影响
+   * @param {number} durationMs - 暂停时长(毫秒)
+   */
+  pause(durationMs) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + durationMs);
+  }
+
+  /**
+   * 预算状态 (用于日志)
+   * @returns {Object} { callCount, minIntervalMs, pausedForMs }
+   */
+  getStatus() {
+    return {
+      callCount: this.callCount,
+      minIntervalMs: this.minIntervalMs,
+      pausedForMs: Math.max(0, this.pausedUntil - Date.now())
+    };
+  }
+}
+
+module.exports = ApiBudget;
@@ -301,11 +301,7 @@ class ApiLimiter {
    * 检查是否为429错误
    */
   is429Error(error) {
-    return error.message.includes('429') ||
-           error.message.includes('rate limit') ||
-           error.message.includes('Rate Limit') ||
-           error.message.includes('exceeded') ||
-           (error.response && error.response.status === 429);
+    return Boolean(error.rateLimited);
   }
   
   /**
@@ -0,0 +1,79 @@
+// Backpack clientId 为 uint32，命名空间占高位: clientId = namespace × 1,000,000 + 序号
+const SEQUENCE_RANGE = 1000000;
+const MAX_NAMESPACE = Math.floor(4294967295 / SEQUENCE_RANGE) - 1;
+const DEFAULT_NAMESPACE = 1000;
+
+/**
+ * 订单归属命名空间 - 本程序创建的订单都带有命名空间内的clientId
+ * 手动下单或其他程序的订单不在命名空间内，撤单/对账/成交处理都不会触碰
+ */
+class ClientIdNamespace {
+  /**
+   * 构造函数
+   * @param {number} namespace - 命名空间 (1 ~ MAX_NAMESPACE 的整数)
+   */
+  constructor(namespace = DEFAULT_NAMESPACE) {
+    if (!ClientIdNamespace.isValidNamespace(namespace)) {
+      throw new Error(`clientId命名空间必须是1-${MAX_NAMESPACE}之间的整数: ${namespace}`);
+    }
+
+    this.namespace = namespace;
+    // 序号从当前时间起步，重启后不会与上次运行中仍在挂单的clientId重复
+    this.sequence = Date.now() % SEQUENCE_RANGE;
+  }
+
+  /**
+   * 分配下一个clientId
+   * @returns {number}
+   */
+  next() {
+    this.sequence = (this.sequence + 1) % SEQUENCE_RANGE;
+    return this.namespace * SEQUENCE_RANGE + this.sequence;
+  }
+
+  /**
+   * clientId是否属于本命名空间
+   * @param {number|string|null} clientId - 订单clientId
+   * @returns {boolean}
+   */
+  owns(clientId) {
+    return ClientIdNamespace.namespaceOf(clientId) === this.namespace;
+  }
+
+  /**
+   * clientId所属的命名空间
+   * @param {number|string|null} clientId - 订单clientId
+   * @returns {number|null} 没有clientId时返回null
+   */
+  static namespaceOf(clientId) {
+    const value = Number(clientId);
+    if (clientId === null || clientId === undefined || clientId === '' || !Number.isInteger(value) || value < 0) {
+      return null;
+    }
+    return Math.floor(value / SEQUENCE_RANGE);
+  }
+
+  /**
+   * 从订单/成交/推送数据中读取clientId (REST为clientId，WebSocket为c)
+   * @param {Object} order - 订单数据
+   * @returns {number|null}
+   */
+  static extract(order) {
+    const clientId = order?.clientId ?? order?.c;
+    return clientId === undefined || clientId === null ? null : Number(clientId);
+  }
+
+  /**
+   * 命名空间是否有效
+   * @param {number} namespace - 命名空间
+   * @returns {boolean}
+   */
+  static isValidNamespace(namespace) {
+    return Number.isInteger(namespace) && namespace >= 1 && namespace <= MAX_NAMESPACE;
+  }
+}
+
+ClientIdNamespace.DEFAULT_NAMESPACE = DEFAULT_NAMESPACE;
+ClientIdNamespace.MAX_NAMESPACE = MAX_NAMESPACE;
+
+module.exports = ClientIdNamespace;
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const { defaultLogger } = require('../utils/logger');
+
+/**
+ * 周期状态存储 - 将马丁周期状态持久化到JSON文件，用于崩溃/重启后恢复
+ * 写入采用"临时文件 + rename"方式，保证状态文件不会出现半写入
+ */
+class CycleStateStore {
+  /**
+   * 构造函数
+   * @param {Object} options - 配置选项
+   * @param {string} options.filePath - 状态文件路径
+   * @param {Object} options.logger - 日志记录器
+   */
+  constructor(options = {}) {
+    if (!options.filePath) {
+      throw new Error('CycleStateStore需要filePath');
+    }
+
+    this.filePath = options.filePath;
+    this.logger = options.logger || defaultLogger;
+
+    // 确保状态目录存在
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  /**
+   * 读取状态文件
+   * @returns {Object|null} 状态对象，文件不存在或损坏时返回null
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+
+    try {
+      const content = fs.readFileSync(this.filePath, 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      // 损坏的状态文件保留备份，避免被下一次写入覆盖
+      const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+      this.logger.log(`读取状态文件失败: ${error.message}，已备份到 ${backupPath}`, true);
+      try {
+        fs.renameSync(this.filePath, backupPath);
+      } catch (renameError) {
+        this.logger.log(`备份损坏状态文件失败: ${renameError.message}`, true);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * 原子写入状态文件
+   * @param {Object} state - 状态对象
+   */
+  save(state) {
+    const tmpPath = `${this.filePath}.tmp`;
+    const content = JSON.stringify(state, null, 2);
+
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * 删除状态文件
+   */
+  clear() {
+    if (fs.existsSync(this.filePath)) {
+      fs.unlinkSync(this.filePath);
+    }
+  }
+}
+
+module.exports = CycleStateStore;
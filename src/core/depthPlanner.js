@@ -0,0 +1,59 @@
+/**
+ * 盘口深度规划 - 根据订单簿估算吃单成交均价 (VWAP)，按滑点上限计算本次可成交数量
+ * MartingaleTrader 止盈卖出时使用
+ *
+ * 盘口格式 (Backpack depth): { bids: [[price, quantity], ...], asks: [[price, quantity], ...] } (字段为字符串)
+ */
+class DepthPlanner {
+  /**
+   * 将交易所盘口转换为数值格式，买盘按价格从高到低、卖盘按价格从低到高排列
+   * @param {Object} depth - 交易所盘口
+   * @returns {Object} { bids: [{price, quantity}], asks: [{price, quantity}] }
+   */
+  static normalize(depth) {
+    const toLevels = levels => (Array.isArray(levels) ? levels : [])
+      .map(([price, quantity]) => ({ price: parseFloat(price), quantity: parseFloat(quantity) }))
+      .filter(level => level.price > 0 && level.quantity > 0);
+
+    return {
+      bids: toLevels(depth?.bids).sort((a, b) => b.price - a.price),
+      asks: toLevels(depth?.asks).sort((a, b) => a.price - b.price)
+    };
+  }
+
+  /**
+   * 按盘口顺序吃单，估算在价格限制内能成交的数量和成交均价
+   * @param {Array<Object>} levels - 对手盘档位 (卖出时为买盘，按优先顺序排列)
+   * @param {number} quantity - 计划成交数量
+   * @param {number} limitPrice - 价格限制 (卖出时为最低可接受价)
+   * @param {string} side - 'Ask' 卖出 / 'Bid' 买入
+   * @returns {Object} { quantity, vwap, worstPrice, levelCount } 没有可成交档位时 quantity 为0、vwap 为null
+   */
+  static fillWithinLimit(levels, quantity, limitPrice, side = 'Ask') {
+    let filled = 0;
+    let amount = 0;
+    let worstPrice = null;
+    let levelCount = 0;
+
+    for (const level of levels) {
+      if (filled >= quantity) break;
+      const withinLimit = side === 'Ask' ? level.price >= limitPrice : level.price <= limitPrice;
+      if (!withinLimit) break;
+
+      const take = Math.min(level.quantity, quantity - filled);
+      filled += take;
+      amount += take * level.price;
+      worstPrice = level.price;
+      levelCount++;
+    }
+
+    return {
+      quantity: filled,
+      vwap: filled > 0 ? amount / filled : null,
+      worstPrice,
+      levelCount
+    };
+  }
+}
+
+module.exports = DepthPlanner;
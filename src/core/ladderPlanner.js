@@ -0,0 +1,169 @@
+/**
+ * 马丁阶梯规划 - 根据配置计算每一档的下跌幅度和资金权重
+ * MartingaleTrader.createMartingaleOrders 与 TradingStrategy.calculateIncrementalOrders 共用
+ *
+ * 配置 (trading.ladder，均可省略):
+ * - spacing: 'linear' 线性间距 | 'geometric' 几何间距（档位间距按 spacingRatio 逐档放大）
+ * - spacingRatio: 几何间距的放大倍数，默认1.5
+ * - firstOrderOffsetPercentage: 第一档相对基准价的下跌幅度，默认0.2
+ * - positionFirstOrderOffsetPercentage: 已有持仓时第一档的下跌幅度，默认0.5
+ * - dropPercentages: 显式指定每一档的下跌幅度，设置后忽略 spacing/首档偏移/orderCount/maxDropPercentage
+ * - sizeWeights: 显式指定每一档的资金权重，设置后忽略 incrementPercentage
+ */
+class LadderPlanner {
+  /**
+   * 规范化阶梯配置
+   * @param {Object} trading - trading配置
+   * @returns {Object} 阶梯配置
+   */
+  static resolveConfig(trading = {}) {
+    const ladder = trading.ladder || {};
+    const dropPercentages = Array.isArray(ladder.dropPercentages) && ladder.dropPercentages.length > 0
+      ? ladder.dropPercentages.map(Number)
+      : null;
+    const sizeWeights = Array.isArray(ladder.sizeWeights) && ladder.sizeWeights.length > 0
+      ? ladder.sizeWeights.map(Number)
+      : null;
+
+    return {
+      spacing: ladder.spacing === 'geometric' ? 'geometric' : 'linear',
+      spacingRatio: ladder.spacingRatio || 1.5,
+      firstOrderOffsetPercentage: ladder.firstOrderOffsetPercentage ?? 0.2,
+      positionFirstOrderOffsetPercentage: ladder.positionFirstOrderOffsetPercentage ?? 0.5,
+      dropPercentages,
+      sizeWeights,
+      orderCount: dropPercentages ? dropPercentages.length : (trading.orderCount || 5),
+      maxDropPercentage: trading.maxDropPercentage || 3.0,
+      incrementPercentage: trading.incrementPercentage ?? 25
+    };
+  }
+
+  /**
+   * 校验阶梯配置，配置错误时抛出异常
+   * @param {Object} ladder - resolveConfig 的结果
+   * @param {string} strategyName - 策略名称（用于错误信息）
+   */
+  static validate(ladder, strategyName = 'single') {
+    if (ladder.dropPercentages) {
+      ladder.dropPercentages.forEach((drop, i) => {
+        if (!(drop > 0 && drop < 100)) {
+          throw new Error(`${strategyName}策略ladder.dropPercentages第${i + 1}档必须在0-100之间`);
+        }
+        if (i > 0 && drop <= ladder.dropPercentages[i - 1]) {
+          throw new Error(`${strategyName}策略ladder.dropPercentages必须逐档递增`);
+        }
+      });
+    } else {
+      // 首次挂单和已有持仓时重新挂单的首档偏移都必须小于最大跌幅，否则档位跌幅逐档递减
+      for (const key of ['firstOrderOffsetPercentage', 'positionFirstOrderOffsetPercentage']) {
+        if (ladder[key] >= ladder.maxDropPercentage) {
+          throw new Error(`${strategyName}策略ladder.${key}必须小于maxDropPercentage`);
+        }
+      }
+    }
+
+    if (ladder.sizeWeights) {
+      if (ladder.sizeWeights.length !== ladder.orderCount) {
+        throw new Error(`${strategyName}策略ladder.sizeWeights数量(${ladder.sizeWeights.length})必须等于档位数(${ladder.orderCount})`);
+      }
+      if (ladder.sizeWeights.some(weight => !(weight > 0))) {
+        throw new Error(`${strategyName}策略ladder.sizeWeights必须全部大于0`);
+      }
+    }
+
+    if (ladder.spacing === 'geometric' && !(ladder.spacingRatio > 0)) {
+      throw new Error(`${strategyName}策略ladder.spacingRatio必须大于0`);
+    }
+  }
+
+  /**
+   * 计算每一档相对基准价的下跌幅度(%)
+   * @param {Object} ladder - 阶梯配置
+   * @param {Object} options - 选项
+   * @param {number} options.firstOffset - 第一档下跌幅度，默认取配置
+   * @param {number} options.maxDrop - 最后一档下跌幅度，默认取配置
+   * @returns {Array<number>} 下跌幅度列表
+   */
+  static getDropPercentages(ladder, options = {}) {
+    if (ladder.dropPercentages) {
+      return [...ladder.dropPercentages];
+    }
+
+    const count = ladder.orderCount;
+    const firstOffset = options.firstOffset ?? ladder.firstOrderOffsetPercentage;
+    const maxDrop = options.maxDrop ?? ladder.maxDropPercentage;
+    if (count === 1) {
+      return [firstOffset];
+    }
+
+    // 线性: 每档间距相同；几何: 第k个间距为 ratio^k，整体缩放到 [首档, 最大跌幅]
+    const ratio = ladder.spacing === 'geometric' ? ladder.spacingRatio : 1;
+    const gaps = [];
+    for (let k = 0; k < count - 1; k++) {
+      gaps.push(Math.pow(ratio, k));
+    }
+    const totalGap = gaps.reduce((sum, gap) => sum + gap, 0);
+
+    const drops = [firstOffset];
+    let accumulated = 0;
+    for (const gap of gaps) {
+      accumulated += gap;
+      drops.push(firstOffset + (maxDrop - firstOffset) * accumulated / totalGap);
+    }
+    return drops;
+  }
+
+  /**
+   * 计算每一档的资金权重（归一化，总和为1）
+   * @param {Object} ladder - 阶梯配置
+   * @returns {Array<number>} 权重列表
+   */
+  static getSizeWeights(ladder) {
+    const weights = ladder.sizeWeights
+      ? [...ladder.sizeWeights]
+      : Array.from({ length: ladder.orderCount }, (_, i) => Math.pow(1 + ladder.incrementPercentage / 100, i));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    return weights.map(weight => weight / totalWeight);
+  }
+
+  /**
+   * 生成阶梯计划（未做价格/数量精度处理，由调用方按交易所规则格式化）
+   * @param {Object} params - 参数
+   * @param {number} params.basePrice - 基准价格
+   * @param {number} params.totalAmount - 本次阶梯总金额(USDC)
+   * @param {Object} params.ladder - 阶梯配置
+   * @param {boolean} params.hasPosition - 是否已有持仓（使用持仓首档偏移）
+   * @param {number} params.maxDrop - 最后一档下跌幅度，默认取配置
+   * @param {boolean} params.reverse - 反向周期，档位分布在基准价上方（跌幅即涨幅）
+   * @returns {Array<Object>} [{ level, dropPercent, price, amount }]
+   */
+  static buildPlan({ basePrice, totalAmount, ladder, hasPosition = false, maxDrop, reverse = false }) {
+    const firstOffset = hasPosition ? ladder.positionFirstOrderOffsetPercentage : ladder.firstOrderOffsetPercentage;
+    const drops = LadderPlanner.getDropPercentages(ladder, { firstOffset, maxDrop });
+    const weights = LadderPlanner.getSizeWeights(ladder);
+
+    return drops.map((dropPercent, i) => ({
+      level: i + 1,
+      dropPercent,
+      price: basePrice * (reverse ? 1 + dropPercent / 100 : 1 - dropPercent / 100),
+      amount: totalAmount * weights[i]
+    }));
+  }
+
+  /**
+   * 阶梯配置摘要 (用于日志)
+   * @param {Object} ladder - 阶梯配置
+   * @returns {string}
+   */
+  static describe(ladder) {
+    const priceText = ladder.dropPercentages
+      ? `自定义跌幅 [${ladder.dropPercentages.join(', ')}]%`
+      : `${ladder.spacing === 'geometric' ? `几何间距(×${ladder.spacingRatio})` : '线性间距'} ${ladder.firstOrderOffsetPercentage}%~${ladder.maxDropPercentage}%`;
+    const sizeText = ladder.sizeWeights
+      ? `自定义权重 [${ladder.sizeWeights.join(', ')}]`
+      : `金额递增${ladder.incrementPercentage}%`;
+    return `${ladder.orderCount}档, ${priceText}, ${sizeText}`;
+  }
+}
+
+module.exports = LadderPlanner;
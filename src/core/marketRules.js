@@ -0,0 +1,156 @@
+const Formatter = require('../utils/formatter');
+
+// 交易所规则和配置都不可用时的默认值
+const DEFAULT_PRECISION = 2;
+const DEFAULT_MIN_QUANTITY = 0.01;
+
+/**
+ * 交易对市场规则 - 价格步长 (tickSize)、数量步长 (stepSize)、最小下单量和最小下单金额
+ * MartingaleTrader 所有价格/数量取整和最小下单检查都使用这里的规则
+ *
+ * 规则来源: 交易所 Markets 接口；配置中按币种指定的 pricePrecisions / quantityPrecisions / minQuantities
+ * 以及 advanced.priceTickSize / advanced.minOrderAmount 作为覆盖值；交易所规则不可用时使用配置的 DEFAULT 值
+ */
+class MarketRules {
+  /**
+   * 构造函数
+   * @param {Object} rules - 规则
+   * @param {string} rules.symbol - 交易对
+   * @param {number} rules.tickSize - 价格步长
+   * @param {number} rules.stepSize - 数量步长
+   * @param {number} rules.minQuantity - 最小下单量
+   * @param {number} [rules.minNotional=0] - 最小下单金额 (USDC)，0为不限制
+   * @param {string} [rules.source='config'] - 规则来源 exchange / config
+   */
+  constructor({ symbol, tickSize, stepSize, minQuantity, minNotional = 0, source = 'config' }) {
+    this.symbol = symbol;
+    this.tickSize = tickSize;
+    this.stepSize = stepSize;
+    this.minQuantity = minQuantity;
+    this.minNotional = minNotional;
+    this.source = source;
+  }
+
+  /**
+   * 价格小数位数 (由tickSize决定，用于显示)
+   * @returns {number}
+   */
+  get pricePrecision() {
+    return Formatter.decimalsOf(this.tickSize);
+  }
+
+  /**
+   * 数量小数位数 (由stepSize决定，用于显示)
+   * @returns {number}
+   */
+  get quantityPrecision() {
+    return Formatter.decimalsOf(this.stepSize);
+  }
+
+  /**
+   * 价格按tickSize四舍五入
+   * @param {number} price - 价格
+   * @returns {number}
+   */
+  roundPrice(price) {
+    return Formatter.roundToStep(price, this.tickSize);
+  }
+
+  /**
+   * 价格按tickSize向下取整
+   * @param {number} price - 价格
+   * @returns {number}
+   */
+  floorPrice(price) {
+    return Formatter.floorToStep(price, this.tickSize);
+  }
+
+  /**
+   * 价格按tickSize向上取整
+   * @param {number} price - 价格
+   * @returns {number}
+   */
+  ceilPrice(price) {
+    return Formatter.ceilToStep(price, this.tickSize);
+  }
+
+  /**
+   * 数量按stepSize四舍五入
+   * @param {number} quantity - 数量
+   * @returns {number}
+   */
+  roundQuantity(quantity) {
+    return Formatter.roundToStep(quantity, this.stepSize);
+  }
+
+  /**
+   * 数量按stepSize向下取整 (不超过余额)
+   * @param {number} quantity - 数量
+   * @returns {number}
+   */
+  floorQuantity(quantity) {
+    return Formatter.floorToStep(Math.max(0, quantity), this.stepSize);
+  }
+
+  /**
+   * 订单是否低于最小下单量或最小下单金额
+   * @param {number} quantity - 数量
+   * @param {number} price - 价格
+   * @returns {boolean}
+   */
+  isBelowMinimum(quantity, price) {
+    return quantity < this.minQuantity || (this.minNotional > 0 && quantity * price < this.minNotional);
+  }
+
+  /**
+   * 规则描述 (日志用)
+   * @returns {string}
+   */
+  describe() {
+    return `价格步长 ${this.tickSize}, 数量步长 ${this.stepSize}, 最小数量 ${this.minQuantity}` +
+      `${this.minNotional > 0 ? `, 最小金额 ${this.minNotional} USDC` : ''} (${this.source === 'exchange' ? '交易所' : '配置'})`;
+  }
+
+  /**
+   * 与另一组规则是否相同
+   * @param {MarketRules} other - 另一组规则
+   * @returns {boolean}
+   */
+  equals(other) {
+    return Boolean(other)
+      && ['tickSize', 'stepSize', 'minQuantity', 'minNotional'].every(key => this[key] === other[key]);
+  }
+
+  /**
+   * 合并交易所规则与配置覆盖值
+   * @param {Object|null} exchangeRules - 交易所规则 (ExchangeAdapter.getMarketRules)，不可用时为null
+   * @param {Object} config - 配置对象
+   * @param {string} tradingCoin - 交易币种
+   * @returns {MarketRules}
+   */
+  static resolve(exchangeRules, config, tradingCoin) {
+    const coinSetting = section => config?.[section]?.[tradingCoin];
+    const defaultSetting = section => config?.[section]?.DEFAULT;
+    const precisionStep = precision => (precision === undefined ? undefined : Math.pow(10, -precision));
+
+    // 覆盖值: 按币种指定的配置
+    const tickOverride = config?.advanced?.priceTickSize ?? precisionStep(coinSetting('pricePrecisions'));
+    const stepOverride = precisionStep(coinSetting('quantityPrecisions'));
+    const minQuantityOverride = coinSetting('minQuantities');
+    const minNotionalOverride = config?.advanced?.minOrderAmount;
+
+    return new MarketRules({
+      symbol: exchangeRules?.symbol || `${tradingCoin}_USDC`,
+      tickSize: tickOverride ?? exchangeRules?.tickSize
+        ?? precisionStep(defaultSetting('pricePrecisions') ?? DEFAULT_PRECISION),
+      stepSize: stepOverride ?? exchangeRules?.stepSize
+        ?? precisionStep(defaultSetting('quantityPrecisions') ?? DEFAULT_PRECISION),
+      minQuantity: minQuantityOverride ?? exchangeRules?.minQuantity
+        ?? defaultSetting('minQuantities') ?? DEFAULT_MIN_QUANTITY,
+      minNotional: minNotionalOverride ?? exchangeRules?.minNotional ?? 0,
+      source: exchangeRules ? 'exchange' : 'config'
+    });
+  }
+}
+
+module.exports = MarketRules;
@@ -102,13 +102,12 @@ class OrderManagerService {
           const response = await this.backpackService.createBuyOrder(
             order.price, 
             order.quantity,
-            this.symbol, 
-            this.tradingCoin
+            this.symbol
           );
           
-          if (response && response.id) {
+          if (response && response.orderId) {
             // 设置订单ID
-            order.id = response.id;
+            order.id = response.orderId;
             order.status = response.status || 'New';
             
             // 添加到订单管理器
@@ -164,9 +163,8 @@ class OrderManagerService {
             })}`, true);
             
             // 记录错误对象详情
-            if (error.response) {
-              log(`- 响应状态: ${error.response.status}`, true);
-              log(`- 响应数据: ${JSON.stringify(error.response.data || {})}`, true);
+            if (typeof error.describe === 'function') {
+              log(`- ${error.describe()}`, true);
             }
             
             // 记录具体的订单
@@ -174,7 +172,7 @@ class OrderManagerService {
           }
           
           // 如果是资金不足，跳过后续订单
-          if (error.message.includes('Insufficient') || error.message.includes('insufficient')) {
+          if (error.insufficientFunds) {
             log('资金不足，停止创建更多订单', true);
             break;
           } else {
@@ -246,8 +244,8 @@ class OrderManagerService {
         this.symbol
       );
       
-      if (response && response.id) {
-        log(`卖出订单创建成功: 订单ID=${response.id}, 状态=${response.status}`);
+      if (response && response.orderId) {
+        log(`卖出订单创建成功: 订单ID=${response.orderId}, 状态=${response.status}`);
         
         // 检查订单是否完全成交
         let fullyFilled = response.status === 'Filled';
@@ -276,8 +274,8 @@ class OrderManagerService {
               this.symbol
             );
             
-            if (secondResponse && secondResponse.id) {
-              log(`第二次卖出订单创建成功: 订单ID=${secondResponse.id}, 状态=${secondResponse.status}`);
+            if (secondResponse && secondResponse.orderId) {
+              log(`第二次卖出订单创建成功: 订单ID=${secondResponse.orderId}, 状态=${secondResponse.status}`);
             }
           } else {
             log(`所有 ${this.tradingCoin} 已售出`);
@@ -318,7 +316,7 @@ class OrderManagerService {
       
       // 获取当前未成交订单
       const openOrders = await this.backpackService.getOpenOrders(this.symbol);
-      const currentOpenOrderIds = new Set(openOrders.map(order => order.id));
+      const currentOpenOrderIds = new Set(openOrders.map(order => order.orderId));
       
       // 遍历所有创建的订单，检查哪些已经不在未成交列表中
       const filledOrders = [];
@@ -0,0 +1,220 @@
+const { Logger } = require('../utils/logger');
+const ExchangeFactory = require('../services/exchangeFactory');
+const ConfigLoader = require('../config/configLoader');
+const ApiBudget = require('./apiBudget');
+
+/**
+ * 多策略运行器 - 在同一账户上同时运行双策略配置中的所有策略 (strategy1 ... strategyN)
+ * - 每个策略使用独立资金账本、独立状态文件和日志，以及独立的clientId命名空间，只处理和撤销自己的订单
+ * - 所有策略共享一个WebSocket连接 (按交易对分发价格，按订单归属分发订单更新)
+ * - 所有策略共享一个API调用预算
+ */
+class StrategyRunner {
+  /**
+   * 构造函数
+   * @param {Object} options - 配置选项
+   * @param {Object} options.config - 双策略配置
+   * @param {Function} options.createTrader - 交易器工厂 (traderOptions) => MartingaleTrader
+   * @param {Object} options.logger - 日志记录器
+   */
+  constructor(options = {}) {
+    this.config = options.config;
+    this.createTrader = options.createTrader;
+    this.logger = options.logger || new Logger({
+      logDir: './logs',
+      prefix: 'martingale_runner',
+      tag: 'runner'
+    });
+
+    this.apiBudget = new ApiBudget({ minIntervalMs: 6000 });
+    this.service = ExchangeFactory.create(this.config, this.logger);
+    this.wsManager = null;
+    this.traders = [];
+    this.statusInterval = null;
+  }
+
+  /**
+   * 启动所有策略
+   */
+  async start() {
+    const strategies = ConfigLoader.getStrategyConfigs(this.config);
+    const symbols = [...new Set(strategies.map(({ config }) => `${config.trading.tradingCoin}_USDC`))];
+
+    this.logger.log(`🎯 === 多策略运行器启动 (${strategies.length} 个策略) ===`);
+    for (const { strategyId, config } of strategies) {
+      this.logger.log(`  ${strategyId}: ${config.trading.tradingCoin}_USDC ${config.trading.direction === 'reverse' ? '反向' : '正向'}, 总投资 ${config.trading.totalAmount}`);
+    }
+
+    // 🔑 共享WebSocket连接 - 订阅所有交易对
+    this.wsManager = this.service.createStream({
+      onPriceUpdate: (tickerSymbol, price) => this.dispatchPriceUpdate(tickerSymbol, price),
+      onOrderUpdate: (orderUpdate) => this.dispatchOrderUpdate(orderUpdate)
+    });
+    this.wsManager.setupPriceWebSocket(symbols);
+    this.wsManager.subscribeOrderUpdates();
+    await new Promise(resolve => setTimeout(resolve, 3000));
+
+    if (!this.wsManager.isConnected()) {
+      throw new Error('WebSocket连接失败');
+    }
+
+    await this.checkAccountCapital(strategies);
+
+    // 🔑 逐个启动策略 - 共享API预算，启动期间的调用自动排队
+    for (const { strategyId, config } of strategies) {
+      const trader = this.createTrader({
+        strategyId,
+        config,
+        wsManager: this.wsManager,
+        apiBudget: this.apiBudget,
+        sharedAccount: true,
+        logger: new Logger({
+          logDir: './logs',
+          prefix: `martingale_${strategyId}`,
+          tag: strategyId
+        })
+      });
+      this.traders.push(trader);
+
+      try {
+        await trader.start();
+      } catch (error) {
+        this.logger.log(`❌ 策略 ${strategyId} 启动失败: ${error.message}`, true);
+        this.traders.pop();
+      }
+    }
+
+    if (this.traders.length === 0) {
+      throw new Error('所有策略均启动失败');
+    }
+
+    this.logger.log(`\n🎯 === 多策略运行器启动完成 (${this.traders.length}/${strategies.length} 个策略运行中) ===`);
+    this.printSummary();
+
+    // 汇总报告 - 与单策略状态报告同频
+    this.statusInterval = setInterval(() => {
+      this.printSummary();
+    }, 1800000); // 每30分钟
+  }
+
+  /**
+   * 🔑 按交易对分发价格更新
+   * @param {string} tickerSymbol - 行情交易对
+   * @param {number} price - 最新价格
+   */
+  dispatchPriceUpdate(tickerSymbol, price) {
+    const normalizedSymbol = String(tickerSymbol).replace('-', '_').toUpperCase();
+    for (const trader of this.traders) {
+      if (trader.symbol === normalizedSymbol) {
+        trader.handlePriceUpdate(price);
+      }
+    }
+  }
+
+  /**
+   * 🔑 按订单归属分发订单更新 - 优先交给跟踪该订单的策略，其次按clientId命名空间归属
+   * @param {Object} orderUpdate - 订单更新
+   */
+  dispatchOrderUpdate(orderUpdate) {
+    const orderKey = String(orderUpdate.orderId);
+    const owner = this.traders.find(trader => trader.activeOrders.has(orderKey))
+      || this.traders.find(trader => trader.service?.ownsOrder(orderUpdate));
+    if (owner) {
+      owner.handleOrderUpdate(orderUpdate);
+    } else {
+      this.logger.log(`⚠️ 忽略非本程序订单更新: ${orderKey} ${orderUpdate.symbol || ''} (clientId: ${orderUpdate.clientId ?? '无'})`);
+    }
+  }
+
+  /**
+   * 🔑 启动前检查账户余额能否覆盖各策略的独立资金 (按配置的初始资金，不足时只警告)
+   * @param {Array<Object>} strategies - ConfigLoader.getStrategyConfigs 的结果
+   */
+  async checkAccountCapital(strategies) {
+    const required = { USDC: 0 };
+    for (const { config } of strategies) {
+      const { trading, capital = {} } = config;
+      const reverse = trading.direction === 'reverse';
+      required.USDC += capital.usdc ?? (reverse ? 0 : trading.totalAmount);
+      required[trading.tradingCoin] = (required[trading.tradingCoin] || 0) + (capital.base ?? (reverse ? trading.totalAmount : 0));
+    }
+
+    for (const [asset, amount] of Object.entries(required)) {
+      if (amount <= 0) continue;
+
+      try {
+        const waitTime = this.apiBudget.reserve();
+        if (waitTime > 0) {
+          await new Promise(resolve => setTimeout(resolve, waitTime));
+        }
+        const { total } = await this.service.getBalance(asset);
+        if (total < amount) {
+          this.logger.log(`⚠️ 账户${asset}余额 ${total} 小于各策略分配合计 ${amount}，资金不足的策略将无法挂满阶梯`, true);
+        } else {
+          this.logger.log(`💼 ${asset}: 账户余额 ${total}, 各策略分配合计 ${amount}`);
+        }
+      } catch (error) {
+        this.logger.log(`检查账户${asset}余额失败: ${error.message}`, true);
+      }
+    }
+  }
+
+  /**
+   * 🔑 多策略汇总报告 - 每个策略的周期、收益和资金账本
+   */
+  printSummary() {
+    const profitByAsset = {};
+
+    this.logger.log(`\n📊 === 多策略汇总 ===`);
+    for (const trader of this.traders) {
+      const summary = trader.getStatusSummary();
+      const profitText = trader.formatCapital(summary.totalProfit, true);
+      profitByAsset[summary.capitalAsset] = (profitByAsset[summary.capitalAsset] || 0) + summary.totalProfit;
+
+      const flags = [
+        summary.hasPosition ? '持仓中' : '空仓',
+        summary.tradingHalted ? '🚨已停止' : null,
+        summary.entryBlock ? `⏸️等待入场(${summary.entryBlock.reason})` : null
+      ].filter(Boolean).join(', ');
+      this.logger.log(`  [${summary.strategyId}] ${summary.symbol} ${summary.direction === 'reverse' ? '反向' : '正向'} | ` +
+        `完成周期 ${summary.cycleCount} (亏损 ${summary.losingCycleCount}) | 总收益 ${profitText} | ` +
+        `活跃订单 ${summary.activeOrders} | ${flags}`);
+      if (summary.ledger) {
+        this.logger.log(`    独立资金: ${summary.ledger.usdc.toFixed(2)} USDC + ${summary.ledger.base.toFixed(6)} ${summary.symbol.split('_')[0]}`);
+      }
+    }
+
+    const totals = Object.entries(profitByAsset)
+      .map(([asset, profit]) => `${profit >= 0 ? '+' : ''}${profit.toFixed(asset === 'USDC' ? 2 : 6)} ${asset}`);
+    this.logger.log(`  合计收益: ${totals.join(', ') || '无'}`);
+
+    const budget = this.apiBudget.getStatus();
+    this.logger.log(`  API预算: 已调用 ${budget.callCount} 次, 间隔 ${budget.minIntervalMs / 1000} 秒${budget.pausedForMs > 0 ? `, 限流暂停 ${Math.ceil(budget.pausedForMs / 1000)} 秒` : ''}`);
+    this.logger.log(`🌐 连接状态: ${this.wsManager?.isConnected() ? '✅ WebSocket已连接' : '❌ WebSocket断开'}`);
+    this.logger.log(`═══════════════════════════════════════`);
+  }
+
+  /**
+   * 关闭所有策略 (只撤销各策略自己的订单) 并关闭共享连接
+   */
+  async shutdown() {
+    this.logger.log('🛑 正在关闭多策略运行器...');
+
+    if (this.statusInterval) {
+      clearInterval(this.statusInterval);
+      this.statusInterval = null;
+    }
+
+    await Promise.all(this.traders.map(trader => trader.shutdown().catch(error => {
+      this.logger.log(`关闭策略 ${trader.strategyId} 失败: ${error.message}`, true);
+    })));
+
+    if (this.wsManager) {
+      this.wsManager.closeAllConnections();
+    }
+
+    this.logger.log('✅ 多策略运行器已完全关闭');
+  }
+}
+
+module.exports = StrategyRunner;
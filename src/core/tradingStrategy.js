@@ -1,6 +1,7 @@
 const Formatter = require('../utils/formatter');
 const { log } = require('../utils/logger');
 const { Order } = require('../models/Order');
+const LadderPlanner = require('./ladderPlanner');
 
 /**
  * 交易策略类 - 负责计算交易策略和订单
@@ -15,6 +16,9 @@ class TradingStrategy {
     this.logger = logger;
     this.config = config;
     
+    // 交易所市场规则 (MarketRules) - 由调用方设置，未设置时按配置精度取整
+    this.marketRules = null;
+    
     // 马丁格尔策略状态
     this.strategyState = {
       active: false,
@@ -27,7 +31,7 @@ class TradingStrategy {
   }
   
   /**
-   * 计算递增订单
+   * 计算递增订单 - 价格分布和金额权重由 trading.ladder 配置决定 (见 LadderPlanner)
    * @param {number} currentPrice - 当前市场价格
    * @param {number} maxDropPercentage - 最大跌幅百分比
    * @param {number} totalAmount - 总投资金额
@@ -36,6 +40,7 @@ class TradingStrategy {
    * @param {number} minOrderAmount - 最小订单金额
    * @param {string} tradingCoin - 交易币种
    * @param {string} symbol - 交易对符号
+   * @param {Object} positionInfo - 已有持仓信息 {quantity, averagePrice, filledOrders}（补仓模式）
    * @returns {Array<Order>} 订单列表
    */
   calculateIncrementalOrders(
@@ -50,6 +55,13 @@ class TradingStrategy {
     positionInfo = null
   ) {
     const orders = [];
+    const ladder = LadderPlanner.resolveConfig({
+      ...this.config.trading,
+      maxDropPercentage,
+      orderCount,
+      incrementPercentage
+    });
+    orderCount = ladder.orderCount;
     
     // 🔑 检查是否为补仓模式
     if (positionInfo && positionInfo.quantity > 0) {
@@ -67,29 +79,16 @@ class TradingStrategy {
       const basePrice = positionInfo.averagePrice;
       log(`📈 基准价格（持仓均价）: ${basePrice.toFixed(2)} USDC`);
       
-      // 从已成交订单的下一个价位开始创建
+      // 基于持仓均价生成完整阶梯，从已成交档位的下一档开始创建
       const startOrderIndex = positionInfo.filledOrders;
-      orderCount = remainingOrders;
-      
-      // 重新计算价格分布，基于持仓均价
-      const totalDropFromAverage = 3.0; // 从均价开始下跌3%
-      const lowestPrice = basePrice * (1 - totalDropFromAverage / 100);
+      const plan = LadderPlanner.buildPlan({ basePrice, totalAmount, ladder, hasPosition: true });
       
-      for (let i = 0; i < remainingOrders; i++) {
-        const actualIndex = startOrderIndex + i;
-        const priceStep = (basePrice - lowestPrice) / orderCount;
-        let rawPrice = basePrice - (priceStep * (i + 1));
-        
+      for (const level of plan.slice(startOrderIndex)) {
         // 调整价格到交易所接受的格式
-        const price = Formatter.adjustPriceToTickSize(rawPrice, tradingCoin, this.config);
-        
-        // 计算递增订单金额
-        const r = 1 + incrementPercentage / 100;
-        const baseAmount = totalAmount * (r - 1) / (Math.pow(r, orderCount) - 1);
-        const orderAmount = baseAmount * Math.pow(r, i);
+        const price = Formatter.adjustPriceToTickSize(level.price, tradingCoin, this.config, this.marketRules);
         
         // 计算数量并调整精度
-        const quantity = Formatter.adjustQuantityToStepSize(orderAmount / price, tradingCoin, this.config);
+        const quantity = Formatter.adjustQuantityToStepSize(level.amount / price, tradingCoin, this.config, this.marketRules);
         const actualAmount = price * quantity;
         
         if (actualAmount >= minOrderAmount) {
@@ -106,7 +105,7 @@ class TradingStrategy {
           const order = new Order(orderData);
           orders.push(order);
           
-          log(`📋 补仓订单${actualIndex + 1}: ${quantity.toFixed(6)} ${tradingCoin} @ ${price.toFixed(2)} USDC`);
+          log(`📋 补仓订单${level.level}: ${quantity.toFixed(6)} ${tradingCoin} @ ${price.toFixed(2)} USDC`);
         }
       }
       
@@ -114,61 +113,26 @@ class TradingStrategy {
       return orders;
     }
     
-    // 🔑 全新策略模式：第一个订单0.2%，后面订单在总3%区间内均匀分布
-    const firstOrderDropPercentage = 0.2; // 第一个订单下跌0.2%
-    const totalDropPercentage = 3.0; // 总的价格区间3%
-    
-    // 第一个订单价格
-    const firstOrderPrice = currentPrice * (1 - firstOrderDropPercentage / 100);
-    
-    // 最低价格（总跌幅3%）
-    const lowestPrice = currentPrice * (1 - totalDropPercentage / 100);
-    
-    // 后面4个订单在剩余区间内的价格步长
-    const remainingOrders = orderCount - 1; // 剩余订单数量
-    const priceStep = (firstOrderPrice - lowestPrice) / remainingOrders;
-    
-    // 计算基础订单金额（使用等比数列求和公式）
-    // 总金额 = 基础金额 * (1 + r + r^2 + ... + r^(n-1))
-    // 总金额 = 基础金额 * (1 - r^n) / (1 - r)
-    // 基础金额 = 总金额 * (1 - r) / (1 - r^n)
-    const r = 1 + incrementPercentage / 100; // 递增比例
-    
-    // 确保基础订单金额不小于最小订单金额
-    const calculatedBaseAmount = totalAmount * (r - 1) / (Math.pow(r, orderCount) - 1);
-    const baseAmount = Math.max(minOrderAmount, calculatedBaseAmount);
+    // 🔑 全新策略模式：按阶梯配置生成每档价格和金额
+    const plan = LadderPlanner.buildPlan({ basePrice: currentPrice, totalAmount, ladder });
     
-    // 计算实际总金额
-    let actualTotalAmount = 0;
-    for (let i = 0; i < orderCount; i++) {
-      actualTotalAmount += baseAmount * Math.pow(r, i);
-    }
+    // 确保每档金额不小于最小订单金额，超出总金额时整体缩放
+    const plannedAmounts = plan.map(level => Math.max(minOrderAmount, level.amount));
+    const actualTotalAmount = plannedAmounts.reduce((sum, amount) => sum + amount, 0);
+    const scale = actualTotalAmount > totalAmount ? totalAmount / actualTotalAmount : 1;
     
-    // 处理实际总金额超过用户输入的总金额的情况
     const orderAmounts = [];
-    const scale = actualTotalAmount > totalAmount ? totalAmount / actualTotalAmount : 1;
     
     // 创建订单
-    for (let i = 0; i < orderCount; i++) {
-      let rawPrice;
-      
-      if (i === 0) {
-        // 第一个订单：当前价格下跌0.2%
-        rawPrice = firstOrderPrice;
-      } else {
-        // 后面的订单：在剩余2.8%区间内正确分布
-        const remainingRange = firstOrderPrice - lowestPrice; // 2.8%的价格区间
-        rawPrice = firstOrderPrice - (remainingRange * i / (orderCount - 1));
-      }
-      
+    plan.forEach((level, i) => {
       // 调整价格到交易所接受的格式
-      const price = Formatter.adjustPriceToTickSize(rawPrice, tradingCoin, this.config);
+      const price = Formatter.adjustPriceToTickSize(level.price, tradingCoin, this.config, this.marketRules);
       
-      // 计算当前订单金额（递增并缩放）
-      const orderAmount = baseAmount * Math.pow(r, i) * scale;
+      // 计算当前订单金额（缩放后）
+      const orderAmount = plannedAmounts[i] * scale;
       
       // 计算数量并调整精度
-      const quantity = Formatter.adjustQuantityToStepSize(orderAmount / price, tradingCoin, this.config);
+      const quantity = Formatter.adjustQuantityToStepSize(orderAmount / price, tradingCoin, this.config, this.marketRules);
       const actualAmount = price * quantity;
       
       // 只有当订单金额满足最小要求时才添加
@@ -188,7 +152,7 @@ class TradingStrategy {
         
         orderAmounts.push(actualAmount);
       }
-    }
+    });
     
     // 如果没有生成任何订单，抛出错误
     if (orders.length === 0) {
@@ -198,6 +162,7 @@ class TradingStrategy {
     // 计算实际总金额
     const finalTotalAmount = orderAmounts.reduce((sum, amount) => sum + amount, 0);
     
+    log(`阶梯形状: ${LadderPlanner.describe(ladder)}`);
     log(`计划总金额: ${totalAmount.toFixed(2)} USDC`);
     log(`实际总金额: ${finalTotalAmount.toFixed(2)} USDC`);
     
@@ -318,7 +283,7 @@ class TradingStrategy {
    */
   calculateOptimalSellPrice(currentPrice, tradingCoin) {
     // 设置卖出价格略低于市场价（确保能够成交）
-    return Formatter.adjustPriceToTickSize(currentPrice * 0.995, tradingCoin, this.config);
+    return Formatter.adjustPriceToTickSize(currentPrice * 0.995, tradingCoin, this.config, this.marketRules);
   }
   
   /**
@@ -329,7 +294,7 @@ class TradingStrategy {
    */
   calculateSecondSellPrice(currentPrice, tradingCoin) {
     // 使用更低的价格进行二次尝试（原价格的99%）
-    return Formatter.adjustPriceToTickSize(currentPrice * 0.99, tradingCoin, this.config);
+    return Formatter.adjustPriceToTickSize(currentPrice * 0.99, tradingCoin, this.config, this.marketRules);
   }
   
   /**
@@ -0,0 +1,407 @@
+const Formatter = require('../utils/formatter');
+const MockExchangeError = require('./mockExchangeError');
+
+const MAX_CLIENT_ID = 4294967295; // uint32
+const MAX_HISTORY = 1000; // 订单/成交历史保留条数
+const MAX_TICKS = 100000; // 每个交易对保留的逐笔价格 (K线用)
+
+// 数值转字符串时去掉浮点误差
+const toAmount = value => Number(value.toFixed(10));
+
+/**
+ * 模拟撮合引擎 - 单账户，订单只与脚本价格撮合 (没有其他参与者)
+ *
+ * 撮合规则:
+ * - 盘口为最新价上下各 spreadTicks 个价格步长 (买一 = 最新价 - 价差，卖一 = 最新价 + 价差)
+ * - 市价单和穿过盘口的限价单立即以对手价成交 (Taker)
+ * - 挂单在最新价触及委托价时按委托价成交 (Maker)，每笔价格最多成交委托量的 fillRatio，小于1时产生部分成交
+ * - postOnly 会立即成交时拒单；IOC/FOK 不能立即全部成交时剩余部分过期
+ * - 手续费以收到的币种收取: 买入收基础币，卖出收计价币
+ */
+class MatchingEngine {
+  /**
+   * 构造函数
+   * @param {Object} options - 配置
+   * @param {Array<Object>} options.markets - 交易对 { symbol, baseSymbol, quoteSymbol, tickSize, stepSize, minQuantity, maxQuantity, minNotional }
+   * @param {Object<string, number>} options.balances - 初始可用余额 { USDC: 10000, SOL: 0 }
+   * @param {number} [options.makerFeeRate=0.0008] - 挂单手续费率
+   * @param {number} [options.takerFeeRate=0.001] - 吃单手续费率
+   * @param {number} [options.spreadTicks=1] - 盘口价差 (价格步长个数)
+   * @param {number} [options.fillRatio=1] - 挂单每笔价格最多成交的比例
+   * @param {Function} [options.now] - 当前时间 (毫秒)
+   */
+  constructor(options = {}) {
+    this.markets = new Map((options.markets || []).map(market => [market.symbol, market]));
+    this.balances = new Map(Object.entries(options.balances || {})
+      .map(([asset, available]) => [asset, { available: Number(available), locked: 0 }]));
+    this.makerFeeRate = options.makerFeeRate ?? 0.0008;
+    this.takerFeeRate = options.takerFeeRate ?? 0.001;
+    this.spreadTicks = options.spreadTicks ?? 1;
+    this.fillRatio = options.fillRatio ?? 1;
+    this.now = options.now || (() => Date.now());
+
+    this.prices = new Map(); // 交易对 -> 最新价
+    this.ticks = new Map(); // 交易对 -> [{ time, price }]
+    this.orders = new Map(); // 订单ID -> 订单
+    this.fills = [];
+    this.nextOrderId = 1000000;
+    this.nextTradeId = 1;
+
+    // 订单事件回调 (type: orderAccepted / orderFill / orderCancelled / orderExpired)
+    this.onOrderEvent = () => {};
+  }
+
+  /**
+   * 获取交易对，不存在时抛出错误
+   * @param {string} symbol - 交易对
+   * @returns {Object}
+   */
+  getMarket(symbol) {
+    const market = this.markets.get(symbol);
+    if (!market) {
+      throw new MockExchangeError(400, 'INVALID_MARKET', `Market ${symbol} not found`);
+    }
+    return market;
+  }
+
+  /**
+   * 获取币种余额记录 (不存在时创建)
+   * @param {string} asset - 币种
+   * @returns {{available: number, locked: number}}
+   */
+  getBalance(asset) {
+    if (!this.balances.has(asset)) {
+      this.balances.set(asset, { available: 0, locked: 0 });
+    }
+    return this.balances.get(asset);
+  }
+
+  /**
+   * 盘口买一/卖一
+   * @param {string} symbol - 交易对
+   * @returns {{bid: number, ask: number}}
+   */
+  getQuote(symbol) {
+    const market = this.getMarket(symbol);
+    const price = this.prices.get(symbol);
+    if (!price) {
+      throw new MockExchangeError(503, 'SERVICE_UNAVAILABLE', `Market ${symbol} has no price yet`);
+    }
+    const spread = market.tickSize * this.spreadTicks;
+    return {
+      bid: Formatter.floorToStep(price - spread, market.tickSize),
+      ask: Formatter.ceilToStep(price + spread, market.tickSize)
+    };
+  }
+
+  /**
+   * 推进价格并撮合挂单
+   * @param {string} symbol - 交易对
+   * @param {number} price - 最新价
+   */
+  setPrice(symbol, price) {
+    const market = this.getMarket(symbol);
+    const lastPrice = Formatter.roundToStep(price, market.tickSize);
+    this.prices.set(symbol, lastPrice);
+
+    const ticks = this.ticks.get(symbol) || [];
+    ticks.push({ time: this.now(), price: lastPrice });
+    if (ticks.length > MAX_TICKS) {
+      ticks.splice(0, ticks.length - MAX_TICKS);
+    }
+    this.ticks.set(symbol, ticks);
+
+    for (const order of this.getOpenOrders(symbol)) {
+      const touched = order.side === 'Bid' ? lastPrice <= order.price : lastPrice >= order.price;
+      if (!touched) {
+        continue;
+      }
+      const remaining = toAmount(order.quantity - order.executedQuantity);
+      const chunk = this.fillRatio >= 1
+        ? remaining
+        : Math.max(market.stepSize, Formatter.floorToStep(order.quantity * this.fillRatio, market.stepSize));
+      this.fill(order, Math.min(remaining, chunk), order.price, true);
+    }
+  }
+
+  /**
+   * 下单
+   * @param {Object} params - orderExecute 参数 (字符串数值)
+   * @returns {Object} 订单
+   */
+  placeOrder(params) {
+    const market = this.getMarket(params.symbol);
+    const { side, orderType = 'Limit' } = params;
+    if (!['Bid', 'Ask'].includes(side)) {
+      throw new MockExchangeError(400, 'INVALID_ORDER', `Invalid side: ${side}`);
+    }
+    if (!['Limit', 'Market'].includes(orderType)) {
+      throw new MockExchangeError(400, 'INVALID_ORDER', `Invalid orderType: ${orderType}`);
+    }
+
+    let clientId = null;
+    if (params.clientId !== undefined && params.clientId !== null) {
+      clientId = Number(params.clientId);
+      if (!Number.isInteger(clientId) || clientId < 0 || clientId > MAX_CLIENT_ID) {
+        throw new MockExchangeError(400, 'INVALID_CLIENT_REQUEST', `Invalid clientId: ${params.clientId}`);
+      }
+    }
+
+    const quote = this.getQuote(params.symbol);
+    const takerPrice = side === 'Bid' ? quote.ask : quote.bid;
+    const price = orderType === 'Limit' ? this.parsePositive(params.price, 'price') : null;
+    let quantity;
+    if (orderType === 'Market' && params.quantity === undefined) {
+      quantity = Formatter.floorToStep(this.parsePositive(params.quoteQuantity, 'quoteQuantity') / takerPrice, market.stepSize);
+    } else {
+      quantity = this.parsePositive(params.quantity, 'quantity');
+    }
+    this.validateFilters(market, price, quantity, price ?? takerPrice);
+
+    const timeInForce = orderType === 'Limit' ? (params.timeInForce || 'GTC') : 'IOC';
+    const postOnly = params.postOnly === true || params.postOnly === 'true';
+    const crosses = orderType === 'Market' || (side === 'Bid' ? price >= quote.ask : price <= quote.bid);
+    if (postOnly && crosses) {
+      throw new MockExchangeError(400, 'INVALID_ORDER', 'Order would immediately match and take');
+    }
+
+    // 冻结资金: 买入冻结计价币 (限价单按委托价，市价单按对手价)，卖出冻结基础币
+    const lockAsset = side === 'Bid' ? market.quoteSymbol : market.baseSymbol;
+    const lockAmount = side === 'Bid' ? toAmount((price ?? takerPrice) * quantity) : quantity;
+    const balance = this.getBalance(lockAsset);
+    if (balance.available < lockAmount) {
+      throw new MockExchangeError(400, 'INSUFFICIENT_FUNDS', 'Insufficient funds');
+    }
+    balance.available = toAmount(balance.available - lockAmount);
+    balance.locked = toAmount(balance.locked + lockAmount);
+
+    const order = {
+      id: String(this.nextOrderId++),
+      clientId,
+      symbol: params.symbol,
+      side,
+      orderType,
+      timeInForce,
+      postOnly,
+      selfTradePrevention: params.selfTradePrevention || 'RejectTaker',
+      price,
+      lockPrice: price ?? takerPrice,
+      quantity,
+      executedQuantity: 0,
+      executedQuoteQuantity: 0,
+      status: 'New',
+      createdAt: this.now()
+    };
+    this.orders.set(order.id, order);
+    this.trimHistory();
+    this.onOrderEvent('orderAccepted', order, null);
+
+    if (crosses) {
+      // 对手盘无限深: 能成交时全部成交；限价买单价格高于卖一时按卖一成交
+      this.fill(order, quantity, orderType === 'Limit' ? (side === 'Bid' ? Math.min(price, takerPrice) : Math.max(price, takerPrice)) : takerPrice, false);
+    } else if (timeInForce !== 'GTC') {
+      this.finish(order, 'Expired');
+    }
+    return order;
+  }
+
+  /**
+   * 校验价格/数量过滤器
+   * @param {Object} market - 交易对
+   * @param {number|null} price - 委托价 (市价单为null)
+   * @param {number} quantity - 数量
+   * @param {number} notionalPrice - 计算下单金额用的价格
+   */
+  validateFilters(market, price, quantity, notionalPrice) {
+    const onStep = (value, step) => Math.abs(Formatter.roundToStep(value, step) - value) < 1e-9;
+    if (price !== null && !onStep(price, market.tickSize)) {
+      throw new MockExchangeError(400, 'INVALID_PRICE', `Price ${price} does not match tick size ${market.tickSize}`);
+    }
+    if (!onStep(quantity, market.stepSize)) {
+      throw new MockExchangeError(400, 'INVALID_QUANTITY', `Quantity ${quantity} does not match step size ${market.stepSize}`);
+    }
+    if (quantity < market.minQuantity || (market.maxQuantity && quantity > market.maxQuantity)) {
+      throw new MockExchangeError(400, 'INVALID_QUANTITY', `Quantity ${quantity} out of range`);
+    }
+    if (market.minNotional && quantity * notionalPrice < market.minNotional) {
+      throw new MockExchangeError(400, 'INVALID_ORDER', `Order value below minimum notional ${market.minNotional}`);
+    }
+  }
+
+  /**
+   * 解析正数参数
+   * @param {string|number} value - 参数值
+   * @param {string} field - 字段名
+   * @returns {number}
+   */
+  parsePositive(value, field) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) {
+      throw new MockExchangeError(400, 'INVALID_CLIENT_REQUEST', `Invalid ${field}: ${value}`);
+    }
+    return number;
+  }
+
+  /**
+   * 成交
+   * @param {Object} order - 订单
+   * @param {number} quantity - 成交数量
+   * @param {number} price - 成交价
+   * @param {boolean} isMaker - 是否为挂单成交
+   */
+  fill(order, quantity, price, isMaker) {
+    const market = this.getMarket(order.symbol);
+    const quoteQuantity = toAmount(price * quantity);
+    const feeRate = isMaker ? this.makerFeeRate : this.takerFeeRate;
+    const base = this.getBalance(market.baseSymbol);
+    const quote = this.getBalance(market.quoteSymbol);
+    let fee;
+    let feeSymbol;
+
+    if (order.side === 'Bid') {
+      // 按冻结价释放，实际按成交价扣款，差额退回可用
+      const released = toAmount(order.lockPrice * quantity);
+      quote.locked = toAmount(quote.locked - released);
+      quote.available = toAmount(quote.available + released - quoteQuantity);
+      fee = toAmount(quantity * feeRate);
+      feeSymbol = market.baseSymbol;
+      base.available = toAmount(base.available + quantity - fee);
+    } else {
+      base.locked = toAmount(base.locked - quantity);
+      fee = toAmount(quoteQuantity * feeRate);
+      feeSymbol = market.quoteSymbol;
+      quote.available = toAmount(quote.available + quoteQuantity - fee);
+    }
+
+    order.executedQuantity = toAmount(order.executedQuantity + quantity);
+    order.executedQuoteQuantity = toAmount(order.executedQuoteQuantity + quoteQuantity);
+    order.status = order.executedQuantity >= order.quantity ? 'Filled' : 'PartiallyFilled';
+
+    const fill = {
+      tradeId: this.nextTradeId++,
+      orderId: order.id,
+      clientId: order.clientId,
+      symbol: order.symbol,
+      side: order.side,
+      price,
+      quantity,
+      quoteQuantity,
+      fee,
+      feeSymbol,
+      isMaker,
+      timestamp: this.now()
+    };
+    this.fills.push(fill);
+    this.trimHistory();
+    this.onOrderEvent('orderFill', order, fill);
+  }
+
+  /**
+   * 结束订单 (撤单/过期)，释放剩余冻结资金
+   * @param {Object} order - 订单
+   * @param {string} status - Cancelled / Expired
+   */
+  finish(order, status) {
+    const market = this.getMarket(order.symbol);
+    const remaining = toAmount(order.quantity - order.executedQuantity);
+    if (remaining > 0) {
+      const balance = this.getBalance(order.side === 'Bid' ? market.quoteSymbol : market.baseSymbol);
+      const amount = order.side === 'Bid' ? toAmount(order.lockPrice * remaining) : remaining;
+      balance.locked = toAmount(balance.locked - amount);
+      balance.available = toAmount(balance.available + amount);
+    }
+    order.status = status;
+    this.onOrderEvent(status === 'Cancelled' ? 'orderCancelled' : 'orderExpired', order, null);
+  }
+
+  /**
+   * 查找订单
+   * @param {Object} params - { orderId } 或 { clientId }
+   * @returns {Object|null}
+   */
+  findOrder(params) {
+    if (params.orderId !== undefined) {
+      return this.orders.get(String(params.orderId)) || null;
+    }
+    if (params.clientId !== undefined) {
+      // 同一clientId可能被复用，取最新的订单
+      const matches = [...this.orders.values()].filter(order => order.clientId === Number(params.clientId));
+      return matches[matches.length - 1] || null;
+    }
+    throw new MockExchangeError(400, 'INVALID_CLIENT_REQUEST', 'orderId or clientId is required');
+  }
+
+  /**
+   * 撤单
+   * @param {Object} params - { symbol, orderId } 或 { symbol, clientId }
+   * @returns {Object} 撤单后的订单
+   */
+  cancelOrder(params) {
+    const order = this.findOrder(params);
+    if (!order || !this.isOpen(order) || (params.symbol && order.symbol !== params.symbol)) {
+      throw new MockExchangeError(404, 'RESOURCE_NOT_FOUND', 'Order not found');
+    }
+    this.finish(order, 'Cancelled');
+    return order;
+  }
+
+  /**
+   * 撤销交易对的所有挂单
+   * @param {string} symbol - 交易对
+   * @returns {Array<Object>} 撤单后的订单
+   */
+  cancelAll(symbol) {
+    this.getMarket(symbol);
+    const orders = this.getOpenOrders(symbol);
+    orders.forEach(order => this.finish(order, 'Cancelled'));
+    return orders;
+  }
+
+  /**
+   * 订单是否仍在挂单
+   * @param {Object} order - 订单
+   * @returns {boolean}
+   */
+  isOpen(order) {
+    return order.status === 'New' || order.status === 'PartiallyFilled';
+  }
+
+  /**
+   * 挂单列表
+   * @param {string} [symbol] - 交易对 (不传为全部)
+   * @returns {Array<Object>}
+   */
+  getOpenOrders(symbol) {
+    return [...this.orders.values()].filter(order => this.isOpen(order) && (!symbol || order.symbol === symbol));
+  }
+
+  /**
+   * 逐笔价格 (K线用)
+   * @param {string} symbol - 交易对
+   * @returns {Array<{time: number, price: number}>}
+   */
+  getTicks(symbol) {
+    return this.ticks.get(symbol) || [];
+  }
+
+  /**
+   * 订单和成交历史只保留最近 MAX_HISTORY 条 (挂单不会被清除)
+   */
+  trimHistory() {
+    if (this.fills.length > MAX_HISTORY) {
+      this.fills.splice(0, this.fills.length - MAX_HISTORY);
+    }
+    if (this.orders.size > MAX_HISTORY) {
+      for (const [id, order] of this.orders) {
+        if (this.orders.size <= MAX_HISTORY) {
+          break;
+        }
+        if (!this.isOpen(order)) {
+          this.orders.delete(id);
+        }
+      }
+    }
+  }
+}
+
+module.exports = MatchingEngine;
@@ -0,0 +1,27 @@
+/**
+ * 模拟交易所错误 - 按 Backpack 的错误响应格式返回 (HTTP状态码 + { code, message })
+ */
+class MockExchangeError extends Error {
+  /**
+   * 构造函数
+   * @param {number} status - HTTP状态码
+   * @param {string} code - 交易所错误码，如 INVALID_ORDER / INSUFFICIENT_FUNDS / RESOURCE_NOT_FOUND
+   * @param {string} message - 错误信息
+   */
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'MockExchangeError';
+    this.status = status;
+    this.code = code;
+  }
+
+  /**
+   * 错误响应体
+   * @returns {Object}
+   */
+  toResponse() {
+    return { code: this.code, message: this.message };
+  }
+}
+
+module.exports = MockExchangeError;
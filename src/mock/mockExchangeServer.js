@@ -0,0 +1,698 @@
+const http = require('http');
+const crypto = require('crypto');
+const qs = require('qs');
+const WebSocket = require('ws');
+const { instructions, verifyMessageSignature, toSpki } = require('../services/backpackClient');
+const MatchingEngine = require('./matchingEngine');
+const MockExchangeError = require('./mockExchangeError');
+const PriceFeed = require('./priceFeed');
+
+const DEFAULT_WINDOW_MS = 5000;
+const MAX_WINDOW_MS = 60000;
+
+// K线周期对应的秒数
+const KLINE_INTERVAL_SECONDS = {
+  '1m': 60, '3m': 180, '5m': 300, '15m': 900, '30m': 1800,
+  '1h': 3600, '2h': 7200, '4h': 14400, '6h': 21600, '8h': 28800, '12h': 43200,
+  '1d': 86400, '3d': 259200, '1w': 604800
+};
+
+// 毫秒时间戳转为交易所的UTC时间字符串 (不带时区后缀): 成交时间 2025-01-01T00:00:00.000，K线时间 2025-01-01 00:00:00
+const toFillTime = time => new Date(time).toISOString().slice(0, 23);
+const toKlineTime = time => new Date(time).toISOString().slice(0, 19).replace('T', ' ');
+
+/**
+ * 模拟 Backpack 交易所 - 本地集成测试用，同一端口提供 REST 和 WebSocket
+ *
+ * - REST 路由取自 backpackClient 的 instructions 表；私有接口按 getMessageSignature 的方式验证 ED25519 签名和时间窗口
+ * - WebSocket 支持 ticker.<交易对> 和 orderUpdate (account.orderUpdate) 订阅，订单推送字段与 WebSocketManager 解析的一致
+ * - 价格来自脚本 (PriceFeed)，订单由 MatchingEngine 按脚本价格撮合
+ */
+class MockExchangeServer {
+  /**
+   * 构造函数
+   * @param {Object} options - 配置 (格式见 mock_exchange_config.json)
+   * @param {number} [options.port=9090] - 端口
+   * @param {string} [options.host='127.0.0.1'] - 监听地址
+   * @param {string} [options.publicKey] - 只接受该公钥的请求 (不设置时接受任意签名有效的公钥)
+   * @param {number} [options.clockOffsetMs=0] - 服务器时钟相对本机的偏移 (模拟时钟不同步)
+   * @param {number} [options.rateLimitPerSecond=0] - 每秒最多请求数，超过返回429 (0为不限制)
+   * @param {number} [options.orderUpdateDelayMs=0] - 订单推送延迟 (模拟推送晚于REST响应到达)
+   * @param {Object} [options.engine] - 撮合参数 (见 MatchingEngine)
+   * @param {Object<string, number>} [options.balances] - 初始余额
+   * @param {Array<Object>} options.markets - 交易对规则
+   * @param {Array<Object>} options.feeds - 价格脚本 (每个交易对一个)
+   * @param {Object} [options.depth] - 盘口 { levels, quantity }
+   * @param {Object} [logger] - 日志对象
+   */
+  constructor(options = {}, logger = console) {
+    this.options = options;
+    this.logger = logger;
+    this.port = options.port ?? 9090;
+    this.host = options.host || '127.0.0.1';
+    this.clockOffsetMs = options.clockOffsetMs || 0;
+    this.rateLimitPerSecond = options.rateLimitPerSecond || 0;
+    this.orderUpdateDelayMs = options.orderUpdateDelayMs || 0;
+    this.depthLevels = options.depth?.levels ?? 20;
+    this.depthQuantity = options.depth?.quantity ?? 50;
+
+    this.engine = new MatchingEngine({
+      ...options.engine,
+      markets: options.markets,
+      balances: options.balances,
+      now: () => this.now()
+    });
+    this.engine.onOrderEvent = (type, order, fill) => this.publishOrderEvent(type, order, fill);
+
+    this.feeds = (options.feeds || []).map(script => {
+      this.engine.getMarket(script.symbol);
+      return new PriceFeed(script);
+    });
+    if (this.feeds.length === 0) {
+      throw new Error('模拟交易所至少需要一个价格脚本 (feeds)');
+    }
+    this.feeds.forEach(feed => this.engine.setPrice(feed.symbol, feed.price));
+
+    // method + path -> instruction
+    this.routes = new Map();
+    for (const [scope, map] of Object.entries(instructions)) {
+      for (const [instruction, { path, method }] of map) {
+        this.routes.set(`${method} /${path}`, { instruction, isPrivate: scope === 'private' });
+      }
+    }
+
+    this.httpServer = null;
+    this.wsServer = null;
+    this.feedTimers = [];
+    this.requestTimes = [];
+  }
+
+  /**
+   * 服务器当前时间 (含时钟偏移)
+   * @returns {number}
+   */
+  now() {
+    return Date.now() + this.clockOffsetMs;
+  }
+
+  /**
+   * 启动服务并开始推进价格
+   * @returns {Promise<void>}
+   */
+  start() {
+    this.httpServer = http.createServer((req, res) => this.handleHttp(req, res));
+    this.wsServer = new WebSocket.Server({ server: this.httpServer });
+    this.wsServer.on('connection', ws => this.handleConnection(ws));
+
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.port = this.httpServer.address().port;
+        this.feedTimers = this.feeds.map(feed => setInterval(() => this.advanceFeed(feed), feed.intervalMs));
+        this.logger.log(`模拟交易所已启动: REST http://${this.host}:${this.port}/  WebSocket ws://${this.host}:${this.port}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * 停止服务
+   * @returns {Promise<void>}
+   */
+  stop() {
+    this.feedTimers.forEach(timer => clearInterval(timer));
+    this.feedTimers = [];
+    if (!this.httpServer) {
+      return Promise.resolve();
+    }
+
+    this.wsServer.clients.forEach(client => client.terminate());
+    return new Promise(resolve => {
+      this.wsServer.close(() => {
+        this.httpServer.close(() => resolve());
+        this.httpServer.closeAllConnections?.();
+      });
+    });
+  }
+
+  /**
+   * 推进一笔价格，撮合挂单并推送行情
+   * @param {PriceFeed} feed - 价格脚本
+   */
+  advanceFeed(feed) {
+    const wasFinished = feed.finished;
+    this.engine.setPrice(feed.symbol, feed.next());
+    if (feed.finished && !wasFinished) {
+      this.logger.log(`价格脚本 ${feed.symbol} 已走完，价格停在 ${feed.price}`);
+    }
+    this.broadcast(`ticker.${feed.symbol}`, this.tickerEvent(feed.symbol));
+  }
+
+  /**
+   * 手动设置价格 (集成测试脚本用)，撮合挂单并推送行情；价格脚本的下一笔会覆盖该价格
+   * @param {string} symbol - 交易对
+   * @param {number} price - 价格
+   */
+  setPrice(symbol, price) {
+    this.engine.setPrice(symbol, price);
+    this.broadcast(`ticker.${symbol}`, this.tickerEvent(symbol));
+  }
+
+  /**
+   * 处理REST请求
+   * @param {http.IncomingMessage} req - 请求
+   * @param {http.ServerResponse} res - 响应
+   */
+  handleHttp(req, res) {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      try {
+        const [pathname, query = ''] = req.url.split('?');
+        const route = this.routes.get(`${req.method} ${pathname.replace(/\/+$/, '')}`);
+        if (!route) {
+          throw new MockExchangeError(404, 'NOT_FOUND', `No route for ${req.method} ${pathname}`);
+        }
+        this.checkRateLimit();
+
+        const params = req.method === 'GET' ? qs.parse(query) : (body ? JSON.parse(body) : {});
+        if (route.isPrivate) {
+          this.authenticate(req.headers, params, route.instruction);
+        }
+
+        const result = this.handle(route.instruction, params);
+        if (typeof result === 'string') {
+          this.send(res, 200, result, 'text/plain');
+        } else {
+          this.send(res, 200, JSON.stringify(result), 'application/json');
+        }
+      } catch (error) {
+        const apiError = error instanceof MockExchangeError
+          ? error
+          : new MockExchangeError(error instanceof SyntaxError ? 400 : 500,
+            error instanceof SyntaxError ? 'INVALID_CLIENT_REQUEST' : 'INTERNAL_ERROR', error.message);
+        if (apiError.status !== 429) {
+          this.logger.log(`请求被拒绝: ${req.method} ${req.url} ${apiError.status} ${apiError.code} ${apiError.message}`);
+        }
+        this.send(res, apiError.status, JSON.stringify(apiError.toResponse()), 'application/json');
+      }
+    });
+  }
+
+  /**
+   * 发送响应
+   * @param {http.ServerResponse} res - 响应
+   * @param {number} status - 状态码
+   * @param {string} body - 响应体
+   * @param {string} contentType - 内容类型
+   */
+  send(res, status, body, contentType) {
+    res.writeHead(status, {
+      'Content-Type': `${contentType}; charset=utf-8`,
+      'X-Request-Id': crypto.randomUUID()
+    });
+    res.end(body);
+  }
+
+  /**
+   * 请求频率限制
+   */
+  checkRateLimit() {
+    if (!this.rateLimitPerSecond) {
+      return;
+    }
+    const now = Date.now();
+    this.requestTimes = this.requestTimes.filter(time => now - time < 1000);
+    if (this.requestTimes.length >= this.rateLimitPerSecond) {
+      throw new MockExchangeError(429, 'TOO_MANY_REQUESTS', 'Rate limit exceeded');
+    }
+    this.requestTimes.push(now);
+  }
+
+  /**
+   * 验证私有接口的签名和时间窗口
+   * @param {Object} headers - 请求头
+   * @param {Object} params - 请求参数
+   * @param {string} instruction - 指令
+   */
+  authenticate(headers, params, instruction) {
+    const publicKey = headers['x-api-key'];
+    const signature = headers['x-signature'];
+    const timestamp = Number(headers['x-timestamp']);
+    const window = headers['x-window'] === undefined ? DEFAULT_WINDOW_MS : Number(headers['x-window']);
+    if (!publicKey || !signature || !timestamp) {
+      throw new MockExchangeError(401, 'UNAUTHORIZED', 'Missing authentication headers');
+    }
+    if (this.options.publicKey && publicKey !== this.options.publicKey) {
+      throw new MockExchangeError(401, 'UNAUTHORIZED', 'Unknown API key');
+    }
+    this.checkWindow(timestamp, window);
+    if (!verifyMessageSignature(params, publicKey, signature, headers['x-timestamp'], instruction, headers['x-window'])) {
+      throw new MockExchangeError(401, 'UNAUTHORIZED', 'Invalid signature');
+    }
+  }
+
+  /**
+   * 检查请求时间戳是否在有效窗口内
+   * @param {number} timestamp - 请求时间戳
+   * @param {number} window - 有效窗口
+   */
+  checkWindow(timestamp, window) {
+    if (!(window > 0) || window > MAX_WINDOW_MS) {
+      throw new MockExchangeError(400, 'INVALID_CLIENT_REQUEST', `Invalid window: ${window}`);
+    }
+    const now = this.now();
+    if (now > timestamp + window) {
+      throw new MockExchangeError(400, 'INVALID_CLIENT_REQUEST', 'Request has expired');
+    }
+    if (timestamp > now + window) {
+      throw new MockExchangeError(400, 'INVALID_CLIENT_REQUEST', 'Request timestamp is in the future');
+    }
+  }
+
+  /**
+   * 执行指令
+   * @param {string} instruction - 指令
+   * @param {Object} params - 参数
+   * @returns {Object|Array|string} 响应
+   */
+  handle(instruction, params) {
+    const engine = this.engine;
+    const page = list => list.slice(Number(params.offset) || 0, (Number(params.offset) || 0) + (Number(params.limit) || 100));
+
+    switch (instruction) {
+      case 'assets':
+        return [...new Set([...engine.markets.values()].flatMap(market => [market.baseSymbol, market.quoteSymbol]))]
+          .map(symbol => ({ symbol, tokens: [] }));
+      case 'markets':
+        return [...engine.markets.values()].map(market => this.serializeMarket(market));
+      case 'ticker':
+        return this.ticker(engine.getMarket(params.symbol).symbol);
+      case 'depth':
+        return this.depth(engine.getMarket(params.symbol).symbol);
+      case 'klines':
+        return this.klines(params);
+      case 'status':
+        return { status: 'Ok', message: null };
+      case 'ping':
+        return 'pong';
+      case 'time':
+        return String(this.now());
+      case 'trades':
+      case 'tradesHistory':
+        return page(engine.fills.filter(fill => fill.symbol === params.symbol).reverse()).map(fill => ({
+          id: fill.tradeId,
+          price: String(fill.price),
+          quantity: String(fill.quantity),
+          quoteQuantity: String(fill.quoteQuantity),
+          timestamp: fill.timestamp,
+          isBuyerMaker: fill.side === 'Bid' && fill.isMaker
+        }));
+      case 'balanceQuery':
+        return Object.fromEntries([...engine.balances].map(([asset, balance]) => [asset, {
+          available: String(balance.available),
+          locked: String(balance.locked),
+          staked: '0'
+        }]));
+      case 'depositAddressQuery':
+        return { address: 'mock-deposit-address' };
+      case 'depositQueryAll':
+      case 'withdrawalQueryAll':
+        return [];
+      case 'withdraw':
+        throw new MockExchangeError(400, 'INVALID_CLIENT_REQUEST', 'Withdrawals are not supported by the mock exchange');
+      case 'fillHistoryQueryAll':
+        return page(engine.fills.filter(fill => !params.symbol || fill.symbol === params.symbol).reverse())
+          .map(fill => this.serializeFill(fill));
+      case 'orderExecute':
+        return this.serializeOrder(engine.placeOrder(params));
+      case 'orderQuery': {
+        const order = engine.findOrder(params);
+        if (!order || (params.symbol && order.symbol !== params.symbol)) {
+          throw new MockExchangeError(404, 'RESOURCE_NOT_FOUND', 'Order not found');
+        }
+        return this.serializeOrder(order);
+      }
+      case 'orderQueryAll':
+        return engine.getOpenOrders(params.symbol).map(order => this.serializeOrder(order));
+      case 'orderCancel':
+        return this.serializeOrder(engine.cancelOrder(params));
+      case 'orderCancelAll':
+        return engine.cancelAll(params.symbol).map(order => this.serializeOrder(order));
+      case 'orderHistoryQueryAll':
+        return page([...engine.orders.values()].filter(order => !params.symbol || order.symbol === params.symbol).reverse())
+          .map(order => this.serializeOrder(order));
+      default:
+        throw new MockExchangeError(404, 'NOT_FOUND', `Instruction ${instruction} is not supported`);
+    }
+  }
+
+  /**
+   * 24小时行情
+   * @param {string} symbol - 交易对
+   * @returns {Object}
+   */
+  ticker(symbol) {
+    const since = this.now() - 86400000;
+    const ticks = this.engine.getTicks(symbol).filter(tick => tick.time >= since);
+    const prices = ticks.map(tick => tick.price);
+    const fills = this.engine.fills.filter(fill => fill.symbol === symbol && fill.timestamp >= since);
+    const firstPrice = prices[0];
+    const lastPrice = this.engine.prices.get(symbol);
+    return {
+      symbol,
+      firstPrice: String(firstPrice),
+      lastPrice: String(lastPrice),
+      priceChange: String(Number((lastPrice - firstPrice).toFixed(10))),
+      priceChangePercent: String(Number(((lastPrice - firstPrice) / firstPrice).toFixed(6))),
+      high: String(Math.max(...prices)),
+      low: String(Math.min(...prices)),
+      volume: String(fills.reduce((sum, fill) => sum + fill.quantity, 0)),
+      quoteVolume: String(fills.reduce((sum, fill) => sum + fill.quoteQuantity, 0)),
+      trades: String(fills.length)
+    };
+  }
+
+  /**
+   * WebSocket行情推送
+   * @param {string} symbol - 交易对
+   * @returns {Object}
+   */
+  tickerEvent(symbol) {
+    const ticker = this.ticker(symbol);
+    return {
+      e: 'ticker',
+      E: this.now() * 1000,
+      s: symbol,
+      o: ticker.firstPrice,
+      c: ticker.lastPrice,
+      h: ticker.high,
+      l: ticker.low,
+      v: ticker.volume,
+      V: ticker.quoteVolume,
+      n: Number(ticker.trades)
+    };
+  }
+
+  /**
+   * 盘口 - 以买一/卖一为起点按价格步长铺开固定数量
+   * @param {string} symbol - 交易对
+   * @returns {Object}
+   */
+  depth(symbol) {
+    const market = this.engine.getMarket(symbol);
+    const { bid, ask } = this.engine.getQuote(symbol);
+    const levels = (start, direction) => Array.from({ length: this.depthLevels }, (_, i) => [
+      String(Number((start + direction * i * market.tickSize).toFixed(10))),
+      String(this.depthQuantity)
+    ]).filter(([price]) => Number(price) > 0);
+    return {
+      asks: levels(ask, 1),
+      bids: levels(bid, -1).reverse(),
+      lastUpdateId: String(this.engine.getTicks(symbol).length),
+      timestamp: this.now()
+    };
+  }
+
+  /**
+   * K线 - 由脚本价格逐笔聚合 (只包含服务启动后的价格)
+   * @param {Object} params - { symbol, interval, startTime, endTime } (秒)
+   * @returns {Array<Object>}
+   */
+  klines(params) {
+    const symbol = this.engine.getMarket(params.symbol).symbol;
+    const intervalMs = (KLINE_INTERVAL_SECONDS[params.interval] || 0) * 1000;
+    if (!intervalMs) {
+      throw new MockExchangeError(400, 'INVALID_CLIENT_REQUEST', `Invalid interval: ${params.interval}`);
+    }
+    const startTime = Number(params.startTime) * 1000 || 0;
+    const endTime = Number(params.endTime) * 1000 || this.now();
+
+    const candles = new Map();
+    for (const { time, price } of this.engine.getTicks(symbol)) {
+      if (time < startTime || time > endTime) {
+        continue;
+      }
+      const start = Math.floor(time / intervalMs) * intervalMs;
+      const candle = candles.get(start);
+      if (candle) {
+        candle.high = Math.max(candle.high, price);
+        candle.low = Math.min(candle.low, price);
+        candle.close = price;
+      } else {
+        candles.set(start, { start, open: price, high: price, low: price, close: price });
+      }
+    }
+
+    return [...candles.values()].map(candle => ({
+      start: toKlineTime(candle.start),
+      end: toKlineTime(candle.start + intervalMs),
+      open: String(candle.open),
+      high: String(candle.high),
+      low: String(candle.low),
+      close: String(candle.close),
+      volume: '0',
+      quoteVolume: '0',
+      trades: '0'
+    }));
+  }
+
+  /**
+   * 交易对规则 (Markets 接口格式)
+   * @param {Object} market - 交易对
+   * @returns {Object}
+   */
+  serializeMarket(market) {
+    const filters = {
+      price: { tickSize: String(market.tickSize), minPrice: String(market.tickSize), maxPrice: null },
+      quantity: {
+        stepSize: String(market.stepSize),
+        minQuantity: String(market.minQuantity),
+        maxQuantity: market.maxQuantity ? String(market.maxQuantity) : null
+      }
+    };
+    if (market.minNotional) {
+      filters.notional = { minNotional: String(market.minNotional) };
+    }
+    return {
+      symbol: market.symbol,
+      baseSymbol: market.baseSymbol,
+      quoteSymbol: market.quoteSymbol,
+      marketType: 'SPOT',
+      orderBookState: 'Open',
+      filters
+    };
+  }
+
+  /**
+   * 订单 (REST响应格式)
+   * @param {Object} order - 订单
+   * @returns {Object}
+   */
+  serializeOrder(order) {
+    const result = {
+      id: order.id,
+      createdAt: order.createdAt,
+      executedQuantity: String(order.executedQuantity),
+      executedQuoteQuantity: String(order.executedQuoteQuantity),
+      orderType: order.orderType,
+      postOnly: order.postOnly,
+      price: order.price === null ? null : String(order.price),
+      quantity: String(order.quantity),
+      selfTradePrevention: order.selfTradePrevention,
+      side: order.side,
+      status: order.status,
+      symbol: order.symbol,
+      timeInForce: order.timeInForce
+    };
+    if (order.clientId !== null) {
+      result.clientId = order.clientId;
+    }
+    return result;
+  }
+
+  /**
+   * 成交 (成交历史格式，时间为不带时区后缀的UTC字符串)
+   * @param {Object} fill - 成交
+   * @returns {Object}
+   */
+  serializeFill(fill) {
+    const result = {
+      tradeId: fill.tradeId,
+      orderId: fill.orderId,
+      symbol: fill.symbol,
+      side: fill.side,
+      price: String(fill.price),
+      quantity: String(fill.quantity),
+      fee: String(fill.fee),
+      feeSymbol: fill.feeSymbol,
+      isMaker: fill.isMaker,
+      timestamp: toFillTime(fill.timestamp)
+    };
+    if (fill.clientId !== null) {
+      result.clientId = fill.clientId;
+    }
+    return result;
+  }
+
+  /**
+   * 处理WebSocket连接
+   * @param {WebSocket} ws - 连接
+   */
+  handleConnection(ws) {
+    ws.subscriptions = new Set();
+    ws.on('message', data => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        ws.send(JSON.stringify({ error: { code: 4000, message: 'Invalid JSON' } }));
+        return;
+      }
+
+      if (message.op === 'ping' || message.method === 'PING') {
+        ws.send(JSON.stringify({ result: 'PONG', id: message.id ?? null }));
+        return;
+      }
+      if (message.method === 'UNSUBSCRIBE' && Array.isArray(message.params)) {
+        message.params.forEach(stream => ws.subscriptions.delete(stream));
+        ws.send(JSON.stringify({ result: null, id: message.id ?? null }));
+        return;
+      }
+      if (message.method !== 'SUBSCRIBE' || !Array.isArray(message.params)) {
+        ws.send(JSON.stringify({ error: { code: 4002, message: 'Unsupported request' }, id: message.id ?? null }));
+        return;
+      }
+
+      try {
+        for (const stream of message.params) {
+          if (stream === 'orderUpdate' || stream.startsWith('account.orderUpdate')) {
+            this.authenticateSubscription(message);
+          } else if (!stream.startsWith('ticker.') || !this.engine.markets.has(stream.slice(7))) {
+            throw new MockExchangeError(400, 'INVALID_CLIENT_REQUEST', `Unsupported stream: ${stream}`);
+          }
+        }
+      } catch (error) {
+        ws.send(JSON.stringify({ error: { code: 4001, message: error.message }, id: message.id ?? null }));
+        return;
+      }
+
+      message.params.forEach(stream => ws.subscriptions.add(stream));
+      ws.send(JSON.stringify({ result: null, id: message.id ?? null }));
+      // 订阅行情后立即推送一次当前价格
+      message.params.filter(stream => stream.startsWith('ticker.'))
+        .forEach(stream => ws.send(JSON.stringify({ stream, data: this.tickerEvent(stream.slice(7)) })));
+    });
+  }
+
+  /**
+   * 验证私有流订阅签名
+   * 支持 Backpack 格式 signature: [公钥, 签名, 时间戳, 窗口] 和 WebSocketManager 的 { publicKey, signature, timestamp, window } 字段
+   * 签名内容为 instruction=subscribe&timestamp=...(&window=...)
+   * @param {Object} message - 订阅消息
+   */
+  authenticateSubscription(message) {
+    const [publicKey, signature, timestamp, window] = Array.isArray(message.signature)
+      ? message.signature
+      : [message.publicKey, message.signature, message.timestamp, message.window];
+    if (!publicKey || !signature || !timestamp) {
+      throw new MockExchangeError(401, 'UNAUTHORIZED', 'Private stream requires signature');
+    }
+    if (this.options.publicKey && publicKey !== this.options.publicKey) {
+      throw new MockExchangeError(401, 'UNAUTHORIZED', 'Unknown API key');
+    }
+    this.checkWindow(Number(timestamp), window === undefined ? DEFAULT_WINDOW_MS : Number(window));
+
+    const signed = `instruction=subscribe&timestamp=${timestamp}${window === undefined ? '' : `&window=${window}`}`;
+    let valid = false;
+    try {
+      valid = crypto.verify(null, Buffer.from(signed), toSpki(publicKey), Buffer.from(signature, 'base64'));
+    } catch (error) {
+      valid = false;
+    }
+    if (!valid) {
+      throw new MockExchangeError(401, 'UNAUTHORIZED', 'Invalid signature');
+    }
+  }
+
+  /**
+   * 推送到订阅了指定流的连接
+   * @param {string|Function} stream - 流名称，或按流名称判断的函数
+   * @param {Object} data - 推送数据
+   */
+  broadcast(stream, data) {
+    const matches = typeof stream === 'function' ? stream : name => name === stream;
+    for (const client of this.wsServer?.clients || []) {
+      if (client.readyState !== WebSocket.OPEN) {
+        continue;
+      }
+      for (const name of client.subscriptions) {
+        if (matches(name)) {
+          client.send(JSON.stringify({ stream: name, data }));
+        }
+      }
+    }
+  }
+
+  /**
+   * 订单事件推送 (executionReport 字段)
+   * @param {string} type - orderAccepted / orderFill / orderCancelled / orderExpired
+   * @param {Object} order - 订单
+   * @param {Object|null} fill - 本次成交
+   */
+  publishOrderEvent(type, order, fill) {
+    const data = {
+      e: type,
+      E: this.now() * 1000,
+      s: order.symbol,
+      S: order.side,
+      o: order.orderType,
+      f: order.timeInForce,
+      q: String(order.quantity),
+      p: order.price === null ? undefined : String(order.price),
+      X: order.status,
+      i: order.id,
+      z: String(order.executedQuantity),
+      Z: String(order.executedQuoteQuantity),
+      T: this.now() * 1000
+    };
+    if (order.clientId !== null) {
+      data.c = order.clientId;
+    }
+    if (fill) {
+      Object.assign(data, {
+        l: String(fill.quantity),
+        L: String(fill.price),
+        t: fill.tradeId,
+        n: String(fill.fee),
+        N: fill.feeSymbol,
+        m: fill.isMaker
+      });
+    }
+
+    this.logger.log(`订单${order.id} ${order.side} ${order.symbol} ${type} ${order.status}` +
+      `${fill ? ` 成交 ${fill.quantity} @ ${fill.price}` : ''}`);
+    const publish = () => this.broadcast(name => name === 'orderUpdate' || name === 'account.orderUpdate' || name === `account.orderUpdate.${order.symbol}`, data);
+    if (this.orderUpdateDelayMs > 0) {
+      setTimeout(publish, this.orderUpdateDelayMs);
+    } else {
+      publish();
+    }
+  }
+
+  /**
+   * 生成一对 ED25519 密钥 (base64，与 BackpackClient 使用的格式相同)
+   * @returns {{privateKey: string, publicKey: string}}
+   */
+  static generateKeyPair() {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    return {
+      privateKey: privateKey.export({ format: 'der', type: 'pkcs8' }).subarray(-32).toString('base64'),
+      publicKey: publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('base64')
+    };
+  }
+}
+
+module.exports = MockExchangeServer;
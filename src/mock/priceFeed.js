@@ -0,0 +1,84 @@
+/**
+ * 脚本化价格源 - 模拟交易所按脚本逐笔推进价格
+ *
+ * 脚本格式:
+ * {
+ *   "symbol": "SOL_USDC",
+ *   "intervalMs": 1000,        // 每笔价格间隔
+ *   "loop": false,             // 脚本结束后是否从头循环 (否则停在最后一个价格)
+ *   "points": [                // 价格路径，相邻两点之间按笔数线性插值
+ *     { "price": 200 },
+ *     { "price": 194, "ticks": 60 },
+ *     { "price": 201, "ticks": 120 }
+ *   ]
+ * }
+ */
+class PriceFeed {
+  /**
+   * 构造函数
+   * @param {Object} script - 价格脚本
+   */
+  constructor(script) {
+    const points = Array.isArray(script?.points) ? script.points : [];
+    if (points.length === 0 || points.some(point => !(point.price > 0))) {
+      throw new Error(`价格脚本 ${script?.symbol} 必须包含至少一个价格大于0的点`);
+    }
+    if (points.slice(1).some(point => !(Number.isInteger(point.ticks) && point.ticks >= 1))) {
+      throw new Error(`价格脚本 ${script.symbol} 第二个点起必须指定ticks (正整数)`);
+    }
+
+    this.symbol = script.symbol;
+    this.intervalMs = script.intervalMs || 1000;
+    this.loop = Boolean(script.loop);
+    this.prices = PriceFeed.expand(points);
+    this.index = 0;
+  }
+
+  /**
+   * 把价格路径展开为逐笔价格
+   * @param {Array<Object>} points - 价格路径
+   * @returns {Array<number>}
+   */
+  static expand(points) {
+    const prices = [points[0].price];
+    for (let i = 1; i < points.length; i++) {
+      const from = points[i - 1].price;
+      const to = points[i].price;
+      for (let tick = 1; tick <= points[i].ticks; tick++) {
+        prices.push(from + (to - from) * tick / points[i].ticks);
+      }
+    }
+    return prices;
+  }
+
+  /**
+   * 当前价格
+   * @returns {number}
+   */
+  get price() {
+    return this.prices[this.index];
+  }
+
+  /**
+   * 脚本是否已走完 (循环脚本永远不会结束)
+   * @returns {boolean}
+   */
+  get finished() {
+    return !this.loop && this.index >= this.prices.length - 1;
+  }
+
+  /**
+   * 推进一笔价格
+   * @returns {number} 新价格
+   */
+  next() {
+    if (this.index < this.prices.length - 1) {
+      this.index++;
+    } else if (this.loop) {
+      this.index = 0;
+    }
+    return this.price;
+  }
+}
+
+module.exports = PriceFeed;
@@ -13,6 +13,7 @@ class WebSocketManager {
    * @param {Object} options.logger - 日志记录器
    * @param {Function} options.onMessage - 消息处理回调
    * @param {Function} options.onPrice - 价格更新回调
+   * @param {Object} options.clock - 服务器时钟 (ClockSync，与REST签名共用)，未提供时使用本机时间
    */
   constructor(options = {}) {
     // 优先使用配置中的WebSocket URL，然后是选项中的URL，最后使用默认值
@@ -38,6 +39,12 @@ class WebSocketManager {
     this.privateKey = options.config?.api?.privateKey;
     this.publicKey = options.config?.api?.publicKey;
     
+    // 🔑 签名时间戳按服务器时间校正，窗口与REST请求一致
+    this.clock = options.clock || null;
+    this.signatureWindow = options.config?.api?.windowMs ?? 5000;
+    this.orderSubscriptionId = null;
+    this.orderSubscriptionResynced = false;
+    
     // 验证和记录回调函数设置情况
     if (typeof this.onPriceUpdate === 'function') {
       this.logger.log('WebSocketManager: onPriceUpdate回调已设置');
@@ -46,6 +53,7 @@ class WebSocketManager {
     }
     
     // 价格更新控制
+    this.previousPrices = new Map(); // 交易对 -> 上一次价格
     this.lastLoggedPrice = null;
     this.lastLogTime = 0;
     this.logThrottleMs = 5000; // 每5秒最多记录一次价格
@@ -71,9 +79,11 @@ class WebSocketManager {
   
   /**
    * 设置价格WebSocket连接
-   * @param {string} symbol - 交易对符号
+   * @param {string|Array<string>} symbol - 交易对符号，多策略共享连接时可传入多个
    */
   setupPriceWebSocket(symbol) {
+    const symbols = Array.isArray(symbol) ? symbol : [symbol];
+    
     // 关闭现有连接
     if (this.ws) {
       this.closeWebSocket();
@@ -91,7 +101,7 @@ class WebSocketManager {
         this.logger.log('WebSocket连接已建立');
         
         // 订阅行情频道
-        this.subscribeTicker(symbol);
+        symbols.forEach(tickerSymbol => this.subscribeTicker(tickerSymbol));
         
         // 🔑 订阅私有订单更新（如果有API密钥）
         if (this.privateKey && this.publicKey) {
@@ -132,8 +142,17 @@ class WebSocketManager {
             return;
           }
           
+          // 🔑 私有订阅被拒绝
+          if (message.error && message.id && message.id === this.orderSubscriptionId) {
+            this.handleOrderSubscriptionError(message.error);
+            return;
+          }
+          
           // 处理订阅成功响应
           if (message.result === null && message.id) {
+            if (message.id === this.orderSubscriptionId) {
+              this.orderSubscriptionResynced = false;
+            }
             this.logger.log(`订阅确认: ID=${message.id}`);
             return;
           }
@@ -163,7 +182,7 @@ class WebSocketManager {
             (message.data && message.data.s && message.data.c)  // 嵌套格式
           ) {
             // 不记录每个价格消息，直接处理
-            this.processPriceData(message, symbol, now);
+            this.processPriceData(message, symbols, now);
           } else {
             // 记录未识别的消息类型，极低频率
             if (Math.random() < 0.01 && this.debugMode) {
@@ -233,9 +252,19 @@ class WebSocketManager {
         const price = orderData.p || orderData.price;
         const quantity = orderData.q || orderData.quantity;
         const filledQuantity = orderData.z || orderData.filledQuantity || orderData.executedQty;
+        // 🔑 累计成交额及本次成交明细（用于部分成交的增量计算）
+        const executedQuoteQuantity = orderData.Z || orderData.executedQuoteQuantity;
+        const lastFillQuantity = orderData.l || orderData.lastFillQuantity;
+        const lastFillPrice = orderData.L || orderData.lastFillPrice;
+        const tradeId = orderData.t || orderData.tradeId;
+        // 🔑 本次成交手续费及手续费币种
+        const fee = orderData.n || orderData.fee;
+        const feeSymbol = orderData.N || orderData.feeSymbol;
+        // 🔑 clientId用于判断订单归属 (本程序命名空间 / 手动下单)
+        const clientId = orderData.c ?? orderData.clientId;
         
         // 只记录重要状态变化
-        if (status === 'FILLED' || status === 'PARTIALLY_FILLED' || status === 'CANCELED') {
+        if (['FILLED', 'PARTIALLY_FILLED', 'CANCELED', 'Filled', 'PartiallyFilled', 'Cancelled'].includes(status)) {
           this.logger.log(`🔄 订单状态更新: ${orderId} ${side} ${status} ${symbol} 价格:${price} 数量:${quantity} 成交:${filledQuantity}`);
         }
         
@@ -249,6 +278,13 @@ class WebSocketManager {
             price: parseFloat(price) || 0,
             quantity: parseFloat(quantity) || 0,
             filledQuantity: parseFloat(filledQuantity) || 0,
+            executedQuoteQuantity: parseFloat(executedQuoteQuantity) || 0,
+            lastFillQuantity: parseFloat(lastFillQuantity) || 0,
+            lastFillPrice: parseFloat(lastFillPrice) || 0,
+            tradeId,
+            fee: parseFloat(fee) || 0,
+            feeSymbol: feeSymbol || null,
+            clientId: clientId ?? null,
             rawData: orderData
           });
         }
@@ -301,10 +337,10 @@ class WebSocketManager {
   /**
    * 处理价格数据
    * @param {Object} data - 价格数据
-   * @param {string} symbol - 交易对符号
+   * @param {Array<string>} symbols - 已订阅的交易对符号
    * @param {Date} now - 当前时间
    */
-  processPriceData(data, symbol, now) {
+  processPriceData(data, symbols, now) {
     try {
       // 极低频率记录原始数据以便调试
       if (Math.random() < this.priceSampleRate && this.debugMode) {
@@ -360,14 +396,17 @@ class WebSocketManager {
         // 不再每次都记录成功提取的数据
         
         // 标准化符号格式
-        const normalizedSymbol = symbol.replace('-', '_').toUpperCase();
         const normalizedTickerSymbol = tickerSymbol.replace('-', '_').toUpperCase();
         
         // 确认交易对匹配
-        if (normalizedTickerSymbol.includes(normalizedSymbol) || normalizedSymbol.includes(normalizedTickerSymbol)) {
+        const symbol = symbols.find(subscribed => {
+          const normalizedSymbol = subscribed.replace('-', '_').toUpperCase();
+          return normalizedTickerSymbol.includes(normalizedSymbol) || normalizedSymbol.includes(normalizedTickerSymbol);
+        });
+        if (symbol) {
           this.handlePriceUpdate(tickerSymbol, lastPrice, symbol, now);
         } else if (this.debugMode) {
-          this.logger.logToFile(`交易对不匹配: 收到=${normalizedTickerSymbol}, 订阅=${normalizedSymbol}`);
+          this.logger.logToFile(`交易对不匹配: 收到=${normalizedTickerSymbol}, 订阅=${symbols.join(',')}`);
         }
       } else if (this.debugMode) {
         this.logger.logToFile(`提取的价格数据无效: 交易对=${tickerSymbol}, 价格=${lastPrice}`);
@@ -381,9 +420,10 @@ class WebSocketManager {
    * 🔑 创建认证签名用于私有WebSocket订阅
    * @param {string} timestamp - 时间戳
    * @param {string} instruction - 指令字符串
+   * @param {number} window - 签名有效窗口(毫秒)
    * @returns {string} 签名
    */
-  createSignature(timestamp, instruction) {
+  createSignature(timestamp, instruction, window = this.signatureWindow) {
     if (!this.privateKey) {
       throw new Error('私钥未设置，无法创建认证签名');
     }
@@ -396,7 +436,7 @@ class WebSocketManager {
       const privateKeyObj = crypto.createPrivateKey({ key: der, format: "der", type: "pkcs8" });
       
       // 创建签名数据
-      const signData = `instruction=${instruction}&timestamp=${timestamp}`;
+      const signData = `instruction=${instruction}&timestamp=${timestamp}&window=${window}`;
       const signature = crypto.sign(null, Buffer.from(signData), privateKeyObj);
       
       return Buffer.from(signature).toString('base64');
@@ -421,9 +461,10 @@ class WebSocketManager {
     }
     
     try {
-      const timestamp = Date.now().toString();
+      const timestamp = (this.clock ? this.clock.now() : Date.now()).toString();
       const instruction = 'subscribe';
-      const signature = this.createSignature(timestamp, instruction);
+      const window = this.signatureWindow;
+      const signature = this.createSignature(timestamp, instruction, window);
       
       const subscribeMsg = {
         method: "SUBSCRIBE",
@@ -431,10 +472,12 @@ class WebSocketManager {
         id: Date.now(),
         signature: signature,
         timestamp: timestamp,
+        window: window,
         instruction: instruction,
         publicKey: this.publicKey
       };
       
+      this.orderSubscriptionId = subscribeMsg.id;
       this.ws.send(JSON.stringify(subscribeMsg));
       this.logger.log('已订阅私有订单更新流');
       
@@ -445,6 +488,24 @@ class WebSocketManager {
     }
   }
   
+  /**
+   * 🔑 私有订阅被拒绝 - 时间戳过期时重新同步服务器时间后重试一次
+   * @param {Object} error - 错误 { code, message }
+   */
+  handleOrderSubscriptionError(error) {
+    const reason = error?.message || JSON.stringify(error);
+    this.logger.log(`订阅订单更新被拒绝: ${reason}`, true);
+    
+    if (!this.clock || this.orderSubscriptionResynced || !/expired|in the future/i.test(reason)) {
+      return;
+    }
+    
+    this.orderSubscriptionResynced = true;
+    this.clock.sync()
+      .then(() => this.subscribeOrderUpdates())
+      .catch(syncError => this.logger.log(`重新同步服务器时间失败: ${syncError.message}`, true));
+  }
+  
   /**
    * 订阅行情频道
    * @param {string} symbol - 交易对符号
@@ -622,19 +683,20 @@ class WebSocketManager {
       }
       
       // 显著价格变化或首次接收价格数据时在终端显示
-      // 提高显著变化阈值，减少输出频率
-      const hasSignificantChange = this.previousPrice && 
-        Math.abs(lastPrice - this.previousPrice) / this.previousPrice > 0.005; // 0.5%的变化
+      // 提高显著变化阈值，减少输出频率 (按交易对分别比较)
+      const previousPrice = this.previousPrices.get(tickerSymbol);
+      const hasSignificantChange = previousPrice && 
+        Math.abs(lastPrice - previousPrice) / previousPrice > 0.005; // 0.5%的变化
       
-      if (hasSignificantChange || !this.previousPrice) {
+      if (hasSignificantChange || !previousPrice) {
         // 只在首次接收或有明显变化时在终端显示
-        if (!this.previousPrice) {
-          this.logger.log(`首次接收价格数据: ${lastPrice} USDC`);
+        if (!previousPrice) {
+          this.logger.log(`首次接收价格数据: ${tickerSymbol} ${lastPrice} USDC`);
         } else if (hasSignificantChange) {
-          const changePercent = ((lastPrice - this.previousPrice) / this.previousPrice) * 100;
+          const changePercent = ((lastPrice - previousPrice) / previousPrice) * 100;
           // 只有大于0.5%的变化才显示
           if (Math.abs(changePercent) > 0.5) {
-            this.logger.log(`价格变动: ${lastPrice} USDC (${changePercent > 0 ? '+' : ''}${changePercent.toFixed(2)}%)`);
+            this.logger.log(`价格变动: ${tickerSymbol} ${lastPrice} USDC (${changePercent > 0 ? '+' : ''}${changePercent.toFixed(2)}%)`);
           }
         }
       } else if (Math.random() < 0.001) { 
@@ -650,7 +712,7 @@ class WebSocketManager {
         time: now
       };
       
-      this.previousPrice = lastPrice;
+      this.previousPrices.set(tickerSymbol, lastPrice);
       
       // 通知外部回调 - 不再记录每次调用
       if (typeof this.onPriceUpdate === 'function') {
@@ -712,7 +774,7 @@ class WebSocketManager {
     // 重置状态
     this.connectionActive = false;
     this.lastPriceData = null;
-    this.previousPrice = null;
+    this.previousPrices.clear();
     
     this.logger.log('所有WebSocket连接已关闭并清理完成');
   }
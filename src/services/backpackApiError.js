@@ -0,0 +1,82 @@
+/**
+ * Backpack API 错误 - rawRequest 抛出的所有错误都是该类型
+ * 调用方按字段判断错误类型 (限流、资金不足、订单不存在等)，不再匹配错误信息字符串
+ *
+ * 错误码见 Backpack API 文档，如 INSUFFICIENT_FUNDS / INVALID_PRICE / RESOURCE_NOT_FOUND / TOO_MANY_REQUESTS
+ */
+class BackpackApiError extends Error {
+  /**
+   * 构造函数
+   * @param {string} message - 错误信息
+   * @param {Object} details - 错误详情
+   * @param {number|null} [details.status=null] - HTTP状态码 (网络错误时为null)
+   * @param {string|null} [details.code=null] - 交易所错误码
+   * @param {string|null} [details.exchangeMessage=null] - 交易所返回的错误信息
+   * @param {string|null} [details.endpoint=null] - 请求的接口 (方法 + 路径)
+   * @param {string|null} [details.instruction=null] - 指令名 (instructions 表中的名称)
+   * @param {string|null} [details.requestId=null] - 响应头中的请求ID
+   * @param {boolean} [details.network=false] - 是否为网络错误 (没有收到响应)
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'BackpackApiError';
+    this.status = details.status ?? null;
+    this.code = details.code ?? null;
+    this.exchangeMessage = details.exchangeMessage ?? null;
+    this.endpoint = details.endpoint ?? null;
+    this.instruction = details.instruction ?? null;
+    this.requestId = details.requestId ?? null;
+    this.network = Boolean(details.network);
+
+    const text = this.exchangeMessage || '';
+    this.rateLimited = this.status === 429 || this.code === 'TOO_MANY_REQUESTS';
+    this.expired = /expired|in the future/i.test(text);
+    this.insufficientFunds = this.code === 'INSUFFICIENT_FUNDS' || /insufficient (funds|balance)/i.test(text);
+    this.invalidPrice = this.code === 'INVALID_PRICE' || /invalid price|tick size/i.test(text);
+    this.orderNotFound = this.code === 'RESOURCE_NOT_FOUND' || (this.status === 404 && /order/i.test(`${this.endpoint} ${text}`));
+    // 限流、网络错误、服务端错误和签名过期可以重试；其他4xx重试也不会成功
+    this.retryable = this.rateLimited || this.network || this.expired || (this.status !== null && this.status >= 500);
+  }
+
+  /**
+   * 由请求失败生成错误
+   * @param {Object} error - axios错误
+   * @param {Object} request - 请求信息
+   * @param {string} request.instruction - 指令名
+   * @param {string} request.endpoint - 方法 + 路径
+   * @returns {BackpackApiError}
+   */
+  static fromAxiosError(error, { instruction, endpoint }) {
+    if (error.response) {
+      const { status, statusText, data, headers = {} } = error.response;
+      const exchangeMessage = (typeof data === 'object' ? data?.message : data) || statusText || null;
+      return new BackpackApiError(`API请求失败: ${status} - ${exchangeMessage}`, {
+        status,
+        code: typeof data === 'object' ? data?.code : null,
+        exchangeMessage,
+        endpoint,
+        instruction,
+        requestId: headers['x-request-id'] || null
+      });
+    }
+    if (error.request) {
+      return new BackpackApiError('网络请求失败，请检查网络连接', {
+        exchangeMessage: error.message,
+        endpoint,
+        instruction,
+        network: true
+      });
+    }
+    return new BackpackApiError(`请求配置错误: ${error.message}`, { endpoint, instruction });
+  }
+
+  /**
+   * 错误摘要 (日志用)
+   * @returns {string}
+   */
+  describe() {
+    return `接口 ${this.endpoint || '-'}, 状态 ${this.status ?? '无响应'}, 错误码 ${this.code || '-'}, 请求ID ${this.requestId || '-'}`;
+  }
+}
+
+module.exports = BackpackApiError;
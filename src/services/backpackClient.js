@@ -2,38 +2,42 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const qs = require('qs');
+const ClockSync = require('./clockSync');
+const BackpackApiError = require('./backpackApiError');
 
 const BACKOFF_EXPONENT = 1.5;
 const DEFAULT_TIMEOUT_MS = 5000;
+const MAX_WINDOW_MS = 60000;
+const DEFAULT_TIME_SYNC_MINUTES = 10;
 const BASE_URL = "https://api.backpack.exchange/";
 
-// 执行对应操作的命令
+// 执行对应操作的命令 (path 相对于 baseUrl，模拟交易所按同一张表注册路由)
 const instructions = {
   public: new Map([
-    ["assets", { url: `${BASE_URL}api/v1/assets`, method: "GET" }],
-    ["markets", { url: `${BASE_URL}api/v1/markets`, method: "GET" }],
-    ["ticker", { url: `${BASE_URL}api/v1/ticker`, method: "GET" }],
-    ["depth", { url: `${BASE_URL}api/v1/depth`, method: "GET" }],
-    ["klines", { url: `${BASE_URL}api/v1/klines`, method: "GET" }],
-    ["status", { url: `${BASE_URL}api/v1/status`, method: "GET" }],
-    ["ping", { url: `${BASE_URL}api/v1/ping`, method: "GET" }],
-    ["time", { url: `${BASE_URL}api/v1/time`, method: "GET" }],
-    ["trades", { url: `${BASE_URL}api/v1/trades`, method: "GET" }],
-    ["tradesHistory", { url: `${BASE_URL}api/v1/trades/history`, method: "GET" }],
+    ["assets", { path: "api/v1/assets", method: "GET" }],
+    ["markets", { path: "api/v1/markets", method: "GET" }],
+    ["ticker", { path: "api/v1/ticker", method: "GET" }],
+    ["depth", { path: "api/v1/depth", method: "GET" }],
+    ["klines", { path: "api/v1/klines", method: "GET" }],
+    ["status", { path: "api/v1/status", method: "GET" }],
+    ["ping", { path: "api/v1/ping", method: "GET" }],
+    ["time", { path: "api/v1/time", method: "GET" }],
+    ["trades", { path: "api/v1/trades", method: "GET" }],
+    ["tradesHistory", { path: "api/v1/trades/history", method: "GET" }],
   ]),
   private: new Map([
-    ["balanceQuery", { url: `${BASE_URL}api/v1/capital`, method: "GET" }],
-    ["depositAddressQuery", { url: `${BASE_URL}wapi/v1/capital/deposit/address`, method: "GET" }],
-    ["depositQueryAll", { url: `${BASE_URL}wapi/v1/capital/deposits`, method: "GET" }],
-    ["fillHistoryQueryAll", { url: `${BASE_URL}wapi/v1/history/fills`, method: "GET" }],
-    ["orderCancel", { url: `${BASE_URL}api/v1/order`, method: "DELETE" }],
-    ["orderCancelAll", { url: `${BASE_URL}api/v1/orders`, method: "DELETE" }],
-    ["orderExecute", { url: `${BASE_URL}api/v1/order`, method: "POST" }],
-    ["orderHistoryQueryAll", { url: `${BASE_URL}wapi/v1/history/orders`, method: "GET" }],
-    ["orderQuery", { url: `${BASE_URL}api/v1/order`, method: "GET" }],
-    ["orderQueryAll", { url: `${BASE_URL}api/v1/orders`, method: "GET" }],
-    ["withdraw", { url: `${BASE_URL}wapi/v1/capital/withdrawals`, method: "POST" }],
-    ["withdrawalQueryAll", { url: `${BASE_URL}wapi/v1/capital/withdrawals`, method: "GET" }],
+    ["balanceQuery", { path: "api/v1/capital", method: "GET" }],
+    ["depositAddressQuery", { path: "wapi/v1/capital/deposit/address", method: "GET" }],
+    ["depositQueryAll", { path: "wapi/v1/capital/deposits", method: "GET" }],
+    ["fillHistoryQueryAll", { path: "wapi/v1/history/fills", method: "GET" }],
+    ["orderCancel", { path: "api/v1/order", method: "DELETE" }],
+    ["orderCancelAll", { path: "api/v1/orders", method: "DELETE" }],
+    ["orderExecute", { path: "api/v1/order", method: "POST" }],
+    ["orderHistoryQueryAll", { path: "wapi/v1/history/orders", method: "GET" }],
+    ["orderQuery", { path: "api/v1/order", method: "GET" }],
+    ["orderQueryAll", { path: "api/v1/orders", method: "GET" }],
+    ["withdraw", { path: "wapi/v1/capital/withdrawals", method: "POST" }],
+    ["withdrawalQueryAll", { path: "wapi/v1/capital/withdrawals", method: "GET" }],
   ]),
 };
 
@@ -54,31 +58,63 @@ const toSpki = (rawB64) => {
 };
 
 /**
- * 生成签名方法 getMessageSignature
+ * 生成待签名的消息 getSigningMessage
  * @param  {Object}        request params as an object
- * @param  {string}        privateKey
  * @param  {number}        timestamp Unix time in ms that the request was sent
  * @param  {string}        instruction
  * @param  {number}        window Time window in milliseconds that the request is valid for
- * @return {string}        base64 encoded signature to include on request
+ * @return {string}        instruction=...&参数(按字母排序)&timestamp=...&window=...
  */
-const getMessageSignature = (request, privateKey, timestamp, instruction, window) => {
+const getSigningMessage = (request, timestamp, instruction, window) => {
   function alphabeticalSort(a, b) {
     return a.localeCompare(b);
   }
   const message = qs.stringify(request, { sort: alphabeticalSort });
   const headerInfo = { timestamp, window: window ?? DEFAULT_TIMEOUT_MS };
   const headerMessage = qs.stringify(headerInfo);
-  const messageToSign = "instruction=" + instruction + "&" + (message ? message + "&" : "") + headerMessage;
+  return "instruction=" + instruction + "&" + (message ? message + "&" : "") + headerMessage;
+};
+
+/**
+ * 生成签名方法 getMessageSignature
+ * @param  {Object}        request params as an object
+ * @param  {string}        privateKey
+ * @param  {number}        timestamp Unix time in ms that the request was sent
+ * @param  {string}        instruction
+ * @param  {number}        window Time window in milliseconds that the request is valid for
+ * @return {string}        base64 encoded signature to include on request
+ */
+const getMessageSignature = (request, privateKey, timestamp, instruction, window) => {
+  const messageToSign = getSigningMessage(request, timestamp, instruction, window);
   const signature = crypto.sign(null, Buffer.from(messageToSign), toPkcs8der(privateKey));
   return signature.toString("base64");
 };
 
-// 请求方法 rawRequest(命令，请求头，请求参数)
-const rawRequest = async (instruction, headers, data) => {
-  const { url, method } = instructions.private.has(instruction)
+/**
+ * 验证签名方法 verifyMessageSignature (与 getMessageSignature 对应，模拟交易所使用)
+ * @param  {Object}        request params as an object
+ * @param  {string}        publicKey base64 encoded
+ * @param  {string}        signature base64 encoded
+ * @param  {number}        timestamp
+ * @param  {string}        instruction
+ * @param  {number}        window
+ * @return {boolean}       签名是否有效
+ */
+const verifyMessageSignature = (request, publicKey, signature, timestamp, instruction, window) => {
+  try {
+    const message = getSigningMessage(request, timestamp, instruction, window);
+    return crypto.verify(null, Buffer.from(message), toSpki(publicKey), Buffer.from(signature, "base64"));
+  } catch (error) {
+    return false;
+  }
+};
+
+// 请求方法 rawRequest(命令，请求头，请求参数，API地址)
+const rawRequest = async (instruction, headers, data, baseUrl = BASE_URL) => {
+  const { path, method } = instructions.private.has(instruction)
     ? instructions.private.get(instruction)
     : instructions.public.get(instruction);
+  const url = baseUrl + path;
   let fullUrl = url;
   headers["User-Agent"] = "Backpack NodeJS API Client";
   headers["Content-Type"] = method == "GET" ? "application/x-www-form-urlencoded" : "application/json; charset=utf-8";
@@ -98,33 +134,33 @@ const rawRequest = async (instruction, headers, data) => {
     options.data = data;
   }
   
+  const endpoint = `${method} /${path}`;
+  let response;
   try {
-    const response = await axios(options);
-    const contentType = response.headers["content-type"];
-    
-    if (contentType?.includes("application/json")) {
-      const parsed = response.data;
-      if (parsed.error && parsed.error.length) {
-        const error = parsed.error.filter((e) => e.startsWith("E")).map((e) => e.substr(1));
-        if (!error.length) {
-          throw new Error("Backpack API returned an unknown error");
-        }
-        throw new Error(`url=${url} body=${JSON.stringify(data)} err=${error.join(", ")}`);
-      }
-      return parsed;
-    } else if (contentType?.includes("text/plain")) {
-      return response.data;
-    } else {
-      return response.data;
-    }
+    response = await axios(options);
   } catch (error) {
-    if (error.response) {
-      throw new Error(`API请求失败: ${error.response.status} - ${error.response.data?.message || error.response.statusText}`);
-    } else if (error.request) {
-      throw new Error('网络请求失败，请检查网络连接');
-    } else {
-      throw new Error(`请求配置错误: ${error.message}`);
+    throw BackpackApiError.fromAxiosError(error, { instruction, endpoint });
+  }
+  
+  const contentType = response.headers["content-type"];
+  if (contentType?.includes("application/json")) {
+    const parsed = response.data;
+    if (parsed.error && parsed.error.length) {
+      const error = parsed.error.filter((e) => e.startsWith("E")).map((e) => e.substr(1));
+      const exchangeMessage = error.length ? error.join(", ") : "Backpack API returned an unknown error";
+      throw new BackpackApiError(`url=${url} body=${JSON.stringify(data)} err=${exchangeMessage}`, {
+        status: response.status,
+        exchangeMessage,
+        endpoint,
+        instruction,
+        requestId: response.headers["x-request-id"] || null,
+      });
     }
+    return parsed;
+  } else if (contentType?.includes("text/plain")) {
+    return response.data;
+  } else {
+    return response.data;
   }
 };
 
@@ -132,10 +168,27 @@ const rawRequest = async (instruction, headers, data) => {
  * BackpackClient connects to the Backpack API
  * @param {string} privateKey base64 encoded
  * @param {string} publicKey  base64 encoded
+ * @param {Object} options
+ * @param {string} [options.baseUrl] API地址，默认为Backpack正式环境 (指向模拟交易所时使用)
+ * @param {number} [options.window] 签名有效窗口(毫秒)，默认5000，最大60000
+ * @param {number} [options.timeSyncMinutes] 服务器时间重新同步间隔(分钟)，默认10
+ * @param {Object} [options.logger] 日志对象
  */
 class BackpackClient {
-  constructor(privateKey, publicKey) {
-    this.config = { privateKey, publicKey };
+  constructor(privateKey, publicKey, options = {}) {
+    const baseUrl = options.baseUrl || BASE_URL;
+    this.config = {
+      privateKey,
+      publicKey,
+      baseUrl: baseUrl.endsWith("/") ? baseUrl : baseUrl + "/",
+      window: Math.min(options.window ?? DEFAULT_TIMEOUT_MS, MAX_WINDOW_MS),
+    };
+    
+    // 签名时间戳按服务器时间校正，WebSocket订阅签名共用同一个时钟
+    this.clock = new ClockSync(() => rawRequest("time", {}, {}, this.config.baseUrl), {
+      intervalMs: (options.timeSyncMinutes ?? DEFAULT_TIME_SYNC_MINUTES) * 60000,
+      logger: options.logger,
+    });
     
     // 验证密钥对是否匹配
     try {
@@ -170,7 +223,8 @@ class BackpackClient {
         return await this.privateMethod(method, params);
       }
     } catch (e) {
-      if (retrysLeft > 0) {
+      // 参数错误、资金不足等4xx错误重试也不会成功
+      if (retrysLeft > 0 && e.retryable !== false) {
         const numTry = 11 - retrysLeft;
         const backOff = Math.pow(numTry, BACKOFF_EXPONENT);
         console.warn("BPX api error", { method, numTry, backOff }, e.toString());
@@ -190,27 +244,40 @@ class BackpackClient {
    * @return {Object}                 The response object
    */
   async publicMethod(instruction, params = {}) {
-    const response = await rawRequest(instruction, {}, params);
+    const response = await rawRequest(instruction, {}, params, this.config.baseUrl);
     return response;
   }
 
   /**
-   * 发送私有API请求
+   * 发送私有API请求 - 服务器判定请求过期时重新同步时间并重试一次
+   * (过期的请求不会被执行，下单也可以安全重试)
    * @param  {String}   instruction The API method (public or private)
    * @param  {Object}   params      Arguments to pass to the api call
+   * @param  {Boolean}  isRetry     是否为过期后的重试
    * @return {Object}               The response object
    */
-  async privateMethod(instruction, params = {}) {
-    const timestamp = Date.now();
-    const signature = getMessageSignature(params, this.config.privateKey, timestamp, instruction);
+  async privateMethod(instruction, params = {}, isRetry = false) {
+    await this.clock.ensureFresh();
+    const timestamp = this.clock.now();
+    const window = this.config.window;
+    const signature = getMessageSignature(params, this.config.privateKey, timestamp, instruction, window);
     const headers = {
       "X-Timestamp": timestamp,
-      "X-Window": this.config.timeout ?? DEFAULT_TIMEOUT_MS,
+      "X-Window": window,
       "X-API-Key": this.config.publicKey,
       "X-Signature": signature,
     };
-    const response = await rawRequest(instruction, headers, params);
-    return response;
+    try {
+      const response = await rawRequest(instruction, headers, params, this.config.baseUrl);
+      return response;
+    } catch (error) {
+      if (isRetry || !error.expired) {
+        throw error;
+      }
+      console.warn("BPX request expired, resyncing server time", { instruction, offsetMs: this.clock.offsetMs });
+      await this.clock.sync();
+      return await this.privateMethod(instruction, params, true);
+    }
   }
 
   // API方法封装
@@ -303,4 +370,4 @@ class BackpackClient {
   }
 }
 
-module.exports = { BackpackClient };
\ No newline at end of file
+module.exports = { BackpackClient, BackpackApiError, instructions, getMessageSignature, verifyMessageSignature, toSpki };
\ No newline at end of file
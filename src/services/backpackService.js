@@ -1,20 +1,35 @@
 const { BackpackClient } = require('./backpackClient');
+const BackpackApiError = require('./backpackApiError');
+const ExchangeAdapter = require('./exchangeAdapter');
+const WebSocketManager = require('../network/webSocketManager');
+const DepthPlanner = require('../core/depthPlanner');
+const Indicators = require('../utils/indicators');
 const { log } = require('../utils/logger');
 const TimeUtils = require('../utils/timeUtils');
+const ClientIdNamespace = require('../core/clientIdNamespace');
+const OrderParams = require('./orderParams');
 const axios = require('axios');
 const crypto = require('crypto');
 
+// K线周期对应的秒数 (Backpack klines interval)
+const KLINE_INTERVAL_SECONDS = {
+  '1m': 60, '3m': 180, '5m': 300, '15m': 900, '30m': 1800,
+  '1h': 3600, '2h': 7200, '4h': 14400, '6h': 21600, '8h': 28800, '12h': 43200,
+  '1d': 86400, '3d': 259200, '1w': 604800
+};
+
 /**
  * Backpack交易所API服务类 - 负责处理API调用
+ * 实现 ExchangeAdapter 接口: 交易所响应在这里转换为统一的订单/成交/余额/行情格式
  */
-class BackpackService {
+class BackpackService extends ExchangeAdapter {
   /**
    * 构造函数
    * @param {Object} config - 配置对象
    * @param {Object} logger - 日志对象
    */
   constructor(config, logger) {
-    this.config = config;
+    super(config, logger);
     // 确保logger对象始终存在，防止访问undefined的属性
     this.logger = logger || defaultLogger || console;
     this.privateKey = config.api.privateKey;
@@ -22,6 +37,9 @@ class BackpackService {
     this.tradingCoin = config.trading?.tradingCoin || 'BTC';
     this.symbol = `${this.tradingCoin}_USDC`;
     
+    // 🔑 订单归属 - 本实例创建的订单都带有命名空间内的clientId
+    this.clientIds = new ClientIdNamespace(config.advanced?.clientIdNamespace ?? ClientIdNamespace.DEFAULT_NAMESPACE);
+    
     // 🔑 限流状态管理
     this.rateLimitStatus = {
       isLimited: false,
@@ -30,9 +48,14 @@ class BackpackService {
       cooldownMs: 60000 // 1分钟冷却期
     }; 
     
-    // 初始化官方BackpackClient
+    // 初始化官方BackpackClient (api.baseUrl 可指向模拟交易所；签名窗口和服务器时间同步间隔可配置)
     try {
-      this.client = new BackpackClient(this.privateKey, this.publicKey);
+      this.client = new BackpackClient(this.privateKey, this.publicKey, {
+        baseUrl: config.api.baseUrl,
+        window: config.api.windowMs,
+        timeSyncMinutes: config.api.timeSyncMinutes,
+        logger: this.logger
+      });
     } catch (error) {
       // 如果初始化失败，记录错误并尝试继续
       if (this.logger && typeof this.logger.log === 'function') {
@@ -62,57 +85,29 @@ class BackpackService {
         // 构建详细的错误日志
         let errorMessage = `API调用失败(尝试 ${attempt}/${maxRetries}): ${error.message}`;
         
-        // 记录日志到logger或console
+        // 记录日志到logger或console，交易所错误附带状态码/错误码/请求ID
         if (this.logger && typeof this.logger.log === 'function') {
           this.logger.log(errorMessage, true);
-          
-          // 记录更多细节信息
-          if (error.response) {
-            const statusCode = error.response.status || 'unknown';
-            const responseBody = JSON.stringify(error.response.data || {});
-            this.logger.log(`响应代码 ${statusCode} (${error.response.statusText || 'No status text'})`, true);
-            this.logger.log(`响应体: ${responseBody}`, true);
-            
-            // 尝试提取更具体的错误信息
-            if (error.response.data) {
-              const data = error.response.data;
-              if (data.message) {
-                this.logger.log(`错误消息: ${data.message}`, true);
-              }
-              if (data.code) {
-                this.logger.log(`错误代码: ${data.code}`, true);
-              }
-              if (data.error) {
-                this.logger.log(`错误详情: ${JSON.stringify(data.error)}`, true);
-              }
-            }
-          }
-          
-          // 记录请求信息(如果有)
-          if (error.request) {
-            this.logger.log(`请求方法: ${error.request.method}`, true);
-            this.logger.log(`请求URL: ${error.request.path}`, true);
+          if (error instanceof BackpackApiError) {
+            this.logger.log(`错误详情: ${error.describe()}`, true);
           }
         } else {
           console.log(errorMessage);
-          if (error.response) {
-            console.log(`响应状态: ${error.response.status}`);
-            console.log(`响应数据: ${JSON.stringify(error.response.data || {})}`);
+          if (error instanceof BackpackApiError) {
+            console.log(`错误详情: ${error.describe()}`);
           }
         }
         
+        // 🔑 参数错误、资金不足、订单不存在等错误重试也不会成功，直接抛出
+        if (error.retryable === false) {
+          throw error;
+        }
+        
         if (attempt < maxRetries) {
           // 🔑 增强限流检测和延迟机制
           let actualDelay = retryDelay;
           
-          // 检测多种限流错误格式
-          const isRateLimit = (error.response && error.response.status === 429) ||
-                             error.message.includes('rate limit') ||
-                             error.message.includes('Rate Limit') ||
-                             error.message.includes('exceeded') ||
-                             error.message.includes('429');
-          
-          if (isRateLimit) {
+          if (error.rateLimited) {
             // 🔑 更新限流状态
             this.rateLimitStatus.isLimited = true;
             this.rateLimitStatus.lastLimitTime = Date.now();
@@ -150,7 +145,7 @@ class BackpackService {
   /**
    * 获取行情数据
    * @param {string} symbol - 交易对
-   * @returns {Promise<Object>} 行情数据
+   * @returns {Promise<import('./exchangeAdapter').Ticker>} 行情数据
    */
   async getTicker(symbol = this.symbol) {
     try {
@@ -168,13 +163,96 @@ class BackpackService {
         this.logger?.log(`获取${symbol}行情响应数据为空`);
       }
       
-      return result;
+      return this.normalizeTicker(result, symbol);
     } catch (error) {
       this.logger?.log(`获取行情失败: ${error.message}`);
       throw error;
     }
   }
   
+  /**
+   * 获取盘口深度
+   * @param {string} symbol - 交易对
+   * @returns {Promise<import('./exchangeAdapter').Depth>} 盘口
+   */
+  async getDepth(symbol = this.symbol) {
+    try {
+      const depth = await this.executeWithRetry(() => 
+        this.client.Depth({ symbol })
+      );
+      return DepthPlanner.normalize(depth);
+    } catch (error) {
+      this.logger?.log(`获取盘口深度失败: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * 获取最近的K线数据
+   * @param {string} symbol - 交易对
+   * @param {string} interval - K线周期 (1m/5m/15m/1h/4h/1d 等)
+   * @param {number} count - 需要的K线数量
+   * @returns {Promise<Array<import('./exchangeAdapter').Candle>>} K线列表 (升序)
+   */
+  async getKLines(symbol = this.symbol, interval = '15m', count = 20) {
+    const intervalSeconds = KLINE_INTERVAL_SECONDS[interval];
+    if (!intervalSeconds) {
+      throw new Error(`不支持的K线周期: ${interval}`);
+    }
+    
+    try {
+      const endTime = Math.floor(Date.now() / 1000);
+      // 多取一根，避免最新未收盘K线导致数量不足
+      const startTime = endTime - intervalSeconds * (count + 1);
+      
+      const klines = await this.executeWithRetry(() => 
+        this.client.KLines({ symbol, interval, startTime, endTime })
+      );
+      return Indicators.normalizeKLines(klines);
+    } catch (error) {
+      this.logger?.log(`获取K线失败: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * 获取交易对规则 (Markets 接口的价格/数量过滤器)
+   * @param {string} symbol - 交易对
+   * @returns {Promise<import('./exchangeAdapter').MarketRule>} 交易对规则
+   */
+  async getMarketRules(symbol = this.symbol) {
+    try {
+      const markets = await this.executeWithRetry(() => 
+        this.client.Markets()
+      );
+      
+      const market = (Array.isArray(markets) ? markets : []).find(item => item.symbol === symbol);
+      if (!market) {
+        throw new Error(`交易所没有交易对 ${symbol}`);
+      }
+      
+      const toNumber = value => (value === undefined || value === null ? null : parseFloat(value));
+      const { price = {}, quantity = {} } = market.filters || {};
+      const tickSize = toNumber(price.tickSize);
+      const stepSize = toNumber(quantity.stepSize);
+      if (!(tickSize > 0) || !(stepSize > 0)) {
+        throw new Error(`交易对 ${symbol} 缺少tickSize/stepSize`);
+      }
+      
+      return {
+        symbol,
+        tickSize,
+        stepSize,
+        minQuantity: toNumber(quantity.minQuantity) || stepSize,
+        maxQuantity: toNumber(quantity.maxQuantity),
+        minNotional: toNumber(market.filters?.notional?.minNotional)
+      };
+    } catch (error) {
+      this.logger?.log(`获取交易对规则失败: ${error.message}`, true);
+      throw error;
+    }
+  }
+  
   /**
    * 获取账户余额
    * @returns {Promise<Object>} 账户余额
@@ -190,10 +268,24 @@ class BackpackService {
     }
   }
   
+  /**
+   * 获取单个币种余额
+   * @param {string} asset - 币种
+   * @returns {Promise<import('./exchangeAdapter').Balance>} 余额 (账户中没有该币种时为0)
+   */
+  async getBalance(asset) {
+    const balances = await this.getBalances();
+    // Balance 接口返回 { SOL: { available, locked, staked } }
+    const entry = Array.isArray(balances) ? balances.find(balance => balance.asset === asset) : balances?.[asset];
+    const available = parseFloat(entry?.available) || 0;
+    const locked = parseFloat(entry?.locked) || 0;
+    return { asset, available, locked, total: available + locked };
+  }
+  
   /**
    * 获取所有未成交订单
    * @param {string} symbol - 交易对
-   * @returns {Promise<Array>} 未成交订单列表
+   * @returns {Promise<Array<import('./exchangeAdapter').Order>>} 未成交订单列表
    */
   async getOpenOrders(symbol = this.symbol) {
     try {
@@ -202,7 +294,7 @@ class BackpackService {
       );
       
       this.logger?.log(`获取到${symbol}未成交订单: ${Array.isArray(result) ? result.length : 0}个`);
-      return result || [];
+      return (Array.isArray(result) ? result : []).map(order => this.normalizeOrder(order));
     } catch (error) {
       this.logger?.log(`获取未成交订单失败: ${error.message}`);
       throw error;
@@ -218,7 +310,7 @@ class BackpackService {
     try {
       // 先获取所有未成交订单
       const openOrders = await this.getOpenOrders();
-      const openOrderIds = new Set(openOrders.map(o => String(o.orderId || o.id)));
+      const openOrderIds = new Set(openOrders.map(o => o.orderId));
       
       const results = [];
       
@@ -246,7 +338,7 @@ class BackpackService {
   /**
    * 获取订单详情
    * @param {string} orderId - 订单ID
-   * @returns {Promise<Object>} 订单详情
+   * @returns {Promise<import('./exchangeAdapter').Order|null>} 订单详情，订单不存在时返回null
    */
   async getOrderDetails(orderId) {
     try {
@@ -260,12 +352,11 @@ class BackpackService {
       );
       
       this.logger?.log(`订单${orderIdStr}状态: ${result?.status || '未知'}`);
-      return result;
+      return result ? this.normalizeOrder(result) : null;
     } catch (error) {
-      // 🔑 增强错误处理 - 400错误可能是订单不存在或已删除
-      if (error.message.includes('400')) {
-        this.logger?.log(`订单${orderId}查询失败(400) - 可能是订单不存在或格式错误`);
-        // 对于400错误，返回null而不是抛出异常
+      // 🔑 订单不存在 (或订单ID格式错误被拒绝) 时返回null而不是抛出异常
+      if (error.orderNotFound || error.status === 400) {
+        this.logger?.log(`订单${orderId}查询失败(${error.status}${error.code ? ` ${error.code}` : ''}) - 订单不存在或格式错误`);
         return null;
       }
       
@@ -275,15 +366,19 @@ class BackpackService {
   }
   
   /**
-   * 创建订单
-   * @param {Object} params - 订单参数
-   * @returns {Promise<Object>} 创建结果
+   * 创建订单 - 选项先校验再下单，未指定clientId时自动分配本实例命名空间内的clientId
+   * @param {import('./orderParams').OrderOptions} orderOptions - 下单选项
+   * @returns {Promise<import('./exchangeAdapter').Order>} 创建的订单
    */
-  async createOrder(params) {
+  async createOrder(orderOptions) {
+    // 重试时沿用同一个clientId
+    const params = OrderParams.build({ ...orderOptions, clientId: orderOptions.clientId ?? this.clientIds.next() });
+    
     try {
-      return await this.executeWithRetry(() => 
+      const result = await this.executeWithRetry(() => 
         this.client.ExecuteOrder(params)
       );
+      return this.normalizeOrder(result);
     } catch (error) {
       // 使用专门的API错误记录方法
       if (this.logger && typeof this.logger.logApiError === 'function') {
@@ -296,24 +391,18 @@ class BackpackService {
           // 记录详细的订单参数
           this.logger.log(`创建订单失败详情 - 参数: ${JSON.stringify(params)}`, true);
           
-          // 记录错误对象的详细信息
-          if (error.response) {
-            this.logger.log(`错误响应状态: ${error.response.status}`, true);
-            this.logger.log(`错误响应数据: ${JSON.stringify(error.response.data || {})}`, true);
+          // 记录交易所错误详情 (状态码/错误码/请求ID)
+          if (error instanceof BackpackApiError) {
+            this.logger.log(`错误详情: ${error.describe()}`, true);
           }
           
           // 记录原始错误对象
           this.logger.log(`原始错误: ${JSON.stringify(error.toString())}`, true);
-          
-          // 尝试解析更深层次的错误
-          if (error.code) {
-            this.logger.log(`错误代码: ${error.code}`, true);
-          }
         } else {
           console.error(`创建订单失败: ${error.message}`);
           console.error(`参数: ${JSON.stringify(params)}`);
-          if (error.response) {
-            console.error(`响应: ${JSON.stringify(error.response)}`);
+          if (error instanceof BackpackApiError) {
+            console.error(`错误详情: ${error.describe()}`);
           }
         }
       }
@@ -321,16 +410,27 @@ class BackpackService {
     }
   }
   
+  /**
+   * 订单是否由本实例的clientId命名空间创建
+   * @param {Object} order - 订单/成交/推送数据 (含clientId或c字段)
+   * @returns {boolean}
+   */
+  ownsOrder(order) {
+    return this.clientIds.owns(ClientIdNamespace.extract(order));
+  }
+  
   /**
    * 取消订单
    * @param {string} orderId - 订单ID
-   * @returns {Promise<Object>} 取消结果
+   * @param {string} symbol - 交易对
+   * @returns {Promise<import('./exchangeAdapter').Order>} 撤单后的订单（含已成交数量）
    */
-  async cancelOrder(orderId) {
+  async cancelOrder(orderId, symbol = this.symbol) {
     try {
-      return await this.executeWithRetry(() => 
-        this.client.CancelOrder({ orderId })
+      const result = await this.executeWithRetry(() => 
+        this.client.CancelOrder({ orderId: String(orderId), symbol })
       );
+      return this.normalizeOrder(result);
     } catch (error) {
       this.logger?.log(`取消订单失败: ${error.message}`);
       throw error;
@@ -340,13 +440,14 @@ class BackpackService {
   /**
    * 取消所有未成交订单
    * @param {string} symbol - 交易对
-   * @returns {Promise<Object>} 取消结果
+   * @returns {Promise<Array<import('./exchangeAdapter').Order>>} 撤单后的订单
    */
   async cancelAllOrders(symbol = this.symbol) {
     try {
-      return await this.executeWithRetry(() => 
+      const result = await this.executeWithRetry(() => 
         this.client.CancelOpenOrders({ symbol })
       );
+      return (Array.isArray(result) ? result : []).map(order => this.normalizeOrder(order));
     } catch (error) {
       // 确保logger存在再使用
       if (this.logger && typeof this.logger.log === 'function') {
@@ -364,47 +465,7 @@ class BackpackService {
   }
   
   /**
-   * 创建买入订单
-   * @param {number} price - 价格
-   * @param {number} quantity - 数量
-   * @param {string} symbol - 交易对
-   * @returns {Promise<Object>} 订单结果
-   */
-  async createBuyOrder(price, quantity, symbol = this.symbol) {
-    const orderParams = {
-      symbol,
-      side: 'Bid', // 注意：必须使用'Bid'而不是'BUY'
-      orderType: 'Limit', // 注意：必须使用'Limit'而不是'LIMIT'
-      timeInForce: 'GTC',
-      price: price.toString(),
-      quantity: quantity.toString()
-    };
-    
-    return this.createOrder(orderParams);
-  }
-  
-  /**
-   * 创建卖出订单
-   * @param {number} price - 价格
-   * @param {number} quantity - 数量
-   * @param {string} symbol - 交易对
-   * @returns {Promise<Object>} 订单结果
-   */
-  async createSellOrder(price, quantity, symbol = this.symbol) {
-    const orderParams = {
-      symbol,
-      side: 'Ask', // 注意：必须使用'Ask'而不是'SELL'
-      orderType: 'Limit', // 注意：必须使用'Limit'而不是'LIMIT'
-      timeInForce: 'GTC',
-      price: price.toString(),
-      quantity: quantity.toString()
-    };
-    
-    return this.createOrder(orderParams);
-  }
-  
-  /**
-   * 获取持仓信息
+   * 获取持仓信息 (字段为交易所原始字符串，OrderManager 使用；新代码使用 getBalance)
    * @param {string} coin - 货币符号
    * @returns {Promise<Object>} 持仓信息
    */
@@ -483,23 +544,103 @@ class BackpackService {
    * 🔑 获取成交历史（实际的买卖成交记录）
    * @param {string} symbol - 交易对符号
    * @param {number} limit - 限制数量
-   * @returns {Promise<Array>} 成交历史数组
+   * @returns {Promise<Array<import('./exchangeAdapter').Fill>>} 成交历史数组
    */
   async getFillHistory(symbol = this.symbol, limit = 200) {
     try {
       this.logger?.log(`获取${symbol}成交历史记录...`);
       
-      return await this.executeWithRetry(() => 
+      const fills = await this.executeWithRetry(() => 
         this.client.FillHistory({ 
           symbol, 
           limit
         })
       );
+      return (Array.isArray(fills) ? fills : []).map(fill => this.normalizeFill(fill));
     } catch (error) {
       this.logger?.log(`获取成交历史失败: ${error.message}`, true);
       throw error;
     }
   }
+  
+  /**
+   * 创建实时流 - Backpack WebSocket (行情、订单推送、余额推送)
+   * @param {import('./exchangeAdapter').StreamHandlers} handlers - 回调
+   * @returns {WebSocketManager}
+   */
+  createStream(handlers = {}) {
+    return new WebSocketManager({
+      config: this.config,
+      logger: this.logger,
+      clock: this.client?.clock,
+      ...handlers
+    });
+  }
+  
+  /**
+   * 交易所订单转换为统一订单格式
+   * @param {Object} order - 交易所订单 (下单/撤单/查询响应)
+   * @returns {import('./exchangeAdapter').Order}
+   */
+  normalizeOrder(order) {
+    const toNumber = value => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+    return {
+      orderId: String(order?.id ?? order?.orderId ?? ''),
+      clientId: ClientIdNamespace.extract(order),
+      symbol: order?.symbol,
+      side: order?.side,
+      orderType: order?.orderType,
+      price: toNumber(order?.price),
+      quantity: toNumber(order?.quantity),
+      executedQuantity: parseFloat(order?.executedQuantity) || 0,
+      executedQuoteQuantity: parseFloat(order?.executedQuoteQuantity) || 0,
+      status: order?.status,
+      createdAt: toNumber(order?.createdAt)
+    };
+  }
+  
+  /**
+   * 交易所成交记录转换为统一成交格式
+   * @param {Object} fill - 交易所成交记录
+   * @returns {import('./exchangeAdapter').Fill}
+   */
+  normalizeFill(fill) {
+    // 成交时间为不带时区后缀的UTC时间字符串
+    const timestamp = typeof fill.timestamp === 'string' && !/(Z|[+-]\d{2}:?\d{2})$/.test(fill.timestamp)
+      ? `${fill.timestamp}Z`
+      : fill.timestamp;
+    return {
+      orderId: String(fill.orderId),
+      tradeId: fill.tradeId !== undefined && fill.tradeId !== null ? String(fill.tradeId) : null,
+      clientId: ClientIdNamespace.extract(fill),
+      symbol: fill.symbol,
+      side: fill.side,
+      price: parseFloat(fill.price) || 0,
+      quantity: parseFloat(fill.quantity) || 0,
+      fee: parseFloat(fill.fee) || 0,
+      feeSymbol: fill.feeSymbol || null,
+      isMaker: Boolean(fill.isMaker),
+      timestamp: new Date(timestamp).getTime() || 0
+    };
+  }
+  
+  /**
+   * 交易所行情转换为统一行情格式
+   * @param {Object} ticker - 交易所行情
+   * @param {string} symbol - 交易对
+   * @returns {import('./exchangeAdapter').Ticker}
+   */
+  normalizeTicker(ticker, symbol) {
+    const toNumber = value => (value === undefined || value === null ? null : parseFloat(value));
+    return {
+      symbol: ticker?.symbol || symbol,
+      lastPrice: parseFloat(ticker?.lastPrice) || 0,
+      high: toNumber(ticker?.high),
+      low: toNumber(ticker?.low),
+      volume: toNumber(ticker?.volume),
+      quoteVolume: toNumber(ticker?.quoteVolume)
+    };
+  }
 }
 
 module.exports = BackpackService; 
\ No newline at end of file
@@ -0,0 +1,98 @@
+const SAMPLE_COUNT = 3; // 每次同步取往返时间最短的样本
+const RETRY_AFTER_FAILURE_MS = 60000; // 同步失败后至少间隔1分钟再试
+const LOG_CHANGE_MS = 250; // 偏移变化超过该值时记录日志
+
+/**
+ * 交易所时钟同步 - 用 Time 接口估算本机与服务器的时间偏移，签名时间戳按偏移校正
+ * 偏移 = 服务器时间 - 请求往返中点的本机时间；首次签名前同步，之后每隔 intervalMs 在下一次签名前重新同步
+ * 同步失败时沿用上一次的偏移 (从未成功时为0)
+ */
+class ClockSync {
+  /**
+   * 构造函数
+   * @param {Function} fetchServerTime - 获取服务器时间 (毫秒) 的异步函数
+   * @param {Object} options - 选项
+   * @param {number} [options.intervalMs=600000] - 重新同步间隔
+   * @param {Object} [options.logger=console] - 日志对象
+   */
+  constructor(fetchServerTime, options = {}) {
+    this.fetchServerTime = fetchServerTime;
+    this.intervalMs = options.intervalMs ?? 600000;
+    this.logger = options.logger || console;
+    this.offsetMs = 0;
+    this.lastSyncAt = null;
+    this.nextSyncAt = 0;
+    this.pending = null;
+  }
+
+  /**
+   * 校正后的当前时间 (毫秒)
+   * @returns {number}
+   */
+  now() {
+    return Date.now() + this.offsetMs;
+  }
+
+  /**
+   * 到了同步时间才同步 (签名前调用)
+   * @returns {Promise<void>}
+   */
+  async ensureFresh() {
+    if (Date.now() >= this.nextSyncAt) {
+      await this.sync();
+    }
+  }
+
+  /**
+   * 立即同步，同时只进行一次
+   * @returns {Promise<number>} 同步后的偏移
+   */
+  sync() {
+    if (!this.pending) {
+      this.pending = this.measure().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  /**
+   * 取多个样本测量偏移
+   * @returns {Promise<number>} 偏移
+   */
+  async measure() {
+    let best = null;
+    for (let i = 0; i < SAMPLE_COUNT; i++) {
+      try {
+        const sentAt = Date.now();
+        const serverTime = Number(await this.fetchServerTime());
+        const receivedAt = Date.now();
+        if (!Number.isFinite(serverTime) || serverTime <= 0) {
+          throw new Error(`无效的服务器时间: ${serverTime}`);
+        }
+
+        const roundTrip = receivedAt - sentAt;
+        if (!best || roundTrip < best.roundTrip) {
+          best = { roundTrip, offset: Math.round(serverTime - (sentAt + receivedAt) / 2) };
+        }
+      } catch (error) {
+        if (!best && i === SAMPLE_COUNT - 1) {
+          this.nextSyncAt = Date.now() + Math.min(this.intervalMs, RETRY_AFTER_FAILURE_MS);
+          this.logger.log(`⚠️ 服务器时间同步失败，沿用偏移 ${this.offsetMs}ms: ${error.message}`);
+          return this.offsetMs;
+        }
+      }
+    }
+
+    const changed = Math.abs(best.offset - this.offsetMs);
+    if (this.lastSyncAt === null || changed >= LOG_CHANGE_MS) {
+      this.logger.log(`🕒 服务器时间偏移: ${best.offset >= 0 ? '+' : ''}${best.offset}ms (往返 ${best.roundTrip}ms)`);
+    }
+    this.offsetMs = best.offset;
+    this.lastSyncAt = Date.now();
+    this.nextSyncAt = this.lastSyncAt + this.intervalMs;
+    return this.offsetMs;
+  }
+}
+
+module.exports = ClockSync;
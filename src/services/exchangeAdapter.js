@@ -0,0 +1,306 @@
+/**
+ * 交易所适配器接口 - 策略代码只依赖这里定义的方法和统一数据格式
+ * BackpackService 是其中一种实现；模拟盘引擎或其他交易所继承本类实现同样的方法，
+ * 通过配置 exchange.adapter 切换 (见 ExchangeFactory)
+ *
+ * 约定:
+ * - 买卖方向统一为 'Bid' / 'Ask'，订单类型为 'Limit' / 'Market'
+ * - 订单状态使用 New / PartiallyFilled / Filled / Cancelled / Expired
+ * - 价格、数量、金额等数值字段统一为 number，时间统一为毫秒时间戳
+ */
+
+/**
+ * 订单
+ * @typedef {Object} Order
+ * @property {string} orderId - 交易所订单ID
+ * @property {number|null} clientId - 客户端订单ID (uint32)，用于判断订单归属
+ * @property {string} symbol - 交易对，如 SOL_USDC
+ * @property {'Bid'|'Ask'} side - 买卖方向
+ * @property {'Limit'|'Market'} orderType - 订单类型
+ * @property {number|null} price - 限价 (市价单为null)
+ * @property {number|null} quantity - 委托数量 (按金额下的市价单可能为null)
+ * @property {number} executedQuantity - 累计成交数量
+ * @property {number} executedQuoteQuantity - 累计成交金额
+ * @property {string} status - 订单状态
+ * @property {number|null} createdAt - 创建时间
+ */
+
+/**
+ * 成交记录
+ * @typedef {Object} Fill
+ * @property {string} orderId - 所属订单ID
+ * @property {string|null} tradeId - 成交ID
+ * @property {number|null} clientId - 所属订单的客户端订单ID
+ * @property {string} symbol - 交易对
+ * @property {'Bid'|'Ask'} side - 买卖方向
+ * @property {number} price - 成交价
+ * @property {number} quantity - 成交数量
+ * @property {number} fee - 手续费
+ * @property {string|null} feeSymbol - 手续费币种
+ * @property {boolean} isMaker - 是否为挂单成交
+ * @property {number} timestamp - 成交时间
+ */
+
+/**
+ * 余额
+ * @typedef {Object} Balance
+ * @property {string} asset - 币种
+ * @property {number} available - 可用
+ * @property {number} locked - 挂单锁定
+ * @property {number} total - 合计
+ */
+
+/**
+ * 行情
+ * @typedef {Object} Ticker
+ * @property {string} symbol - 交易对
+ * @property {number} lastPrice - 最新价
+ * @property {number|null} high - 24小时最高价
+ * @property {number|null} low - 24小时最低价
+ * @property {number|null} volume - 24小时成交量 (基础币)
+ * @property {number|null} quoteVolume - 24小时成交额 (计价币)
+ */
+
+/**
+ * 盘口 - 买盘按价格从高到低、卖盘按价格从低到高 (DepthPlanner.normalize 格式)
+ * @typedef {Object} Depth
+ * @property {Array<{price: number, quantity: number}>} bids - 买盘
+ * @property {Array<{price: number, quantity: number}>} asks - 卖盘
+ */
+
+/**
+ * K线 - 按时间升序
+ * @typedef {Object} Candle
+ * @property {string} start - 开始时间 (交易所格式，可按字符串排序)
+ * @property {number} open - 开盘价
+ * @property {number} high - 最高价
+ * @property {number} low - 最低价
+ * @property {number} close - 收盘价
+ */
+
+/**
+ * 交易对规则 - 下单价格/数量的取整和最小下单限制
+ * @typedef {Object} MarketRule
+ * @property {string} symbol - 交易对
+ * @property {number} tickSize - 价格步长
+ * @property {number} stepSize - 数量步长
+ * @property {number} minQuantity - 最小下单量
+ * @property {number|null} maxQuantity - 最大下单量
+ * @property {number|null} minNotional - 最小下单金额 (交易所没有该限制时为null)
+ */
+
+/**
+ * 订单推送 - 实时流 onOrderUpdate 回调的参数
+ * @typedef {Object} OrderUpdate
+ * @property {string} orderId - 订单ID
+ * @property {string} status - 订单状态
+ * @property {'Bid'|'Ask'} side - 买卖方向
+ * @property {string} symbol - 交易对
+ * @property {number} price - 委托价
+ * @property {number} quantity - 委托数量
+ * @property {number} filledQuantity - 累计成交数量
+ * @property {number} executedQuoteQuantity - 累计成交金额
+ * @property {number} lastFillQuantity - 本次成交数量
+ * @property {number} lastFillPrice - 本次成交价
+ * @property {string|null} tradeId - 本次成交ID
+ * @property {number} fee - 本次成交手续费
+ * @property {string|null} feeSymbol - 手续费币种
+ * @property {number|null} clientId - 客户端订单ID
+ */
+
+/**
+ * 实时流 - 价格推送、订单推送和余额推送
+ * @typedef {Object} ExchangeStream
+ * @property {function(string|Array<string>): void} setupPriceWebSocket - 订阅交易对行情
+ * @property {function(): void} subscribeOrderUpdates - 订阅本账户订单推送
+ * @property {function(): boolean} isConnected - 连接是否正常
+ * @property {function(): void} closeAllConnections - 关闭连接
+ */
+
+/**
+ * 实时流回调
+ * @typedef {Object} StreamHandlers
+ * @property {function(string, number, number): void} [onPriceUpdate] - (交易对, 最新价, 时间戳)
+ * @property {function(OrderUpdate): void} [onOrderUpdate] - 订单推送
+ * @property {function(Object<string, {available: number, locked: number}>): void} [onBalanceUpdate] - 余额推送
+ */
+
+/**
+ * 交易所适配器基类 - 子类必须实现标注为"必须实现"的方法
+ */
+class ExchangeAdapter {
+  /**
+   * 构造函数
+   * @param {Object} config - 配置对象
+   * @param {Object} logger - 日志对象
+   */
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger || console;
+    this.symbol = `${config?.trading?.tradingCoin || 'BTC'}_USDC`;
+  }
+
+  /**
+   * 获取行情 (必须实现)
+   * @param {string} symbol - 交易对
+   * @returns {Promise<Ticker>}
+   */
+  async getTicker(symbol) {
+    throw this.notImplemented('getTicker');
+  }
+
+  /**
+   * 获取盘口深度 (必须实现)
+   * @param {string} symbol - 交易对
+   * @returns {Promise<Depth>}
+   */
+  async getDepth(symbol) {
+    throw this.notImplemented('getDepth');
+  }
+
+  /**
+   * 获取最近的K线 (必须实现)
+   * @param {string} symbol - 交易对
+   * @param {string} interval - K线周期 (1m/5m/15m/1h/4h/1d 等)
+   * @param {number} count - 需要的K线数量
+   * @returns {Promise<Array<Candle>>}
+   */
+  async getKLines(symbol, interval, count) {
+    throw this.notImplemented('getKLines');
+  }
+
+  /**
+   * 获取交易对规则 (必须实现)
+   * @param {string} symbol - 交易对
+   * @returns {Promise<MarketRule>}
+   */
+  async getMarketRules(symbol) {
+    throw this.notImplemented('getMarketRules');
+  }
+
+  /**
+   * 获取单个币种余额 (必须实现)，账户中没有该币种时返回全0
+   * @param {string} asset - 币种
+   * @returns {Promise<Balance>}
+   */
+  async getBalance(asset) {
+    throw this.notImplemented('getBalance');
+  }
+
+  /**
+   * 获取未成交订单 (必须实现)
+   * @param {string} symbol - 交易对
+   * @returns {Promise<Array<Order>>}
+   */
+  async getOpenOrders(symbol) {
+    throw this.notImplemented('getOpenOrders');
+  }
+
+  /**
+   * 获取最近的成交记录 (必须实现)
+   * @param {string} symbol - 交易对
+   * @param {number} limit - 返回记录数量限制
+   * @returns {Promise<Array<Fill>>}
+   */
+  async getFillHistory(symbol, limit) {
+    throw this.notImplemented('getFillHistory');
+  }
+
+  /**
+   * 创建订单 (必须实现)，选项格式见 OrderParams；未指定clientId时由实现分配本实例命名空间内的clientId
+   * @param {import('./orderParams').OrderOptions} orderOptions - 下单选项
+   * @returns {Promise<Order>}
+   */
+  async createOrder(orderOptions) {
+    throw this.notImplemented('createOrder');
+  }
+
+  /**
+   * 取消订单 (必须实现)
+   * @param {string} orderId - 订单ID
+   * @param {string} symbol - 交易对
+   * @returns {Promise<Order>} 撤单后的订单 (含撤单前的累计成交)
+   */
+  async cancelOrder(orderId, symbol) {
+    throw this.notImplemented('cancelOrder');
+  }
+
+  /**
+   * 取消交易对的所有未成交订单 (必须实现)
+   * @param {string} symbol - 交易对
+   * @returns {Promise<Array<Order>>} 撤单后的订单
+   */
+  async cancelAllOrders(symbol) {
+    throw this.notImplemented('cancelAllOrders');
+  }
+
+  /**
+   * 订单是否由本实例创建 (必须实现)
+   * @param {Order|Fill|OrderUpdate} order - 订单/成交/推送
+   * @returns {boolean}
+   */
+  ownsOrder(order) {
+    throw this.notImplemented('ownsOrder');
+  }
+
+  /**
+   * 创建实时流 (必须实现)
+   * @param {StreamHandlers} handlers - 回调
+   * @returns {ExchangeStream}
+   */
+  createStream(handlers) {
+    throw this.notImplemented('createStream');
+  }
+
+  /**
+   * 创建买入限价单
+   * @param {number} price - 价格
+   * @param {number} quantity - 数量
+   * @param {string} symbol - 交易对
+   * @param {Object} options - 其他下单选项 (postOnly / timeInForce / clientId / selfTradePrevention)
+   * @returns {Promise<Order>}
+   */
+  async createBuyOrder(price, quantity, symbol = this.symbol, options = {}) {
+    return this.createOrder({ ...options, symbol, side: 'Bid', orderType: 'Limit', price, quantity });
+  }
+
+  /**
+   * 创建卖出限价单
+   * @param {number} price - 价格
+   * @param {number} quantity - 数量
+   * @param {string} symbol - 交易对
+   * @param {Object} options - 其他下单选项 (postOnly / timeInForce / clientId / selfTradePrevention)
+   * @returns {Promise<Order>}
+   */
+  async createSellOrder(price, quantity, symbol = this.symbol, options = {}) {
+    return this.createOrder({ ...options, symbol, side: 'Ask', orderType: 'Limit', price, quantity });
+  }
+
+  /**
+   * 创建市价订单
+   * @param {string} side - 'Bid' 或 'Ask'
+   * @param {number|null} quantity - 基础币数量 (按金额下单时传null并在options中指定quoteQuantity)
+   * @param {string} symbol - 交易对
+   * @param {Object} options - 其他下单选项 (quoteQuantity / clientId / selfTradePrevention)
+   * @returns {Promise<Order>}
+   */
+  async createMarketOrder(side, quantity, symbol = this.symbol, options = {}) {
+    return this.createOrder({ ...options, symbol, side, orderType: 'Market', quantity: quantity ?? undefined });
+  }
+
+  /**
+   * 未实现方法的错误
+   * @param {string} method - 方法名
+   * @returns {Error}
+   */
+  notImplemented(method) {
+    return new Error(`交易所适配器 ${this.constructor.name} 未实现 ${method}`);
+  }
+}
+
+ExchangeAdapter.REQUIRED_METHODS = [
+  'getTicker', 'getDepth', 'getKLines', 'getMarketRules', 'getBalance', 'getOpenOrders', 'getFillHistory',
+  'createOrder', 'cancelOrder', 'cancelAllOrders', 'ownsOrder', 'createStream'
+];
+
+module.exports = ExchangeAdapter;
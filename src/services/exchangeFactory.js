@@ -0,0 +1,58 @@
+const path = require('path');
+const ExchangeAdapter = require('./exchangeAdapter');
+
+// 内置适配器 - 按需加载，避免未使用的适配器引入依赖
+const BUILT_IN_ADAPTERS = {
+  backpack: () => require('./backpackService')
+};
+
+/**
+ * 交易所适配器工厂 - 按配置 exchange.adapter 创建适配器
+ * adapter 为内置名称 (backpack)，或相对当前工作目录的模块路径 (模块导出 ExchangeAdapter 子类)
+ */
+class ExchangeFactory {
+  /**
+   * 创建交易所适配器
+   * @param {Object} config - 配置对象
+   * @param {Object} logger - 日志对象
+   * @returns {ExchangeAdapter}
+   */
+  static create(config, logger) {
+    const name = config.exchange?.adapter || 'backpack';
+    const AdapterClass = this.resolve(name);
+    const adapter = new AdapterClass(config, logger);
+
+    // 未覆盖基类的方法同样视为缺少
+    const missing = ExchangeAdapter.REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function'
+      || adapter[method] === ExchangeAdapter.prototype[method]);
+    if (missing.length > 0) {
+      throw new Error(`交易所适配器 ${name} 缺少方法: ${missing.join(', ')}`);
+    }
+
+    return adapter;
+  }
+
+  /**
+   * 解析适配器类
+   * @param {string} name - 内置名称或模块路径
+   * @returns {Function} 适配器类
+   */
+  static resolve(name) {
+    if (BUILT_IN_ADAPTERS[name]) {
+      return BUILT_IN_ADAPTERS[name]();
+    }
+
+    let AdapterClass;
+    try {
+      AdapterClass = require(path.resolve(process.cwd(), name));
+    } catch (error) {
+      throw new Error(`无法加载交易所适配器 ${name}: ${error.message}`);
+    }
+    if (typeof AdapterClass !== 'function') {
+      throw new Error(`交易所适配器 ${name} 必须导出一个类`);
+    }
+    return AdapterClass;
+  }
+}
+
+module.exports = ExchangeFactory;
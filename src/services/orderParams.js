@@ -0,0 +1,129 @@
+const SIDES = ['Bid', 'Ask'];
+const ORDER_TYPES = ['Limit', 'Market'];
+const TIME_IN_FORCE = ['GTC', 'IOC', 'FOK'];
+const SELF_TRADE_PREVENTION = ['RejectTaker', 'RejectMaker', 'RejectBoth'];
+const MAX_CLIENT_ID = 4294967295; // uint32
+
+/**
+ * 下单选项
+ * @typedef {Object} OrderOptions
+ * @property {string} symbol - 交易对，如 SOL_USDC
+ * @property {'Bid'|'Ask'} side - 买入Bid / 卖出Ask
+ * @property {'Limit'|'Market'} [orderType='Limit'] - 订单类型
+ * @property {number|string} [price] - 限价单价格 (限价单必填，市价单不可用)
+ * @property {number|string} [quantity] - 基础币数量 (市价单可改用quoteQuantity)
+ * @property {number|string} [quoteQuantity] - 按计价币金额下市价单 (只用于市价单，与quantity二选一)
+ * @property {'GTC'|'IOC'|'FOK'} [timeInForce='GTC'] - 限价单有效方式
+ * @property {boolean} [postOnly=false] - 只做Maker，会立即成交时交易所拒单 (只用于GTC限价单)
+ * @property {number} [clientId] - 客户端订单ID (uint32)
+ * @property {'RejectTaker'|'RejectMaker'|'RejectBoth'} [selfTradePrevention] - 自成交保护
+ */
+
+/**
+ * 下单参数工具类 - 校验下单选项并转换为交易所 orderExecute 参数
+ * 选项错误在发出请求前抛出，不会进入重试
+ */
+class OrderParams {
+  /**
+   * 校验下单选项并生成交易所参数
+   * @param {OrderOptions} options - 下单选项
+   * @returns {Object} 交易所参数 (数值转为字符串，未设置的可选字段不出现)
+   */
+  static build(options = {}) {
+    const allowed = ['symbol', 'side', 'orderType', 'price', 'quantity', 'quoteQuantity',
+      'timeInForce', 'postOnly', 'clientId', 'selfTradePrevention'];
+    const unknown = Object.keys(options).filter(key => !allowed.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`不支持的下单选项: ${unknown.join(', ')}`);
+    }
+
+    const {
+      symbol, side, orderType = 'Limit', price, quantity, quoteQuantity,
+      timeInForce, postOnly, clientId, selfTradePrevention
+    } = options;
+
+    if (typeof symbol !== 'string' || !symbol) {
+      throw new Error('下单选项symbol不能为空');
+    }
+    if (!SIDES.includes(side)) {
+      throw new Error(`下单选项side必须为${SIDES.join('/')}: ${side}`);
+    }
+    if (!ORDER_TYPES.includes(orderType)) {
+      throw new Error(`下单选项orderType必须为${ORDER_TYPES.join('/')}: ${orderType}`);
+    }
+
+    const params = { symbol, side, orderType };
+
+    if (orderType === 'Limit') {
+      params.price = this.toDecimalString(price, 'price');
+      params.quantity = this.toDecimalString(quantity, 'quantity');
+      if (quoteQuantity !== undefined) {
+        throw new Error('quoteQuantity只能用于市价单');
+      }
+
+      params.timeInForce = timeInForce ?? 'GTC';
+      if (!TIME_IN_FORCE.includes(params.timeInForce)) {
+        throw new Error(`下单选项timeInForce必须为${TIME_IN_FORCE.join('/')}: ${timeInForce}`);
+      }
+      if (postOnly) {
+        if (params.timeInForce !== 'GTC') {
+          throw new Error(`postOnly不能与${params.timeInForce}同时使用`);
+        }
+        params.postOnly = true;
+      }
+    } else {
+      if (price !== undefined) {
+        throw new Error('市价单不能指定price');
+      }
+      if (timeInForce !== undefined || postOnly) {
+        throw new Error('市价单不能指定timeInForce或postOnly');
+      }
+
+      const hasQuantity = quantity !== undefined && quantity !== null;
+      const hasQuoteQuantity = quoteQuantity !== undefined && quoteQuantity !== null;
+      if (hasQuantity === hasQuoteQuantity) {
+        throw new Error('市价单必须且只能指定quantity或quoteQuantity之一');
+      }
+      if (hasQuantity) {
+        params.quantity = this.toDecimalString(quantity, 'quantity');
+      } else {
+        params.quoteQuantity = this.toDecimalString(quoteQuantity, 'quoteQuantity');
+      }
+    }
+
+    if (clientId !== undefined && clientId !== null) {
+      if (!Number.isInteger(clientId) || clientId < 0 || clientId > MAX_CLIENT_ID) {
+        throw new Error(`下单选项clientId必须是uint32整数: ${clientId}`);
+      }
+      params.clientId = clientId;
+    }
+
+    if (selfTradePrevention !== undefined && selfTradePrevention !== null) {
+      if (!SELF_TRADE_PREVENTION.includes(selfTradePrevention)) {
+        throw new Error(`下单选项selfTradePrevention必须为${SELF_TRADE_PREVENTION.join('/')}: ${selfTradePrevention}`);
+      }
+      params.selfTradePrevention = selfTradePrevention;
+    }
+
+    return params;
+  }
+
+  /**
+   * 数值字段转为交易所要求的十进制字符串
+   * @param {number|string} value - 数值
+   * @param {string} field - 字段名 (用于错误信息)
+   * @returns {string}
+   */
+  static toDecimalString(value, field) {
+    const number = typeof value === 'string' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number) || number <= 0) {
+      throw new Error(`下单选项${field}必须是正数: ${value}`);
+    }
+    return typeof value === 'string' ? value : value.toString();
+  }
+}
+
+OrderParams.TIME_IN_FORCE = TIME_IN_FORCE;
+OrderParams.SELF_TRADE_PREVENTION = SELF_TRADE_PREVENTION;
+
+module.exports = OrderParams;
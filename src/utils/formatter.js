@@ -14,31 +14,77 @@ class Formatter {
   }
   
   /**
-   * 调整价格到tickSize，并根据交易对的精度要求进行处理
+   * 按步长向下取整 (tickSize / stepSize)，结果按步长的小数位数截断，避免浮点误差
+   * @param {number} value - 原始值
+   * @param {number} step - 步长
+   * @returns {number}
+   */
+  static floorToStep(value, step) {
+    return this.applyStep(value, step, Math.floor);
+  }
+  
+  /**
+   * 按步长向上取整
+   * @param {number} value - 原始值
+   * @param {number} step - 步长
+   * @returns {number}
+   */
+  static ceilToStep(value, step) {
+    return this.applyStep(value, step, Math.ceil);
+  }
+  
+  /**
+   * 按步长四舍五入
+   * @param {number} value - 原始值
+   * @param {number} step - 步长
+   * @returns {number}
+   */
+  static roundToStep(value, step) {
+    return this.applyStep(value, step, Math.round);
+  }
+  
+  /**
+   * 按步长取整的公共实现
+   * @param {number} value - 原始值
+   * @param {number} step - 步长
+   * @param {Function} rounding - Math.floor / Math.ceil / Math.round
+   * @returns {number}
+   */
+  static applyStep(value, step, rounding) {
+    // 先截到6位再取整，避免 0.29 / 0.01 = 28.999999999999996 这类误差
+    const units = rounding(Number((value / step).toFixed(6)));
+    return Number((units * step).toFixed(this.decimalsOf(step)));
+  }
+  
+  /**
+   * 步长的小数位数 (0.01 → 2, 0.5 → 1, 1 → 0, 1e-8 → 8)
+   * @param {number|string} step - 步长
+   * @returns {number}
+   */
+  static decimalsOf(step) {
+    const [mantissa, exponent] = String(Number(step)).split('e-');
+    const decimals = (mantissa.split('.')[1] || '').length;
+    return exponent ? decimals + parseInt(exponent, 10) : decimals;
+  }
+  
+  /**
+   * 调整价格到tickSize
    * @param {number} price - 原始价格
    * @param {string} tradingCoin - 交易币种
    * @param {Object} config - 配置对象(可选)
+   * @param {Object} marketRules - 交易所市场规则 (MarketRules，可选，优先于配置)
    * @returns {number} 调整后的价格
    */
-  static adjustPriceToTickSize(price, tradingCoin, config = {}) {
-    // 设置默认值
-    const tickSize = config?.advanced?.priceTickSize || 0.01;
-    
-    // 获取该币种的价格精度
-    const pricePrecisions = config?.pricePrecisions || { 'BTC': 0, 'ETH': 2, 'SOL': 2, 'DEFAULT': 2 };
-    const precision = pricePrecisions[tradingCoin] || pricePrecisions.DEFAULT || 2;
-    
-    // BTC特殊处理 - 确保价格是整数
-    if (tradingCoin === 'BTC') {
-      // 对BTC价格，直接向下取整到整数
-      return Math.floor(price);
+  static adjustPriceToTickSize(price, tradingCoin, config = {}, marketRules = null) {
+    if (marketRules) {
+      return marketRules.floorPrice(price);
     }
     
-    // 其他币种正常处理
-    // 先向下取整到tickSize的倍数
-    const adjustedPrice = Math.floor(price / tickSize) * tickSize;
-    // 然后限制小数位数
-    return Number(adjustedPrice.toFixed(precision));
+    // 没有市场规则时按配置: priceTickSize 优先，其次价格精度
+    const pricePrecisions = config?.pricePrecisions || {};
+    const precision = pricePrecisions[tradingCoin] ?? pricePrecisions.DEFAULT ?? 2;
+    const tickSize = config?.advanced?.priceTickSize || Math.pow(10, -precision);
+    return this.floorToStep(price, tickSize);
   }
   
   /**
@@ -46,16 +92,17 @@ class Formatter {
    * @param {number} quantity - 原始数量
    * @param {string} tradingCoin - 交易币种
    * @param {Object} config - 配置对象(可选)
+   * @param {Object} marketRules - 交易所市场规则 (MarketRules，可选，优先于配置)
    * @returns {number} 调整后的数量
    */
-  static adjustQuantityToStepSize(quantity, tradingCoin, config = {}) {
-    // 设置默认值
-    const quantityPrecisions = config?.quantityPrecisions || { 'BTC': 5, 'ETH': 4, 'SOL': 2, 'DEFAULT': 2 };
-    const precision = quantityPrecisions[tradingCoin] || quantityPrecisions.DEFAULT || 2;
+  static adjustQuantityToStepSize(quantity, tradingCoin, config = {}, marketRules = null) {
+    if (marketRules) {
+      return marketRules.floorQuantity(quantity);
+    }
     
-    const stepSize = Math.pow(10, -precision);
-    const adjustedQuantity = Math.floor(quantity / stepSize) * stepSize;
-    return Number(adjustedQuantity.toFixed(precision));
+    const quantityPrecisions = config?.quantityPrecisions || {};
+    const precision = quantityPrecisions[tradingCoin] ?? quantityPrecisions.DEFAULT ?? 2;
+    return this.floorToStep(quantity, Math.pow(10, -precision));
   }
   
   /**
@@ -0,0 +1,115 @@
+/**
+ * 行情指标工具类 - 基于K线计算波动率、均线和RSI
+ * K线格式: { open, high, low, close } (数值)，按时间升序
+ */
+class Indicators {
+  /**
+   * 将交易所K线数据转换为数值格式，并按开始时间升序排列
+   * @param {Array<Object>} klines - 交易所K线 (字段为字符串)
+   * @returns {Array<Object>} [{ start, open, high, low, close }]
+   */
+  static normalizeKLines(klines) {
+    return (Array.isArray(klines) ? klines : [])
+      .map(kline => ({
+        start: kline.start,
+        open: parseFloat(kline.open),
+        high: parseFloat(kline.high),
+        low: parseFloat(kline.low),
+        close: parseFloat(kline.close)
+      }))
+      .filter(kline => kline.close > 0 && kline.high > 0 && kline.low > 0)
+      .sort((a, b) => String(a.start).localeCompare(String(b.start)));
+  }
+
+  /**
+   * 平均真实波幅 (ATR)，以最新收盘价的百分比表示
+   * @param {Array<Object>} candles - K线 (升序)
+   * @param {number} window - 计算窗口
+   * @returns {number|null} ATR百分比，数据不足时返回null
+   */
+  static atrPercent(candles, window) {
+    if (candles.length < window + 1) {
+      return null;
+    }
+
+    const recent = candles.slice(-(window + 1));
+    let totalRange = 0;
+    for (let i = 1; i < recent.length; i++) {
+      const { high, low } = recent[i];
+      const prevClose = recent[i - 1].close;
+      totalRange += Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
+    }
+
+    const lastClose = recent[recent.length - 1].close;
+    return (totalRange / window) / lastClose * 100;
+  }
+
+  /**
+   * 收盘价收益率的标准差 (百分比)
+   * @param {Array<Object>} candles - K线 (升序)
+   * @param {number} window - 计算窗口
+   * @returns {number|null} 标准差百分比，数据不足时返回null
+   */
+  static returnStdevPercent(candles, window) {
+    if (candles.length < window + 1) {
+      return null;
+    }
+
+    const recent = candles.slice(-(window + 1));
+    const returns = [];
+    for (let i = 1; i < recent.length; i++) {
+      returns.push((recent[i].close - recent[i - 1].close) / recent[i - 1].close * 100);
+    }
+
+    const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+    const variance = returns.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / returns.length;
+    return Math.sqrt(variance);
+  }
+
+  /**
+   * 收盘价简单移动平均 (SMA)
+   * @param {Array<Object>} candles - K线 (升序)
+   * @param {number} period - 均线周期
+   * @returns {number|null} 均线价格，数据不足时返回null
+   */
+  static sma(candles, period) {
+    if (candles.length < period) {
+      return null;
+    }
+
+    const recent = candles.slice(-period);
+    return recent.reduce((sum, candle) => sum + candle.close, 0) / period;
+  }
+
+  /**
+   * 相对强弱指数 (RSI)，按Wilder平滑计算
+   * @param {Array<Object>} candles - K线 (升序)
+   * @param {number} period - RSI周期
+   * @returns {number|null} 0~100，数据不足时返回null
+   */
+  static rsi(candles, period) {
+    if (candles.length < period + 1) {
+      return null;
+    }
+
+    let averageGain = 0;
+    let averageLoss = 0;
+    for (let i = 1; i <= period; i++) {
+      const change = candles[i].close - candles[i - 1].close;
+      averageGain += Math.max(change, 0) / period;
+      averageLoss += Math.max(-change, 0) / period;
+    }
+    for (let i = period + 1; i < candles.length; i++) {
+      const change = candles[i].close - candles[i - 1].close;
+      averageGain = (averageGain * (period - 1) + Math.max(change, 0)) / period;
+      averageLoss = (averageLoss * (period - 1) + Math.max(-change, 0)) / period;
+    }
+
+    if (averageLoss === 0) {
+      return averageGain === 0 ? 50 : 100;
+    }
+    return 100 - 100 / (1 + averageGain / averageLoss);
+  }
+}
+
+module.exports = Indicators;
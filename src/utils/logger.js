@@ -21,12 +21,14 @@ class Logger {
    * @param {string} options.prefix - 日志文件前缀
    * @param {number} options.logLevel - 日志级别
    * @param {number} options.sampleRate - 日志采样率(0-1)
+   * @param {string} options.tag - 消息标签，多策略运行时用于区分控制台输出
    */
   constructor(options = {}) {
     this.logDir = options.logDir || path.join(process.cwd(), 'logs');
     this.prefix = options.prefix || 'trading';
     this.logLevel = options.logLevel !== undefined ? options.logLevel : LOG_LEVELS.INFO;
     this.sampleRate = options.sampleRate !== undefined ? options.sampleRate : 1.0;
+    this.tag = options.tag || null;
     
     // 确保日志目录存在
     if (!fs.existsSync(this.logDir)) {
@@ -66,7 +68,8 @@ class Logger {
       }
       
       const timestamp = new Date().toLocaleString();
-      const logMessage = `[${timestamp}] ${message}`;
+      const tag = this && this.tag ? `[${this.tag}] ` : '';
+      const logMessage = `[${timestamp}] ${tag}${message}`;
       
       // 根据参数决定是否在控制台显示
       if (displayOnConsole) {
@@ -254,6 +257,11 @@ class Logger {
       }
     }
     
+    // 交易所错误详情 (BackpackApiError: 状态码/错误码/接口/请求ID)
+    if (typeof error.describe === 'function') {
+      messages.push(`错误详情: ${error.describe()}`);
+    }
+    
     // 记录请求信息
     if (error.request) {
       const { method, path, headers } = error.request;